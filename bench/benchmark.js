@@ -0,0 +1,179 @@
+/**
+ * Merge Sort Benchmark
+ * Compares the merge sort the shop used before the rewrite with the current
+ * recursive, bottom-up and natural variants on large generated catalogs
+ *
+ * Usage: node bench/benchmark.js [size ...]
+ * e.g.   node bench/benchmark.js 10000 50000
+ */
+
+const { Product } = require('../scripts/products.js');
+const { MergeSort } = require('../scripts/mergesort.js');
+
+// Catalog sizes to test when none are given on the command line
+const DEFAULT_SIZES = [10000, 50000, 100000];
+
+// Timed runs per case; the median is reported
+const RUNS = 5;
+
+/**
+ * Merge sort by price as the shop ran it before the rewrite, kept here as the
+ * baseline: every product is rebuilt before sorting, the price is read and
+ * parsed on every comparison, and every split and merge allocates new arrays
+ * @param {Array} products - Products
+ * @returns {Array} Sorted copies of the products
+ */
+function originalSortByPrice(products) {
+    const price = item => parseFloat(item.price);
+    const compare = (a, b) => {
+        const left = price(a);
+        const right = price(b);
+        return left < right ? -1 : (left > right ? 1 : 0);
+    };
+
+    const merge = (left, right) => {
+        const result = [];
+        let leftIndex = 0;
+        let rightIndex = 0;
+        while (leftIndex < left.length && rightIndex < right.length) {
+            if (compare(left[leftIndex], right[rightIndex]) <= 0) {
+                result.push(left[leftIndex++]);
+            } else {
+                result.push(right[rightIndex++]);
+            }
+        }
+        while (leftIndex < left.length) {
+            result.push(left[leftIndex++]);
+        }
+        while (rightIndex < right.length) {
+            result.push(right[rightIndex++]);
+        }
+        return result;
+    };
+
+    const sort = items => {
+        if (items.length <= 1) {
+            return items;
+        }
+        const middle = Math.floor(items.length / 2);
+        return merge(sort(items.slice(0, middle)), sort(items.slice(middle)));
+    };
+
+    return sort(products.map(p => new Product(p.id, p.name, p.price, p.image)));
+}
+
+/**
+ * Variants under test, the first one is the baseline
+ */
+const VARIANTS = [
+    { name: 'original (before rewrite)', sort: originalSortByPrice },
+    { name: 'recursive (current)', options: { algorithm: 'recursive' } },
+    { name: 'bottom-up, no cutoff', options: { algorithm: 'bottomUp', cutoff: 1 } },
+    { name: 'bottom-up + insertion', options: { algorithm: 'bottomUp' } },
+    { name: 'natural + insertion', options: { algorithm: 'natural' } }
+];
+
+/**
+ * Generate a catalog of plain product records
+ * @param {number} size - Number of products
+ * @param {string} shape - 'random', 'nearly sorted', 'sorted' or 'reversed'
+ * @returns {Array} Products
+ */
+function generateProducts(size, shape) {
+    const products = [];
+    for (let i = 0; i < size; i++) {
+        products.push({
+            id: i + 1,
+            name: `Product ${i + 1}`,
+            price: Math.round(Math.random() * 100000) / 100,
+            image: `assets/${(i % 9) + 1}.jpg`
+        });
+    }
+
+    if (shape === 'random') {
+        return products;
+    }
+
+    const sorted = MergeSort.sort(products, 'price');
+    if (shape === 'reversed') {
+        return sorted.reverse();
+    }
+
+    if (shape === 'nearly sorted') {
+        // Swap 1% of the items with a random neighbour
+        for (let k = 0; k < size / 100; k++) {
+            const i = Math.floor(Math.random() * (size - 1));
+            [sorted[i], sorted[i + 1]] = [sorted[i + 1], sorted[i]];
+        }
+    }
+
+    return sorted;
+}
+
+/**
+ * Time one variant on one catalog
+ * @param {Array} products - Catalog
+ * @param {Object} variant - Entry from VARIANTS: its own sort, or options for MergeSort.sort
+ * @returns {Object} { median, result }
+ */
+function timeVariant(products, variant) {
+    const times = [];
+    let result;
+
+    for (let run = 0; run < RUNS; run++) {
+        const start = process.hrtime.bigint();
+        result = variant.sort ? variant.sort(products) : MergeSort.sort(products, 'price', variant.options);
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+
+    times.sort((a, b) => a - b);
+    return { median: times[Math.floor(times.length / 2)], result };
+}
+
+/**
+ * Check that two results hold the same products in the same order
+ * Products are matched by ID, as the original sort returns copies.
+ * @param {Array} expected - Baseline result
+ * @param {Array} actual - Variant result
+ * @returns {boolean} True if identical
+ */
+function sameOrder(expected, actual) {
+    return expected.length === actual.length && expected.every((item, i) => item.id === actual[i].id);
+}
+
+function main() {
+    const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+    const shapes = ['random', 'nearly sorted', 'sorted', 'reversed'];
+    let failed = false;
+
+    // Warm up the JIT so the first variant is not penalised
+    const warmup = generateProducts(5000, 'random');
+    for (const variant of VARIANTS) {
+        timeVariant(warmup, variant);
+    }
+
+    for (const size of sizes.length > 0 ? sizes : DEFAULT_SIZES) {
+        for (const shape of shapes) {
+            const products = generateProducts(size, shape);
+            console.log(`\nN = ${size}, ${shape}`);
+
+            let baseline = null;
+            for (const variant of VARIANTS) {
+                const { median, result } = timeVariant(products, variant);
+                const speedup = baseline ? (baseline.median / median).toFixed(2) + 'x' : 'baseline';
+                const ok = !baseline || sameOrder(baseline.result, result);
+                failed = failed || !ok;
+
+                console.log(`  ${variant.name.padEnd(26)} ${median.toFixed(2).padStart(10)} ms  ${speedup.padStart(9)}${ok ? '' : '  MISMATCH'}`);
+                baseline = baseline || { median, result };
+            }
+        }
+    }
+
+    if (failed) {
+        console.error('\nSome variants did not match the original result.');
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,326 @@
+/**
+ * Audit Log
+ * Records every catalog change with before/after snapshots of the products it
+ * touched, and undoes, redoes or reverts changes by writing those snapshots back.
+ * The log is kept by the same storage adapter as the products. With the REST
+ * adapter the server undoes, redoes and reverts changes, against its own
+ * catalog and log.
+ */
+
+const AUDIT_STORAGE_KEY = 'grocno_audit';
+
+// Oldest entries are dropped once the log holds this many
+const AUDIT_LOG_LIMIT = 200;
+
+/**
+ * Error for an undo, redo or revert that was refused
+ */
+class AuditError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AuditError';
+    }
+}
+
+// Undo, redo and revert run one at a time, each reading the log the one before saved
+let auditQueue = Promise.resolve();
+
+/**
+ * Run an undo, redo or revert after every earlier one has finished
+ * @param {Function} task - Async task
+ * @returns {Promise} Result of the task
+ */
+function enqueueAuditTask(task) {
+    const result = auditQueue.then(task, task);
+    auditQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Let the page know the audit log changed
+ */
+function notifyAuditChange() {
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new Event('auditchange'));
+    }
+}
+
+/**
+ * Ask the REST API to undo, redo or revert a change (see requestStore)
+ * @param {string} path - Path under the API base URL, e.g. 'audit/undo'
+ * @param {Object} body - JSON body, or undefined for none
+ * @returns {Promise<Object>} The entry from the server
+ * @throws {AuditError} If the server refused or could not be reached
+ */
+async function requestAuditChange(path, body) {
+    let entry;
+    try {
+        entry = await requestStore('POST', path, body);
+    } catch (error) {
+        throw error instanceof ValidationError ? new AuditError(error.message) : error;
+    }
+    if (!entry) {
+        throw new AuditError('The server could not make this change');
+    }
+    notifyAuditChange();
+    return entry;
+}
+
+/**
+ * Get the audit log
+ * `undo` and `redo` hold entry ids, most recent last.
+ * @returns {Promise<Object>} { entries, undo, redo }
+ */
+async function getAuditLog() {
+    const empty = { entries: [], undo: [], redo: [] };
+    try {
+        const log = await readStore(AUDIT_STORAGE_KEY);
+        return log ? { ...empty, ...log } : empty;
+    } catch (error) {
+        reportStorageError(error);
+        return empty;
+    }
+}
+
+/**
+ * Save the audit log, dropping the oldest entries past AUDIT_LOG_LIMIT
+ * @param {Object} log - Audit log from getAuditLog
+ * @returns {Promise<boolean>} True if saved successfully
+ */
+async function saveAuditLog(log) {
+    const entries = log.entries.slice(-AUDIT_LOG_LIMIT);
+    const kept = new Set(entries.map(entry => entry.id));
+
+    try {
+        await writeStore(AUDIT_STORAGE_KEY, {
+            entries,
+            undo: log.undo.filter(id => kept.has(id)),
+            redo: log.redo.filter(id => kept.has(id))
+        });
+        notifyAuditChange();
+        return true;
+    } catch (error) {
+        reportStorageError(error);
+        return false;
+    }
+}
+
+/**
+ * Add an entry to a loaded log
+ * @param {Object} log - Audit log
+ * @param {string} action - What was done
+ * @param {string} summary - Short description
+ * @param {Array} changes - [{ id, before, after }] product snapshots
+ * @param {number|null} ref - Entry that was undone, redone or reverted
+ * @returns {Object} The new entry
+ */
+function appendAuditEntry(log, action, summary, changes, ref = null) {
+    const last = log.entries[log.entries.length - 1];
+    const entry = {
+        id: last ? last.id + 1 : 1,
+        timestamp: new Date().toISOString(),
+        action,
+        summary,
+        changes,
+        ref
+    };
+    log.entries.push(entry);
+    return entry;
+}
+
+/**
+ * Record a catalog change
+ * A new change can be undone, and clears anything waiting to be redone.
+ * @param {string} action - 'add', 'update', 'delete', 'merge', 'reset', 'import' or 'revert'
+ * @param {string} summary - Short description
+ * @param {Array} changes - [{ id, before, after }] product snapshots
+ * @param {number|null} ref - Entry this change reverts
+ * @returns {Promise<Object|null>} The entry, or null if the log could not be saved
+ */
+async function recordAuditEntry(action, summary, changes, ref = null) {
+    const log = await getAuditLog();
+    const entry = appendAuditEntry(log, action, summary, changes, ref);
+    log.undo.push(entry.id);
+    log.redo = [];
+    return (await saveAuditLog(log)) ? entry : null;
+}
+
+/**
+ * List the fields that differ between two snapshots of a product
+ * @param {Object|null} before - Product JSON, or null
+ * @param {Object|null} after - Product JSON, or null
+ * @returns {Array} Field names
+ */
+function getChangedFields(before, after) {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    return keys.filter(key => JSON.stringify((before || {})[key]) !== JSON.stringify((after || {})[key]));
+}
+
+/**
+ * Write one side of a set of changes back to the catalog
+ * Products that were added or removed are removed or restored whole. For
+ * edits only the fields that change touched are written, so later edits to
+ * other fields (such as stock taken by checkout) are kept.
+ * @param {Array} changes - [{ id, before, after }] product snapshots
+ * @param {string} side - 'before' to roll back, 'after' to apply again
+ * @returns {Promise<Array>} Changes actually made
+ * @throws {AuditError} If a product cannot be restored or the catalog cannot be saved
+ */
+async function restoreProductSnapshots(changes, side) {
+    const products = await getProducts();
+    const original = products.map(product => Product.fromJSON(product.toJSON()));
+    const touched = new Set(changes.map(change => change.id));
+    const otherSide = side === 'before' ? 'after' : 'before';
+
+    for (const change of changes) {
+        const target = change[side];
+        const index = products.findIndex(product => product.id === change.id);
+
+        if (target === null) {
+            if (index !== -1) {
+                products.splice(index, 1);
+            }
+            continue;
+        }
+
+        if (index !== -1 && change[otherSide] === null) {
+            throw new AuditError(`Cannot restore "${target.name}": ID ${change.id} is now used by "${products[index].name}"`);
+        }
+
+        const sku = String(target.sku || '').toUpperCase();
+        const clash = sku && products.find(product => !touched.has(product.id) && String(product.sku || '').toUpperCase() === sku);
+        if (clash) {
+            throw new AuditError(`Cannot restore "${target.name}": SKU ${target.sku} is now used by "${clash.name}"`);
+        }
+
+        if (index === -1) {
+            // Put it back in ID order
+            const position = products.findIndex(product => product.id > change.id);
+            products.splice(position === -1 ? products.length : position, 0, Product.fromJSON(target));
+        } else {
+            const record = products[index].toJSON();
+            getChangedFields(change.before, change.after).forEach(field => {
+                record[field] = target[field];
+            });
+            products[index] = Product.fromJSON(record);
+        }
+    }
+
+    if (!(await saveProducts(products))) {
+        throw new AuditError('Failed to save products');
+    }
+    return diffProducts(original, products);
+}
+
+/**
+ * Undo the most recent change that has not been undone
+ * @returns {Promise<Object>} The entry undone
+ * @throws {AuditError} If there is nothing to undo or it cannot be restored
+ */
+function undoLastChange() {
+    return enqueueAuditTask(async () => {
+        if (isRemoteStore()) {
+            return requestAuditChange('audit/undo');
+        }
+
+        const log = await getAuditLog();
+        const entry = log.entries.find(e => e.id === log.undo[log.undo.length - 1]);
+        if (!entry) {
+            throw new AuditError('Nothing to undo');
+        }
+
+        const changes = await restoreProductSnapshots(entry.changes, 'before');
+
+        log.undo.pop();
+        log.redo.push(entry.id);
+        appendAuditEntry(log, 'undo', `Undid: ${entry.summary}`, changes, entry.id);
+        await saveAuditLog(log);
+        return entry;
+    });
+}
+
+/**
+ * Redo the most recently undone change
+ * @returns {Promise<Object>} The entry redone
+ * @throws {AuditError} If there is nothing to redo or it cannot be restored
+ */
+function redoLastChange() {
+    return enqueueAuditTask(async () => {
+        if (isRemoteStore()) {
+            return requestAuditChange('audit/redo');
+        }
+
+        const log = await getAuditLog();
+        const entry = log.entries.find(e => e.id === log.redo[log.redo.length - 1]);
+        if (!entry) {
+            throw new AuditError('Nothing to redo');
+        }
+
+        const changes = await restoreProductSnapshots(entry.changes, 'after');
+
+        log.redo.pop();
+        log.undo.push(entry.id);
+        appendAuditEntry(log, 'redo', `Redid: ${entry.summary}`, changes, entry.id);
+        await saveAuditLog(log);
+        return entry;
+    });
+}
+
+/**
+ * Revert any past change by restoring its before snapshots
+ * The revert is recorded as a new change, so it can be undone in turn.
+ * @param {number} id - Audit entry ID
+ * @returns {Promise<Object|null>} The revert entry, or null if the log could not be saved
+ * @throws {AuditError} If the entry does not exist or cannot be restored
+ */
+function revertAuditEntry(id) {
+    return enqueueAuditTask(async () => {
+        if (isRemoteStore()) {
+            return requestAuditChange('audit/revert', { id });
+        }
+
+        const log = await getAuditLog();
+        const entry = log.entries.find(e => e.id === id);
+        if (!entry) {
+            throw new AuditError(`History entry ${id} not found`);
+        }
+
+        const changes = await restoreProductSnapshots(entry.changes, 'before');
+        if (changes.length === 0) {
+            throw new AuditError('The catalog already matches how it was before this change');
+        }
+
+        return recordAuditEntry('revert', `Reverted: ${entry.summary}`, changes, entry.id);
+    });
+}
+
+/**
+ * Clear the audit log
+ * @returns {Promise<boolean>} True if cleared successfully
+ */
+async function clearAuditLog() {
+    try {
+        await removeStore(AUDIT_STORAGE_KEY);
+        notifyAuditChange();
+        return true;
+    } catch (error) {
+        reportStorageError(error);
+        return false;
+    }
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AUDIT_STORAGE_KEY,
+        AuditError,
+        getAuditLog,
+        saveAuditLog,
+        recordAuditEntry,
+        getChangedFields,
+        undoLastChange,
+        redoLastChange,
+        revertAuditEntry,
+        clearAuditLog
+    };
+}
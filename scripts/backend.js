@@ -1,88 +1,239 @@
 /**
  * Backend Logic & Storage
- * Simulates backend functionality using localStorage
  * Handles all CRUD operations for products
+ * Data is kept by the storage adapter chosen in config.js (see storage.js),
+ * so every function here is async. Fields are checked against PRODUCT_SCHEMA
+ * in schema.js, which must be loaded first; a rejected product throws a
+ * ValidationError carrying the field errors.
+ * With the REST adapter every change is a single request, made and audited
+ * by the server against its current catalog.
  */
 
 const STORAGE_KEY = 'grocno_products';
 
 /**
  * Get all products from storage
- * @returns {Array} Array of Product objects
+ * @returns {Promise<Array>} Array of Product objects
  */
-function getProducts() {
+async function getProducts() {
     try {
-        const productsJson = localStorage.getItem(STORAGE_KEY);
-        if (!productsJson) {
+        const productsData = await readStore(STORAGE_KEY);
+        if (!productsData) {
             // If no products exist, initialize with default products
-            saveProducts(defaultProducts);
-            return defaultProducts;
+            await saveProducts(defaultProducts);
+            return defaultProducts.map(product => Product.fromJSON(product.toJSON()));
         }
-        const productsData = JSON.parse(productsJson);
         return productsData.map(data => Product.fromJSON(data));
     } catch (error) {
-        console.error('Error reading from storage:', error);
+        reportStorageError(error);
         // Return default products on error
-        return defaultProducts;
+        return defaultProducts.map(product => Product.fromJSON(product.toJSON()));
     }
 }
 
 /**
  * Save all products to storage
  * @param {Array} products - Array of Product objects to save
- * @returns {boolean} True if saved successfully
+ * @returns {Promise<boolean>} True if saved successfully
  */
-function saveProducts(products) {
+async function saveProducts(products) {
     try {
-        const productsJson = JSON.stringify(products.map(p => p.toJSON()));
-        localStorage.setItem(STORAGE_KEY, productsJson);
+        await writeStore(STORAGE_KEY, products.map(p => p.toJSON()));
         return true;
     } catch (error) {
-        console.error('Error saving to storage:', error);
+        reportStorageError(error);
         return false;
     }
 }
 
 /**
- * Add a new product
- * @param {string} name - Product name
- * @param {number} price - Product price
- * @param {string} image - Product image URL/path
- * @returns {Product|null} The added product or null if error
+ * List the products that differ between two versions of the catalog
+ * @param {Array} before - Products before the change
+ * @param {Array} after - Products after the change
+ * @returns {Array} [{ id, before, after }] with product JSON, or null where a product is absent
  */
-function addProduct(name, price, image) {
-    // Validate inputs
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        console.error('Invalid product name');
-        return null;
+function diffProducts(before, after) {
+    const beforeById = new Map(before.map(product => [product.id, product.toJSON()]));
+    const afterById = new Map(after.map(product => [product.id, product.toJSON()]));
+    const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+
+    return ids
+        .map(id => ({ id, before: beforeById.get(id) || null, after: afterById.get(id) || null }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Record a catalog change in the audit log, if audit.js is loaded
+ * @param {string} action - 'add', 'update', 'delete', 'merge', 'reset' or 'import'
+ * @param {string} summary - Short description of the change
+ * @param {Array} changes - Product snapshots from diffProducts
+ */
+async function logProductChange(action, summary, changes) {
+    if (typeof recordAuditEntry === 'function' && changes.length > 0) {
+        await recordAuditEntry(action, summary, changes);
     }
+}
 
-    const priceNum = parseFloat(price);
-    if (isNaN(priceNum) || priceNum < 0) {
-        console.error('Invalid price');
-        return null;
+/**
+ * Send a catalog change to the REST API (see requestStore)
+ * The server records it in its audit log, so the page is only told that the
+ * log changed.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under the API base URL, e.g. 'products/4'
+ * @param {*} body - JSON body, or undefined for none
+ * @returns {Promise<*>} The response body, true for an empty response, or null if the request failed
+ * @throws {ValidationError} If the server rejected the change
+ */
+async function requestProductChange(method, path, body) {
+    const result = await requestStore(method, path, body);
+    if (result !== null && typeof notifyAuditChange === 'function') {
+        notifyAuditChange();
     }
+    return result;
+}
 
-    if (!image || typeof image !== 'string' || image.trim().length === 0) {
-        console.error('Invalid image URL');
-        return null;
+/**
+ * Give validated variants their IDs and fill in the fields they left out
+ * Existing variant IDs are kept so cart items keep pointing at them.
+ * @param {Array} variants - Variants validated with VARIANT_SCHEMA
+ * @param {Array} raw - The variants as given, for their IDs
+ * @returns {Array} [{ id, label, price, packSize, unit, sku, stock, image }]
+ */
+function assignVariantIds(variants, raw) {
+    const keptIds = new Set(raw
+        .map(variant => variant.id)
+        .filter(id => Number.isInteger(id) && id > 0));
+    let nextId = Math.max(0, ...keptIds) + 1;
+    const usedIds = new Set();
+
+    return variants.map((variant, index) => {
+        let id = raw[index].id;
+        if (!keptIds.has(id) || usedIds.has(id)) {
+            id = nextId++;
+        }
+        usedIds.add(id);
+
+        return {
+            id,
+            label: variant.label || '',
+            price: variant.price,
+            packSize: variant.packSize ?? null,
+            unit: variant.unit ?? null,
+            sku: variant.sku || '',
+            stock: variant.stock ?? null,
+            image: variant.image || ''
+        };
+    });
+}
+
+/**
+ * Find SKUs of a product that are used twice, by itself or by another product
+ * Variants count as well, so every size can be told apart by its SKU.
+ * @param {Object} fields - Validated product fields
+ * @param {Array} products - Existing products
+ * @param {number|null} id - ID of the product, or null for a new one
+ * @returns {Array} Field errors
+ */
+function findDuplicateSkus(fields, products, id) {
+    const current = products.find(p => p.id === id) || {};
+    const variants = fields.variants ?? current.variants ?? [];
+    const own = [
+        { field: 'sku', sku: fields.sku ?? current.sku },
+        ...variants.map((variant, index) => ({ field: `variants.${index}.sku`, sku: variant.sku }))
+    ].filter(entry => entry.sku);
+
+    const others = new Set(products
+        .filter(p => p.id !== id)
+        .flatMap(p => getProductVariants(p).map(variant => variant.sku.toUpperCase()))
+        .filter(Boolean));
+
+    const seen = new Set();
+    return own.flatMap(({ field, sku }) => {
+        const upper = sku.toUpperCase();
+        const duplicate = others.has(upper) || seen.has(upper);
+        seen.add(upper);
+        return duplicate ? [createFieldError('duplicate', field, `SKU ${upper} is already in use`)] : [];
+    });
+}
+
+/**
+ * Validate the fields of a product against PRODUCT_SCHEMA
+ * @param {Object} fields - name, price, image, packSize, unit and optional
+ *     category, brand, description, sku, stock, tags and variants
+ * @param {Array} products - Existing products, for the SKU uniqueness check
+ * @param {number|null} id - ID of the product the fields belong to, or null for a new one
+ * @param {boolean} partial - Only check the fields given, for updates
+ * @returns {Object} { value, errors } with normalised fields and field errors
+ */
+function validateProductFields(fields, products, id = null, partial = false) {
+    const { value, errors } = validateRecord(PRODUCT_SCHEMA, fields, { partial });
+    if (errors.length > 0) {
+        return { value, errors };
+    }
+
+    if (value.variants !== undefined) {
+        value.variants = assignVariantIds(value.variants, fields.variants);
+    }
+
+    if (value.sku !== undefined || value.variants !== undefined) {
+        const duplicates = findDuplicateSkus(value, products, id);
+        if (duplicates.length > 0) {
+            return { value, errors: duplicates };
+        }
+    }
+
+    return { value, errors: [] };
+}
+
+/**
+ * Get the ID for the next new product
+ * @param {Array} products - Existing products
+ * @returns {number} One more than the highest ID in use
+ */
+function getNextProductId(products) {
+    return products.reduce((maxId, product) => Math.max(maxId, product.id), 0) + 1;
+}
+
+/**
+ * Add a new product
+ * @param {string} name - Product name
+ * @param {number} price - Product price
+ * @param {string} image - Product image URL/path
+ * @param {number} packSize - Optional pack size, e.g. 500
+ * @param {string} unit - Optional pack unit: 'g', 'kg', 'ml', 'L' or 'pieces'
+ * @param {Object} details - Optional category, brand, description, sku, stock, tags and variants
+ * @returns {Promise<Product|null>} The added product, or null if it could not be saved
+ * @throws {ValidationError} If the fields are invalid
+ */
+async function addProduct(name, price, image, packSize = null, unit = null, details = {}) {
+    if (isRemoteStore()) {
+        const added = await requestProductChange('POST', 'products', { ...details, name, price, image, packSize, unit });
+        return added && Product.fromJSON(added);
     }
 
     // Get existing products
-    const products = getProducts();
+    const products = await getProducts();
 
-    // Generate unique ID
-    const maxId = products.length > 0 ? Math.max(...products.map(p => p.id)) : 0;
-    const newId = maxId + 1;
+    // Validate inputs
+    const { value: fields, errors } = validateProductFields({ ...details, name, price, image, packSize, unit }, products);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
 
     // Create new product
-    const newProduct = new Product(newId, name.trim(), priceNum, image.trim());
+    const now = new Date().toISOString();
+    const newProduct = new Product(getNextProductId(products), fields.name, fields.price, fields.image, fields.packSize, fields.unit, {
+        ...fields,
+        createdAt: now,
+        updatedAt: now
+    });
 
     // Add to array
     products.push(newProduct);
 
     // Save to storage
-    if (saveProducts(products)) {
+    if (await saveProducts(products)) {
+        await logProductChange('add', `Added "${newProduct.name}"`, [{ id: newProduct.id, before: null, after: newProduct.toJSON() }]);
         return newProduct;
     }
 
@@ -92,113 +243,249 @@ function addProduct(name, price, image) {
 /**
  * Delete a product by ID
  * @param {number} id - Product ID
- * @returns {boolean} True if product was deleted, false otherwise
+ * @returns {Promise<boolean>} True if product was deleted, false otherwise
  */
-function deleteProduct(id) {
+async function deleteProduct(id) {
     if (!id || isNaN(id)) {
         return false;
     }
 
-    const products = getProducts();
-    const filteredProducts = products.filter(p => p.id !== id);
+    if (isRemoteStore()) {
+        return (await requestProductChange('DELETE', `products/${id}`)) !== null;
+    }
 
-    if (filteredProducts.length === products.length) {
+    const products = await getProducts();
+    const product = products.find(p => p.id === id);
+
+    if (!product) {
         // Product not found
         return false;
     }
 
-    return saveProducts(filteredProducts);
+    if (!(await saveProducts(products.filter(p => p.id !== id)))) {
+        return false;
+    }
+
+    await logProductChange('delete', `Deleted "${product.name}"`, [{ id, before: product.toJSON(), after: null }]);
+    return true;
 }
 
 /**
  * Update a product
+ * Updates that change nothing are not saved, dated or audited.
  * @param {number} id - Product ID
- * @param {Object} updates - Object with name, price, and/or image to update
- * @returns {Product|null} Updated product or null if error
+ * @param {Object} updates - Object with name, price, image, packSize, unit, category,
+ *     brand, description, sku, stock, tags and/or variants to update
+ * @returns {Promise<Product|null>} Updated product, or null if it could not be saved
+ * @throws {ValidationError} If the product does not exist or the updates are invalid
  */
-function updateProduct(id, updates) {
+async function updateProduct(id, updates) {
     if (!id || isNaN(id)) {
+        throw new ValidationError(createFieldError('not_found', 'id', 'Invalid product ID'));
+    }
+
+    if (isRemoteStore()) {
+        const updated = await requestProductChange('PUT', `products/${id}`, updates);
+        return updated && Product.fromJSON(updated);
+    }
+
+    const products = await getProducts();
+    const product = products.find(p => p.id === id);
+
+    if (!product) {
+        throw new ValidationError(createFieldError('not_found', 'id', `Product ${id} not found`));
+    }
+
+    // Pack size and unit are checked as a pair, so fill in the one not being changed
+    const changes = { ...updates };
+    if (updates.packSize !== undefined || updates.unit !== undefined) {
+        changes.packSize = updates.packSize !== undefined ? updates.packSize : product.packSize;
+        changes.unit = updates.unit !== undefined ? updates.unit : product.unit;
+    }
+
+    const { value: fields, errors } = validateProductFields(changes, products, id, true);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    const before = product.toJSON();
+    const now = new Date().toISOString();
+
+    // Update fields
+    const { price, ...rest } = fields;
+    if (price !== undefined) {
+        setProductPrice(product, price, now);
+    }
+    Object.assign(product, rest);
+    if (JSON.stringify(product.toJSON()) === JSON.stringify(before)) {
+        return product;
+    }
+    product.updatedAt = now;
+
+    if (await saveProducts(products)) {
+        const after = product.toJSON();
+        await logProductChange('update', `Updated "${after.name}"`, [{ id, before, after }]);
+        return product;
+    }
+
+    return null;
+}
+
+/**
+ * Merge a likely duplicate into an existing product (see mergeProductFields)
+ * The duplicate is either a product in the catalog, which is removed, or
+ * fields for one that was about to be added. Recorded as one change.
+ * @param {number} targetId - ID of the product that is kept
+ * @param {Object} fields - Fields of the duplicate, as for addProduct
+ * @param {number|null} sourceId - ID of the duplicate when it is in the catalog
+ * @returns {Promise<Product|null>} The merged product, or null if it could not be saved
+ * @throws {ValidationError} If either product does not exist or the merged fields are invalid
+ */
+async function mergeIntoProduct(targetId, fields, sourceId = null) {
+    if (isRemoteStore()) {
+        const merged = await requestProductChange('POST', 'products/merge', { targetId, fields, sourceId });
+        return merged && Product.fromJSON(merged);
+    }
+
+    const products = await getProducts();
+    const target = findMergeTarget(products, targetId);
+    const before = products.map(product => Product.fromJSON(product.toJSON()));
+
+    const { remaining, name } = mergeLoadedProduct(products, target, fields, sourceId);
+    target.updatedAt = new Date().toISOString();
+
+    if (!(await saveProducts(remaining))) {
         return null;
     }
 
-    const products = getProducts();
-    const productIndex = products.findIndex(p => p.id === id);
+    await logProductChange('merge', `Merged "${name}" into "${target.name}"`, diffProducts(before, remaining));
+    return target;
+}
 
-    if (productIndex === -1) {
+/**
+ * Merge several products of the catalog into one, as a single change
+ * Either every product is merged or, if any cannot be, none are.
+ * @param {number} targetId - ID of the product that is kept
+ * @param {Array} sourceIds - IDs of the duplicates, which are removed
+ * @returns {Promise<Product|null>} The merged product, or null if it could not be saved
+ * @throws {ValidationError} If any product does not exist or merged fields are invalid
+ */
+async function mergeProductGroup(targetId, sourceIds) {
+    if (isRemoteStore()) {
+        const merged = await requestProductChange('POST', 'products/merge', { targetId, sourceIds });
+        return merged && Product.fromJSON(merged);
+    }
+
+    let products = await getProducts();
+    const target = findMergeTarget(products, targetId);
+    const before = products.map(product => Product.fromJSON(product.toJSON()));
+
+    const names = [];
+    sourceIds.forEach(sourceId => {
+        const source = products.find(p => p.id === sourceId);
+        const { remaining, name } = mergeLoadedProduct(products, target, source ? source.toJSON() : {}, sourceId);
+        products = remaining;
+        names.push(`"${name}"`);
+    });
+    target.updatedAt = new Date().toISOString();
+
+    if (!(await saveProducts(products))) {
         return null;
     }
 
-    // Update fields
-    if (updates.name !== undefined) {
-        const name = updates.name.trim();
-        if (name.length === 0) {
-            console.error('Product name cannot be empty');
-            return null;
-        }
-        products[productIndex].name = name;
+    await logProductChange('merge', `Merged ${names.join(', ')} into "${target.name}"`, diffProducts(before, products));
+    return target;
+}
+
+/**
+ * Find the product duplicates are merged into
+ * @param {Array} products - Loaded products
+ * @param {number} targetId - ID of the product that is kept
+ * @returns {Product} The product
+ * @throws {ValidationError} If it does not exist
+ */
+function findMergeTarget(products, targetId) {
+    const target = products.find(p => p.id === targetId);
+    if (!target) {
+        throw new ValidationError(createFieldError('not_found', 'id', `Product ${targetId} not found`));
     }
+    return target;
+}
 
-    if (updates.price !== undefined) {
-        const priceNum = parseFloat(updates.price);
-        if (isNaN(priceNum) || priceNum < 0) {
-            console.error('Invalid price');
-            return null;
-        }
-        products[productIndex].price = priceNum;
+/**
+ * Merge a duplicate into a product of a loaded catalog, without saving
+ * @param {Array} products - Loaded products, the target among them
+ * @param {Product} target - Product that is kept, updated in place
+ * @param {Object} fields - Fields of the duplicate, as for addProduct
+ * @param {number|null} sourceId - ID of the duplicate when it is in the catalog
+ * @returns {Object} { remaining, name }: the products without the duplicate, and its name
+ * @throws {ValidationError} If the duplicate does not exist or the merged fields are invalid
+ */
+function mergeLoadedProduct(products, target, fields, sourceId) {
+    if (sourceId !== null && (sourceId === target.id || !products.some(p => p.id === sourceId))) {
+        throw new ValidationError(createFieldError('not_found', 'id', `Product ${sourceId} cannot be merged into "${target.name}"`));
     }
 
-    if (updates.image !== undefined) {
-        const image = updates.image.trim();
-        if (image.length === 0) {
-            console.error('Image URL cannot be empty');
-            return null;
-        }
-        products[productIndex].image = image;
+    const source = validateRecord(PRODUCT_SCHEMA, fields);
+    if (source.errors.length > 0) {
+        throw new ValidationError(source.errors);
     }
 
-    if (saveProducts(products)) {
-        return products[productIndex];
+    // The duplicate's SKUs move to the kept product, so check against the catalog without it
+    const remaining = products.filter(p => p.id !== sourceId);
+    const { value: merged, errors } = validateProductFields(mergeProductFields(target, source.value), remaining, target.id, true);
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
     }
 
-    return null;
+    Object.assign(target, merged);
+    return { remaining, name: source.value.name };
 }
 
 /**
  * Get a product by ID
  * @param {number} id - Product ID
- * @returns {Product|null} The product or null if not found
+ * @returns {Promise<Product|null>} The product or null if not found
  */
-function getProductById(id) {
+async function getProductById(id) {
     if (!id || isNaN(id)) {
         return null;
     }
 
-    const products = getProducts();
+    const products = await getProducts();
     return products.find(p => p.id === id) || null;
 }
 
 /**
  * Clear all products
- * @returns {boolean} True if cleared successfully
+ * @returns {Promise<boolean>} True if cleared successfully
  */
-function clearAllProducts() {
+async function clearAllProducts() {
+    if (isRemoteStore()) {
+        return (await requestProductChange('DELETE', 'products')) !== null;
+    }
+
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        const before = await getProducts();
+        await removeStore(STORAGE_KEY);
         // Reset to default products
-        saveProducts(defaultProducts);
+        if (!(await saveProducts(defaultProducts))) {
+            return false;
+        }
+        await logProductChange('reset', 'Reset products to defaults', diffProducts(before, defaultProducts));
         return true;
     } catch (error) {
-        console.error('Error clearing storage:', error);
+        reportStorageError(error);
         return false;
     }
 }
 
 /**
  * Get total count of products
- * @returns {number} Number of products
+ * @returns {Promise<number>} Number of products
  */
-function getProductCount() {
-    return getProducts().length;
+async function getProductCount() {
+    return (await getProducts()).length;
 }
 
 // Export functions for use in other scripts
@@ -211,6 +498,13 @@ if (typeof module !== 'undefined' && module.exports) {
         updateProduct,
         getProductById,
         clearAllProducts,
-        getProductCount
+        getProductCount,
+        validateProductFields,
+        getNextProductId,
+        mergeIntoProduct,
+        mergeProductGroup,
+        diffProducts,
+        logProductChange,
+        requestProductChange
     };
 }
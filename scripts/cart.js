@@ -1,20 +1,108 @@
 /**
  * Cart Logic & Storage
- * Handles shopping cart functionality using localStorage
+ * Handles shopping cart functionality through the configured storage adapter
+ * Items are checked against CART_ITEM_SCHEMA and quantities against product
+ * stock, and priced with any running promotion, so schema.js, backend.js and
+ * promotions.js must be loaded first. A rejected item throws a ValidationError
+ * carrying the field errors.
+ * With the REST adapter each change is a single request to the server, which
+ * keeps a cart for every browser and checks stock against its own catalog.
  */
 
 const CART_STORAGE_KEY = 'grocno_cart';
 
+/**
+ * Describe why a quantity is more than the stock allows
+ * @param {string} name - Product name
+ * @param {number} available - Units in stock
+ * @returns {string} Message
+ */
+function formatStockLimit(name, available) {
+    return available > 0
+        ? `Only ${available} of ${name} left in stock`
+        : `${name} is out of stock`;
+}
+
+/**
+ * Get how many units of a product size can be put in the cart
+ * @param {Product|undefined} product - Product, or undefined if it no longer exists
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {number} Units in stock (Infinity when stock is not tracked)
+ */
+function getAvailableStock(product, variantId = null) {
+    const variant = product ? getProductVariant(product, variantId) : null;
+    if (!variant) {
+        return 0;
+    }
+    return variant.stock === null ? Infinity : variant.stock;
+}
+
+/**
+ * Check whether a cart item is a given product size
+ * @param {CartItem} item - Cart item
+ * @param {number} id - Product ID
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {boolean} True if it matches
+ */
+function isCartItemFor(item, id, variantId = null) {
+    return item.id === id && item.variantId === (variantId ?? null);
+}
+
+/**
+ * Find cart items asking for more than is in stock
+ * @param {Array} cartItems - Array of CartItem objects
+ * @param {Array} products - Array of Product objects
+ * @returns {Array} Shortages: [{ id, variantId, name, requested, available }]
+ */
+function findStockShortages(cartItems, products) {
+    return cartItems
+        .map(item => ({
+            id: item.id,
+            variantId: item.variantId,
+            name: item.name,
+            requested: item.qty,
+            available: getAvailableStock(products.find(p => p.id === item.id), item.variantId)
+        }))
+        .filter(shortage => shortage.requested > shortage.available);
+}
+
+/**
+ * REST path of a cart item, e.g. 'cart/4' or 'cart/4?variant=2'
+ * @param {number} id - Product ID
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {string} Path under the API base URL
+ */
+function getCartItemPath(id, variantId) {
+    return variantId === null ? `cart/${id}` : `cart/${id}?variant=${variantId}`;
+}
+
+/**
+ * Tell other listeners on this page that the cart changed
+ * Does nothing outside the browser (e.g. in the API server)
+ */
+function notifyCartChange() {
+    if (typeof window !== 'undefined') {
+        window.dispatchEvent(new Event('storage'));
+    }
+}
+
 /**
  * Cart Item Class
+ * `id` is the product ID and `variantId` the chosen size (null for the main one)
  */
 class CartItem {
-    constructor(id, name, price, img, qty = 1) {
+    constructor(id, name, price, img, qty = 1, variantId = null) {
         this.id = id;
         this.name = name;
         this.price = price;
         this.img = img;
         this.qty = qty;
+        this.variantId = variantId;
+    }
+
+    // Key that tells items apart, e.g. "4" or "4-2"
+    getKey() {
+        return this.variantId === null ? String(this.id) : `${this.id}-${this.variantId}`;
     }
 
     // Calculate total for this item
@@ -29,30 +117,30 @@ class CartItem {
             name: this.name,
             price: this.price,
             img: this.img,
-            qty: this.qty
+            qty: this.qty,
+            variantId: this.variantId
         };
     }
 
     // Create CartItem from JSON
     static fromJSON(data) {
-        return new CartItem(data.id, data.name, data.price, data.img, data.qty || 1);
+        return new CartItem(data.id, data.name, data.price, data.img, data.qty || 1, data.variantId ?? null);
     }
 }
 
 /**
  * Get all cart items from storage
- * @returns {Array} Array of CartItem objects
+ * @returns {Promise<Array>} Array of CartItem objects
  */
-function getCartItems() {
+async function getCartItems() {
     try {
-        const cartJson = localStorage.getItem(CART_STORAGE_KEY);
-        if (!cartJson) {
+        const cartData = await readStore(CART_STORAGE_KEY);
+        if (!cartData) {
             return [];
         }
-        const cartData = JSON.parse(cartJson);
         return cartData.map(item => CartItem.fromJSON(item));
     } catch (error) {
-        console.error('Error reading cart from storage:', error);
+        reportStorageError(error);
         return [];
     }
 }
@@ -60,69 +148,84 @@ function getCartItems() {
 /**
  * Save cart items to storage
  * @param {Array} cartItems - Array of CartItem objects
- * @returns {boolean} True if saved successfully
+ * @returns {Promise<boolean>} True if saved successfully
  */
-function saveCartItems(cartItems) {
+async function saveCartItems(cartItems) {
     try {
-        const cartJson = JSON.stringify(cartItems.map(item => item.toJSON()));
-        localStorage.setItem(CART_STORAGE_KEY, cartJson);
+        await writeStore(CART_STORAGE_KEY, cartItems.map(item => item.toJSON()));
         return true;
     } catch (error) {
-        console.error('Error saving cart to storage:', error);
+        reportStorageError(error);
         return false;
     }
 }
 
 /**
  * Add item to cart or increase quantity if exists
+ * The item keeps the price of the size right now, promotions included;
+ * totals are worked out again from the catalog when they are read.
  * @param {number} id - Product ID
  * @param {string} name - Product name
- * @param {number} price - Product price
+ * @param {number} price - Product price as shown to the shopper
  * @param {string} img - Product image URL
- * @returns {CartItem|null} The added/updated cart item or null if error
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @param {number} qty - How many to add
+ * @returns {Promise<CartItem|null>} The added/updated cart item or null if error
+ * @throws {ValidationError} If the item is invalid or more than the stock allows
  */
-function addToCart(id, name, price, img) {
+async function addToCart(id, name, price, img, variantId = null, qty = 1) {
     // Validate inputs
-    if (!id || isNaN(id)) {
-        console.error('Invalid product ID');
-        return null;
+    const { value: fields, errors } = validateRecord(CART_ITEM_SCHEMA, { id, name, price, img, qty, variantId });
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
     }
 
-    if (!name || typeof name !== 'string' || name.trim().length === 0) {
-        console.error('Invalid product name');
-        return null;
-    }
-
-    const priceNum = parseFloat(price);
-    if (isNaN(priceNum) || priceNum < 0) {
-        console.error('Invalid price');
-        return null;
-    }
-
-    if (!img || typeof img !== 'string' || img.trim().length === 0) {
-        console.error('Invalid image URL');
-        return null;
+    if (isRemoteStore()) {
+        // The server takes the name, price and image from its catalog
+        const added = await requestStore('POST', 'cart', { id: fields.id, variantId: fields.variantId, qty: fields.qty });
+        if (!added) {
+            return null;
+        }
+        notifyCartChange();
+        return CartItem.fromJSON(added);
     }
 
     // Get existing cart items
-    const cartItems = getCartItems();
+    const cartItems = await getCartItems();
 
     // Check if item already exists in cart
-    const existingItemIndex = cartItems.findIndex(item => item.id === id);
+    const existingItemIndex = cartItems.findIndex(item => isCartItemFor(item, id, variantId));
+
+    // Check there is stock for the extra quantity
+    const product = (await getProducts()).find(p => p.id === id);
+    if (!product) {
+        throw new ValidationError(createFieldError('not_found', 'id', 'Product not found'));
+    }
+    if (!getProductVariant(product, variantId)) {
+        throw new ValidationError(createFieldError('not_found', 'variantId', 'Variant not found'));
+    }
+    const available = getAvailableStock(product, variantId);
+    const inCart = existingItemIndex !== -1 ? cartItems[existingItemIndex].qty : 0;
+    if (inCart + fields.qty > available) {
+        throw new ValidationError(createFieldError('out_of_stock', 'qty', formatStockLimit(fields.name, available)));
+    }
+
+    const currentPrice = getEffectivePrice(product, getProductVariant(product, variantId), await getPromotions()).price;
 
     if (existingItemIndex !== -1) {
         // Item exists, increase quantity
-        cartItems[existingItemIndex].qty += 1;
+        cartItems[existingItemIndex].qty += fields.qty;
+        cartItems[existingItemIndex].price = currentPrice;
     } else {
         // Item doesn't exist, add new item
-        const newCartItem = new CartItem(id, name.trim(), priceNum, img.trim(), 1);
+        const newCartItem = new CartItem(fields.id, fields.name, currentPrice, fields.img, fields.qty, fields.variantId);
         cartItems.push(newCartItem);
     }
 
     // Save to storage
-    if (saveCartItems(cartItems)) {
+    if (await saveCartItems(cartItems)) {
         // Trigger storage event for other tabs
-        window.dispatchEvent(new Event('storage'));
+        notifyCartChange();
         return existingItemIndex !== -1 ? cartItems[existingItemIndex] : cartItems[cartItems.length - 1];
     }
 
@@ -132,24 +235,33 @@ function addToCart(id, name, price, img) {
 /**
  * Remove item from cart
  * @param {number} id - Product ID
- * @returns {boolean} True if item was removed, false otherwise
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {Promise<boolean>} True if item was removed, false otherwise
  */
-function removeFromCart(id) {
+async function removeFromCart(id, variantId = null) {
     if (!id || isNaN(id)) {
         return false;
     }
 
-    const cartItems = getCartItems();
-    const filteredItems = cartItems.filter(item => item.id !== id);
+    if (isRemoteStore()) {
+        if ((await requestStore('DELETE', getCartItemPath(id, variantId))) === null) {
+            return false;
+        }
+        notifyCartChange();
+        return true;
+    }
+
+    const cartItems = await getCartItems();
+    const filteredItems = cartItems.filter(item => !isCartItemFor(item, id, variantId));
 
     if (filteredItems.length === cartItems.length) {
         // Item not found
         return false;
     }
 
-    if (saveCartItems(filteredItems)) {
+    if (await saveCartItems(filteredItems)) {
         // Trigger storage event for other tabs
-        window.dispatchEvent(new Event('storage'));
+        notifyCartChange();
         return true;
     }
 
@@ -160,35 +272,49 @@ function removeFromCart(id) {
  * Update item quantity in cart
  * @param {number} id - Product ID
  * @param {number} qty - New quantity
- * @returns {CartItem|null} Updated cart item or null if error
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {Promise<CartItem|null>} Updated cart item or null if error
+ * @throws {ValidationError} If the item is not in the cart or the quantity is more than the stock allows
  */
-function updateCartQuantity(id, qty) {
-    if (!id || isNaN(id)) {
+async function updateCartQuantity(id, qty, variantId = null) {
+    // If quantity is 0 or less, remove item
+    if (Number(qty) <= 0) {
+        await removeFromCart(id, variantId);
         return null;
     }
 
-    const quantity = parseInt(qty);
-    if (isNaN(quantity) || quantity < 1) {
-        // If quantity is 0 or less, remove item
-        if (quantity <= 0) {
-            removeFromCart(id);
+    const { value: fields, errors } = validateRecord(CART_ITEM_SCHEMA, { id, qty, variantId }, { partial: true });
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    if (isRemoteStore()) {
+        const updated = await requestStore('PUT', getCartItemPath(fields.id, fields.variantId), { qty: fields.qty });
+        if (!updated) {
             return null;
         }
-        return null;
+        notifyCartChange();
+        return CartItem.fromJSON(updated);
     }
 
-    const cartItems = getCartItems();
-    const itemIndex = cartItems.findIndex(item => item.id === id);
+    const cartItems = await getCartItems();
+    const itemIndex = cartItems.findIndex(item => isCartItemFor(item, fields.id, fields.variantId));
 
     if (itemIndex === -1) {
-        return null;
+        throw new ValidationError(createFieldError('not_found', 'id', 'Item is not in the cart'));
     }
 
-    cartItems[itemIndex].qty = quantity;
+    // Quantities are capped at the stock available
+    const available = getAvailableStock((await getProducts()).find(p => p.id === fields.id), fields.variantId);
+    if (fields.qty > available) {
+        throw new ValidationError(createFieldError('out_of_stock', 'qty', formatStockLimit(cartItems[itemIndex].name, available)));
+    }
+
+    cartItems[itemIndex].qty = fields.qty;
 
-    if (saveCartItems(cartItems)) {
+    if (await saveCartItems(cartItems)) {
         // Trigger storage event for other tabs
-        window.dispatchEvent(new Event('storage'));
+        notifyCartChange();
         return cartItems[itemIndex];
     }
 
@@ -197,47 +323,91 @@ function updateCartQuantity(id, qty) {
 
 /**
  * Clear all items from cart
- * @returns {boolean} True if cleared successfully
+ * @returns {Promise<boolean>} True if cleared successfully
  */
-function clearCart() {
+async function clearCart() {
     try {
-        localStorage.removeItem(CART_STORAGE_KEY);
+        await removeStore(CART_STORAGE_KEY);
         // Trigger storage event for other tabs
-        window.dispatchEvent(new Event('storage'));
+        notifyCartChange();
         return true;
     } catch (error) {
-        console.error('Error clearing cart:', error);
+        reportStorageError(error);
         return false;
     }
 }
 
 /**
  * Get total number of items in cart
- * @returns {number} Total quantity of items
+ * @returns {Promise<number>} Total quantity of items
  */
-function getCartItemCount() {
-    const cartItems = getCartItems();
+async function getCartItemCount() {
+    const cartItems = await getCartItems();
     return cartItems.reduce((total, item) => total + item.qty, 0);
 }
 
+/**
+ * Price every cart item at today's prices, with promotions applied
+ * @returns {Promise<Array>} Lines from priceCartItem, in cart order
+ */
+async function getCartPricing() {
+    const cartItems = await getCartItems();
+    const products = await getProducts();
+    const promotions = await getPromotions();
+    const now = Date.now();
+    return cartItems.map(item => priceCartItem(item, products.find(p => p.id === item.id), promotions, now));
+}
+
 /**
  * Calculate total amount of cart
- * @returns {number} Total price of all items
+ * @returns {Promise<number>} Total price of all items at today's prices
  */
-function getCartTotal() {
-    const cartItems = getCartItems();
-    return cartItems.reduce((total, item) => total + item.getTotal(), 0);
+async function getCartTotal() {
+    const lines = await getCartPricing();
+    return lines.reduce((total, line) => total + line.total, 0);
 }
 
 /**
- * Checkout - clear cart and return success
- * @returns {boolean} True if checkout successful
+ * Checkout - take the cart out of stock and clear it
+ * Every item is checked before any stock is changed, so either all
+ * quantities are taken out of stock or none are. With the REST adapter the
+ * server does this in one request, so two carts cannot both take the last unit.
+ * @returns {Promise<boolean>} True if checkout successful
+ * @throws {ValidationError} If any item is short of stock
  */
-function checkout() {
-    if (clearCart()) {
+async function checkout() {
+    if (isRemoteStore()) {
+        if (!(await requestStore('POST', 'cart/checkout'))) {
+            return false;
+        }
+        notifyCartChange();
         return true;
     }
-    return false;
+
+    const cartItems = await getCartItems();
+    const products = await getProducts();
+
+    const shortages = findStockShortages(cartItems, products);
+    if (shortages.length > 0) {
+        throw new ValidationError(shortages.map(shortage => createFieldError('out_of_stock', 'qty', formatStockLimit(shortage.name, shortage.available))));
+    }
+
+    const now = new Date().toISOString();
+    cartItems.forEach(item => {
+        const product = products.find(p => p.id === item.id);
+        // The main size keeps its stock on the product itself
+        const holder = item.variantId === null ? product : product.variants.find(v => v.id === item.variantId);
+        if (holder.stock !== null) {
+            holder.stock -= item.qty;
+            product.updatedAt = now;
+        }
+    });
+
+    if (!(await saveProducts(products))) {
+        return false;
+    }
+
+    return clearCart();
 }
 
 // Export functions for use in other scripts
@@ -251,8 +421,10 @@ if (typeof module !== 'undefined' && module.exports) {
         updateCartQuantity,
         clearCart,
         getCartItemCount,
+        getCartPricing,
         getCartTotal,
-        checkout
+        checkout,
+        findStockShortages
     };
 }
 
@@ -0,0 +1,427 @@
+/**
+ * Catalog Import & Export
+ * Parses CSV and JSON product lists, maps their columns onto product fields,
+ * validates every row with the same rules as addProduct and writes the
+ * catalog back out as CSV or JSON
+ */
+
+/**
+ * Product fields an import column can be mapped to
+ * `aliases` are normalised header names that map to the field automatically
+ */
+const IMPORT_FIELDS = {
+    id: { label: 'ID', aliases: ['id', 'productid'] },
+    name: { label: 'Name', aliases: ['name', 'product', 'productname', 'title', 'item', 'itemname'] },
+    price: { label: 'Price', aliases: ['price', 'mrp', 'rate', 'cost', 'sellingprice'] },
+    image: { label: 'Image URL', aliases: ['image', 'imageurl', 'img', 'picture', 'photo'] },
+    packSize: { label: 'Pack size', aliases: ['packsize', 'size', 'netweight', 'weight', 'volume'] },
+    unit: { label: 'Unit', aliases: ['unit', 'packunit', 'uom'] },
+    category: { label: 'Category', aliases: ['category', 'department'] },
+    brand: { label: 'Brand', aliases: ['brand', 'manufacturer'] },
+    sku: { label: 'SKU', aliases: ['sku', 'code', 'itemcode', 'productcode', 'barcode'] },
+    stock: { label: 'Stock', aliases: ['stock', 'qty', 'quantity', 'inventory', 'onhand'] },
+    tags: { label: 'Tags', aliases: ['tags', 'keywords'] },
+    description: { label: 'Description', aliases: ['description', 'details', 'notes'] },
+    variants: { label: 'Variants (JSON)', aliases: ['variants', 'sizes'] }
+};
+
+/**
+ * Columns written by exportCatalog, in order
+ */
+const EXPORT_COLUMNS = ['id', 'name', 'price', 'image', 'packSize', 'unit', 'category', 'brand', 'sku', 'stock', 'tags', 'description', 'createdAt', 'updatedAt'];
+
+// Fields that are stored as text
+const TEXT_FIELDS = ['name', 'image', 'category', 'brand', 'sku', 'description'];
+
+// Leading characters that make spreadsheets treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Normalise a column header for alias matching, e.g. "Pack Size" -> "packsize"
+ * @param {string} header - Column header
+ * @returns {string} Normalised header
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess the delimiter of a CSV file from its first line
+ * @param {string} text - CSV text
+ * @returns {string} ',', ';' or a tab
+ */
+function detectDelimiter(text) {
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }));
+    return counts.reduce((best, entry) => (entry.count > best.count ? entry : best)).delimiter;
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may hold
+ * delimiters, doubled quotes and line breaks)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Cell delimiter, detected when omitted
+ * @returns {Array} Array of rows, each an array of strings
+ */
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    text = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read an import file into column headers and records
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { columns, records } where each record maps column -> value
+ * @throws {Error} If the file cannot be read as a product list
+ */
+function readImportFile(text, format) {
+    if (format === 'json') {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+        if (!Array.isArray(list)) {
+            throw new Error('JSON must be an array of products or { "products": [...] }');
+        }
+        if (list.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+            throw new Error('Every product in the JSON must be an object');
+        }
+        const columns = [...new Set(list.flatMap(record => Object.keys(record)))];
+        return { columns, records: list };
+    }
+
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+
+    const columns = rows[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+    const records = rows.slice(1).map(cells => {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = cells[index] ?? '';
+        });
+        return record;
+    });
+    return { columns, records };
+}
+
+/**
+ * Map columns onto product fields by their header names
+ * @param {Array} columns - Column headers
+ * @returns {Object} Mapping of column -> field name ('' for ignored columns)
+ */
+function guessColumnMapping(columns) {
+    const mapping = {};
+    const used = new Set();
+
+    columns.forEach(column => {
+        const header = normalizeHeader(column);
+        const field = Object.keys(IMPORT_FIELDS).find(key => !used.has(key) && IMPORT_FIELDS[key].aliases.includes(header));
+        mapping[column] = field || '';
+        if (field) {
+            used.add(field);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Read the variants of a CSV cell, e.g. '[{"label":"1 kg","price":120}]'
+ * @param {string} text - Trimmed cell text
+ * @returns {*} The parsed variants, [] for an empty cell, or the text if it is not JSON
+ */
+function parseVariantsCell(text) {
+    if (text === '') {
+        return [];
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+/**
+ * Turn a mapped record into product fields
+ * Only mapped columns are returned, so an update keeps unmapped fields.
+ * @param {Object} record - Column -> value
+ * @param {Object} mapping - Column -> field name
+ * @returns {Object} Product fields
+ */
+function mapRecord(record, mapping) {
+    const fields = {};
+
+    Object.entries(mapping).forEach(([column, field]) => {
+        if (!field || record[column] === undefined) {
+            return;
+        }
+
+        let value = record[column];
+        if (typeof value === 'string') {
+            value = value.trim();
+            // Undo the formula guard added by exportCatalog
+            if (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))) {
+                value = value.slice(1);
+            }
+        }
+
+        if (typeof value === 'number' && TEXT_FIELDS.includes(field)) {
+            // JSON files may hold numeric SKUs or names
+            value = String(value);
+        }
+
+        if (field === 'variants' && typeof value === 'string') {
+            // A CSV cell can hold the variants as JSON text; anything else is
+            // left as it is for VARIANT_SCHEMA to reject
+            value = parseVariantsCell(value);
+        }
+
+        if (field === 'price' && typeof value === 'string') {
+            // Supplier lists often write prices like "₹1,250.00"
+            value = value.replace(/[₹,\s]/g, '');
+        }
+
+        fields[field] = value;
+    });
+
+    return fields;
+}
+
+/**
+ * Work out what importing a list of records would do, without saving anything
+ * Every row is checked with validateProductFields against the catalog as it
+ * would be after the rows before it, so SKUs must also be unique within the file.
+ * Rows matching a product without changing any of its fields are left alone.
+ * New rows that look like a product already in the catalog (see
+ * findDuplicateCandidates) are added with a warning, or merged into it.
+ * @param {Array} records - Records from readImportFile
+ * @param {Object} mapping - Column -> field name
+ * @param {Array} products - Current products
+ * @param {string} mode - 'upsert' (update rows matching an id or SKU) or 'append'
+ * @param {string} duplicates - 'warn' (add likely duplicates) or 'merge'
+ * @returns {Object} { rows: [{ row, action, product, error, matchedBy, duplicates }], products, summary, input }
+ *     where action is 'add', 'update', 'unchanged', 'merge' or 'error', and
+ *     input holds the arguments, for the server to plan the import again
+ */
+function planImport(records, mapping, products, mode = 'upsert', duplicates = 'warn') {
+    const result = products.map(product => Product.fromJSON(product.toJSON()));
+    const now = new Date().toISOString();
+    let nextId = getNextProductId(result);
+    const summary = { added: 0, updated: 0, unchanged: 0, merged: 0, failed: 0 };
+
+    const rows = records.map((record, index) => {
+        // Row numbers as a spreadsheet shows them (row 1 is the header)
+        const row = index + 2;
+        const fields = mapRecord(record, mapping);
+
+        let match = null;
+        let matchedBy = null;
+        if (mode === 'upsert') {
+            const id = Number(fields.id);
+            const sku = String(fields.sku || '').toUpperCase();
+            match = Number.isInteger(id) && id > 0 ? result.find(product => product.id === id) : null;
+            matchedBy = match ? 'id' : null;
+            if (!match && sku) {
+                match = result.find(product => product.sku && product.sku.toUpperCase() === sku) || null;
+                matchedBy = match ? 'sku' : null;
+            }
+        }
+
+        const candidate = match ? { ...match.toJSON(), ...fields } : fields;
+        const { value: valid, errors } = validateProductFields(candidate, result, match ? match.id : null);
+        if (errors.length > 0) {
+            summary.failed++;
+            return { row, action: 'error', error: errors.map(error => error.message).join('. '), fields };
+        }
+
+        if (match) {
+            const before = JSON.stringify(match.toJSON());
+            setProductPrice(match, valid.price, now);
+            Object.assign(match, valid);
+            // Re-importing an export changes nothing, so it is not dated or audited
+            if (JSON.stringify(match.toJSON()) === before) {
+                summary.unchanged++;
+                return { row, action: 'unchanged', product: match, matchedBy };
+            }
+            match.updatedAt = now;
+            summary.updated++;
+            return { row, action: 'update', product: match, matchedBy };
+        }
+
+        const likely = findDuplicateCandidates(valid, result);
+        if (likely.length > 0 && duplicates === 'merge') {
+            const target = likely[0].product;
+            const { value: merged, errors: mergeErrors } = validateProductFields(mergeProductFields(target, valid), result, target.id, true);
+            if (mergeErrors.length > 0) {
+                summary.failed++;
+                return { row, action: 'error', error: mergeErrors.map(error => error.message).join('. '), fields };
+            }
+            Object.assign(target, merged, { updatedAt: now });
+            summary.merged++;
+            return { row, action: 'merge', product: target, duplicates: likely };
+        }
+
+        const product = new Product(nextId++, valid.name, valid.price, valid.image, valid.packSize, valid.unit, {
+            ...valid,
+            createdAt: now,
+            updatedAt: now
+        });
+        result.push(product);
+        summary.added++;
+        return { row, action: 'add', product, duplicates: likely };
+    });
+
+    return { rows, products: result, summary, input: { records, mapping, mode, duplicates } };
+}
+
+/**
+ * Apply an import plan by saving its products
+ * Rows with errors are skipped; every valid row is saved in one write.
+ * With the REST adapter the server plans the import again against its current
+ * catalog and applies that, so products changed since the preview are kept.
+ * @param {Object} plan - Result of planImport
+ * @returns {Promise<boolean>} True if saved successfully
+ */
+async function applyImport(plan) {
+    if (isRemoteStore()) {
+        return (await requestProductChange('POST', 'products/import', plan.input)) !== null;
+    }
+
+    const before = await getProducts();
+    if (!(await saveProducts(plan.products))) {
+        return false;
+    }
+
+    const { added, updated, merged } = plan.summary;
+    const mergedText = merged > 0 ? ` (${merged} merged into likely duplicates)` : '';
+    await logProductChange('import', `Imported ${added} new and ${updated + merged} updated products${mergedText}`, diffProducts(before, plan.products));
+    return true;
+}
+
+/**
+ * Quote a CSV cell when needed
+ * Text that a spreadsheet would run as a formula gets a leading apostrophe.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function formatCsvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write products as CSV or JSON
+ * @param {Array} products - Array of Product objects
+ * @param {string} format - 'csv' or 'json'
+ * @param {string|Array|null} sortSpec - Optional MergeSort spec, e.g. 'category,name'
+ * @returns {string} File contents
+ */
+function exportCatalog(products, format = 'csv', sortSpec = null) {
+    const ordered = sortSpec ? MergeSort.sort(products, sortSpec) : products;
+
+    if (format === 'json') {
+        return JSON.stringify(ordered.map(product => product.toJSON()), null, 2);
+    }
+
+    const lines = [EXPORT_COLUMNS.join(',')];
+    ordered.forEach(product => {
+        const record = product.toJSON();
+        lines.push(EXPORT_COLUMNS
+            .map(column => formatCsvCell(column === 'tags' ? record.tags.join(', ') : record[column]))
+            .join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Columns written by exportPriceHistory, in order
+ */
+const PRICE_HISTORY_COLUMNS = ['id', 'name', 'sku', 'date', 'price'];
+
+/**
+ * Write the price history of products as CSV (one row per price) or JSON
+ * @param {Array} products - Array of Product objects
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File contents
+ */
+function exportPriceHistory(products, format = 'csv') {
+    if (format === 'json') {
+        const records = products.map(product => ({
+            id: product.id,
+            name: product.name,
+            sku: product.sku,
+            priceHistory: product.priceHistory
+        }));
+        return JSON.stringify(records, null, 2);
+    }
+
+    const lines = [PRICE_HISTORY_COLUMNS.join(',')];
+    products.forEach(product => {
+        product.priceHistory.forEach(point => {
+            lines.push([product.id, product.name, product.sku, point.date, point.price].map(formatCsvCell).join(','));
+        });
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        IMPORT_FIELDS,
+        EXPORT_COLUMNS,
+        parseCsv,
+        readImportFile,
+        guessColumnMapping,
+        mapRecord,
+        planImport,
+        applyImport,
+        exportCatalog,
+        exportPriceHistory
+    };
+}
@@ -0,0 +1,20 @@
+/**
+ * Shop Configuration
+ * Settings shared by every page, loaded before the other scripts
+ */
+
+const SHOP_CONFIG = {
+    // Where products and the cart are kept: 'localStorage', 'indexedDB' or 'http'
+    storage: 'localStorage',
+    // Base URL of the REST API used by the 'http' adapter
+    apiBaseUrl: '/api',
+    // Database used by the 'indexedDB' adapter
+    databaseName: 'grocno'
+};
+
+// Export configuration for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHOP_CONFIG
+    };
+}
@@ -0,0 +1,224 @@
+/**
+ * Duplicate Detection
+ * Scores how likely two products are the same item by comparing normalised
+ * names token by token and their image URLs, and works out what a product
+ * looks like once a duplicate has been merged into it.
+ */
+
+// Products scoring at least this much are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.75;
+
+// Added to the name score when both products use the same image
+const DUPLICATE_IMAGE_BONUS = 0.5;
+
+// Name scores are scaled by this when the products have different brands
+const DUPLICATE_BRAND_PENALTY = 0.5;
+
+/**
+ * Normalise a product name for comparison: lower case, no accents,
+ * punctuation turned into spaces and runs of whitespace collapsed
+ * e.g. "  Fortune   Oil. " -> "fortune oil"
+ * @param {string} name - Product name
+ * @returns {string} Normalised name
+ */
+function normalizeProductName(name) {
+    return String(name ?? '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Split a name into comparable tokens
+ * A trailing plural "s" is dropped so "Oils" matches "Oil".
+ * @param {string} name - Product name
+ * @returns {Set} Tokens
+ */
+function tokenizeProductName(name) {
+    const tokens = normalizeProductName(name)
+        .split(' ')
+        .filter(Boolean)
+        .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token));
+    return new Set(tokens);
+}
+
+/**
+ * Compare two names by the tokens they share (Dice coefficient)
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 1 for the same tokens, 0 for none in common
+ */
+function getNameSimilarity(a, b) {
+    const tokensA = tokenizeProductName(a);
+    const tokensB = tokenizeProductName(b);
+    if (tokensA.size === 0 || tokensB.size === 0) {
+        return 0;
+    }
+
+    let shared = 0;
+    tokensA.forEach(token => {
+        if (tokensB.has(token)) {
+            shared++;
+        }
+    });
+    return (2 * shared) / (tokensA.size + tokensB.size);
+}
+
+/**
+ * Normalise an image URL for comparison: no query string, fragment,
+ * leading "./" or trailing slash, and lower case
+ * @param {string} image - Image URL or "idb:<id>" reference
+ * @returns {string} Normalised URL, or '' for none
+ */
+function normalizeImageUrl(image) {
+    return String(image ?? '')
+        .trim()
+        .replace(/[?#].*$/, '')
+        .replace(/^\.\//, '')
+        .replace(/\/+$/, '')
+        .toLowerCase();
+}
+
+/**
+ * Score how likely two products are the same item
+ * @param {Object} candidate - Product or fields with name, image and optional brand
+ * @param {Object} product - Existing product
+ * @returns {Object} { score, reasons } with a score from 0 to 1
+ */
+function scoreDuplicate(candidate, product) {
+    const reasons = [];
+    const sameName = normalizeProductName(candidate.name) === normalizeProductName(product.name);
+    let score = sameName ? 1 : getNameSimilarity(candidate.name, product.name);
+
+    if (sameName) {
+        reasons.push('same name');
+    } else if (score > 0) {
+        reasons.push(`${Math.round(score * 100)}% similar name`);
+    }
+
+    const brandA = normalizeProductName(candidate.brand);
+    const brandB = normalizeProductName(product.brand);
+    if (!sameName && brandA && brandB && brandA !== brandB) {
+        score *= DUPLICATE_BRAND_PENALTY;
+    }
+
+    const image = normalizeImageUrl(candidate.image);
+    if (image && image === normalizeImageUrl(product.image)) {
+        score = Math.min(1, score + DUPLICATE_IMAGE_BONUS);
+        reasons.push('same image');
+    }
+
+    return { score, reasons };
+}
+
+/**
+ * Find existing products that look like the same item as a candidate
+ * @param {Object} candidate - Fields with name, image and optional brand
+ * @param {Array} products - Existing products
+ * @param {number|null} excludeId - ID of the candidate itself when editing
+ * @returns {Array} [{ product, score, reasons }], most likely first
+ */
+function findDuplicateCandidates(candidate, products, excludeId = null) {
+    return products
+        .filter(product => product.id !== excludeId)
+        .map(product => ({ product, ...scoreDuplicate(candidate, product) }))
+        .filter(match => match.score >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Group the products of a catalog that look like the same item
+ * Products are grouped when any pair of them scores as a likely duplicate.
+ * @param {Array} products - Products
+ * @returns {Array} [{ products, pairs: [{ a, b, score, reasons }] }], largest groups first
+ */
+function findDuplicateGroups(products) {
+    const parent = new Map(products.map(product => [product.id, product.id]));
+    const find = id => (parent.get(id) === id ? id : find(parent.get(id)));
+    const pairs = [];
+
+    products.forEach((a, i) => {
+        products.slice(i + 1).forEach(b => {
+            const { score, reasons } = scoreDuplicate(a, b);
+            if (score >= DUPLICATE_THRESHOLD) {
+                pairs.push({ a, b, score, reasons });
+                parent.set(find(b.id), find(a.id));
+            }
+        });
+    });
+
+    const groups = new Map();
+    products.forEach(product => {
+        const root = find(product.id);
+        if (!groups.has(root)) {
+            groups.set(root, { products: [], pairs: [] });
+        }
+        groups.get(root).products.push(product);
+    });
+    pairs.forEach(pair => groups.get(find(pair.a.id)).pairs.push(pair));
+
+    return [...groups.values()]
+        .filter(group => group.products.length > 1)
+        .sort((a, b) => b.products.length - a.products.length);
+}
+
+/**
+ * Work out the fields of a product once a duplicate has been merged into it
+ * The product keeps its own name, price and image. Empty catalog fields are
+ * filled from the duplicate, tags are combined and variants carried over.
+ * A duplicate in a different pack size becomes a variant; otherwise its
+ * stock is added to the product's.
+ * @param {Object} target - Product that is kept
+ * @param {Object} source - Validated fields of the duplicate
+ * @returns {Object} Fields for updateProduct / validateProductFields
+ */
+function mergeProductFields(target, source) {
+    const merged = {
+        category: target.category || source.category || '',
+        brand: target.brand || source.brand || '',
+        description: target.description || source.description || '',
+        tags: [...new Set([...target.tags, ...(source.tags || [])])],
+        variants: [...target.variants, ...(source.variants || []).map(variant => ({ ...variant, id: null }))]
+    };
+
+    const sourcePack = formatPackSize(source);
+    const targetPack = formatPackSize(target);
+    if (sourcePack && targetPack && sourcePack !== targetPack) {
+        merged.variants.push({
+            id: null,
+            label: '',
+            price: source.price,
+            packSize: source.packSize,
+            unit: source.unit,
+            sku: source.sku || '',
+            stock: source.stock ?? null,
+            image: normalizeImageUrl(source.image) === normalizeImageUrl(target.image) ? '' : source.image
+        });
+        return merged;
+    }
+
+    if (!targetPack && sourcePack) {
+        merged.packSize = source.packSize;
+        merged.unit = source.unit;
+    }
+    merged.sku = target.sku || source.sku || '';
+    const sourceStock = source.stock ?? null;
+    merged.stock = target.stock === null && sourceStock === null ? null : (target.stock || 0) + (sourceStock || 0);
+    return merged;
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DUPLICATE_THRESHOLD,
+        normalizeProductName,
+        getNameSimilarity,
+        normalizeImageUrl,
+        scoreDuplicate,
+        findDuplicateCandidates,
+        findDuplicateGroups,
+        mergeProductFields
+    };
+}
@@ -0,0 +1,132 @@
+/**
+ * Product Filters
+ * Narrows the catalog by category, brand, price and stock, and counts how
+ * many products each category and brand option would leave. Counts are
+ * faceted: an option's count applies every other filter but its own group's,
+ * so ticking one more brand never shows the other brands as empty.
+ * Prices are passed in as a function so callers can apply promotions.
+ * Load after products.js and mergesort.js.
+ */
+
+/**
+ * Create a filter state that lets every product through
+ * @returns {Object} { categories, brands, minPrice, maxPrice, inStockOnly }
+ *     where categories and brands are Sets (empty means any) and a null
+ *     price means unbounded
+ */
+function createProductFilters() {
+    return {
+        categories: new Set(),
+        brands: new Set(),
+        minPrice: null,
+        maxPrice: null,
+        inStockOnly: false
+    };
+}
+
+/**
+ * Check whether any filter is narrowing the catalog
+ * @param {Object} filters - Filter state from createProductFilters
+ * @returns {boolean} True if at least one filter is set
+ */
+function hasActiveFilters(filters) {
+    return filters.categories.size > 0
+        || filters.brands.size > 0
+        || filters.minPrice !== null
+        || filters.maxPrice !== null
+        || filters.inStockOnly;
+}
+
+/**
+ * Get the lowest and highest price over every size of the given products,
+ * widened to whole rupees for the price slider
+ * @param {Array} products - Products
+ * @param {Function} priceOf - Price of a size: (product, variant) => number
+ * @returns {Object|null} { min, max }, or null when there are no products
+ */
+function getPriceBounds(products, priceOf) {
+    const prices = products.flatMap(product => getProductVariants(product).map(variant => priceOf(product, variant)));
+    if (prices.length === 0) {
+        return null;
+    }
+    return {
+        min: Math.floor(Math.min(...prices)),
+        max: Math.ceil(Math.max(...prices))
+    };
+}
+
+/**
+ * Check whether a product passes the filters
+ * A product passes the price and stock filters when any one of its sizes does.
+ * @param {Object} product - Product
+ * @param {Object} filters - Filter state from createProductFilters
+ * @param {Function} priceOf - Price of a size: (product, variant) => number
+ * @param {string|null} ignore - 'categories' or 'brands' to leave that group out, for facet counts
+ * @returns {boolean} True if the product passes
+ */
+function matchesProductFilters(product, filters, priceOf, ignore = null) {
+    if (ignore !== 'categories' && filters.categories.size > 0 && !filters.categories.has(product.category)) {
+        return false;
+    }
+    if (ignore !== 'brands' && filters.brands.size > 0 && !filters.brands.has(product.brand)) {
+        return false;
+    }
+
+    return getProductVariants(product).some(variant => {
+        const price = priceOf(product, variant);
+        return (filters.minPrice === null || price >= filters.minPrice)
+            && (filters.maxPrice === null || price <= filters.maxPrice)
+            && (!filters.inStockOnly || getStockStatus(variant) !== 'out-of-stock');
+    });
+}
+
+/**
+ * Keep the products that pass the filters, in the order given
+ * @param {Array} products - Products
+ * @param {Object} filters - Filter state from createProductFilters
+ * @param {Function} priceOf - Price of a size: (product, variant) => number
+ * @returns {Array} Matching products
+ */
+function filterProducts(products, filters, priceOf) {
+    return products.filter(product => matchesProductFilters(product, filters, priceOf));
+}
+
+/**
+ * Count the products each category and brand option would leave
+ * Every category and brand in the catalog is listed, with a count of 0 when
+ * the other filters rule it out, in alphabetical order.
+ * @param {Array} catalog - Every product, to list the options
+ * @param {Array} products - Products to count, e.g. the search results
+ * @param {Object} filters - Filter state from createProductFilters
+ * @param {Function} priceOf - Price of a size: (product, variant) => number
+ * @returns {Object} { categories, brands } as [{ value, count }]
+ */
+function getFacetCounts(catalog, products, filters, priceOf) {
+    const countBy = (group, field) => {
+        const counts = new Map(catalog.map(product => [product[field], 0]));
+        products.forEach(product => {
+            if (matchesProductFilters(product, filters, priceOf, group)) {
+                counts.set(product[field], (counts.get(product[field]) || 0) + 1);
+            }
+        });
+        const options = [...counts].map(([value, count]) => ({ value, count }));
+        return MergeSort.sort(options, { key: 'value', type: 'string' });
+    };
+
+    return {
+        categories: countBy('categories', 'category'),
+        brands: countBy('brands', 'brand')
+    };
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createProductFilters,
+        hasActiveFilters,
+        getPriceBounds,
+        matchesProductFilters,
+        filterProducts,
+        getFacetCounts
+    };
+}
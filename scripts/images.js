@@ -0,0 +1,211 @@
+/**
+ * Product Images
+ * Uploaded images are resized in the browser and kept as blobs in IndexedDB,
+ * and products refer to them as "idb:<id>". These stay in the browser they
+ * were uploaded in, whichever storage adapter holds the products.
+ * Images that are missing or fail to load are replaced by a generated
+ * placeholder with the product's initials, so no network service is needed.
+ * Load after storage.js.
+ */
+
+// Prefix of image references that point into IndexedDB
+const STORED_IMAGE_PREFIX = 'idb:';
+
+// Longest side of stored images and thumbnails, in pixels
+const IMAGE_MAX_SIZE = 800;
+const IMAGE_THUMB_SIZE = 160;
+
+// JPEG quality of resized images
+const IMAGE_QUALITY = 0.85;
+
+// Largest file accepted for upload, in bytes
+const IMAGE_MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+const IMAGE_STORE_NAME = 'images';
+
+// Runs requests against the image store, created on first use
+let imageStoreRunner = null;
+
+// Object URLs of stored images, by "<id>:<size>"
+const storedImageUrls = new Map();
+
+/**
+ * Run a request against the image store, in a database named after the shop
+ * database in config.js
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Called with the object store, returns a request
+ * @returns {Promise<*>} Result of the request
+ */
+function runImageTransaction(mode, action) {
+    if (!imageStoreRunner) {
+        const baseName = typeof SHOP_CONFIG !== 'undefined' && SHOP_CONFIG.databaseName ? SHOP_CONFIG.databaseName : 'grocno';
+        imageStoreRunner = createIndexedDBRunner(`${baseName}_images`, IMAGE_STORE_NAME, { keyPath: 'id' });
+    }
+    return imageStoreRunner(mode, action);
+}
+
+/**
+ * Check whether an image reference points into IndexedDB
+ * @param {string} src - Image URL or reference
+ * @returns {boolean} True for "idb:<id>" references
+ */
+function isStoredImage(src) {
+    return typeof src === 'string' && src.startsWith(STORED_IMAGE_PREFIX);
+}
+
+/**
+ * Scale an image file down to fit a square
+ * @param {Blob} file - Image file
+ * @param {number} maxSize - Longest side, in pixels
+ * @returns {Promise<Blob>} Resized image; PNGs stay PNG to keep transparency
+ */
+async function resizeImage(file, maxSize) {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not resize the image'))), type, IMAGE_QUALITY);
+    });
+}
+
+/**
+ * Resize an uploaded image and store it with a thumbnail
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Image reference to use as a product image
+ * @throws {Error} If the file is not an image, is too large or cannot be read
+ */
+async function saveImageFile(file) {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`${file.name} is not an image`);
+    }
+    if (file.size > IMAGE_MAX_FILE_SIZE) {
+        throw new Error(`${file.name} is larger than ${IMAGE_MAX_FILE_SIZE / 1024 / 1024} MB`);
+    }
+
+    const full = await resizeImage(file, IMAGE_MAX_SIZE);
+    const thumb = await resizeImage(file, IMAGE_THUMB_SIZE);
+    const id = `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    await runImageTransaction('readwrite', store => store.put({
+        id,
+        name: file.name,
+        full,
+        thumb,
+        createdAt: new Date().toISOString()
+    }));
+
+    return `${STORED_IMAGE_PREFIX}${id}`;
+}
+
+/**
+ * Get a displayable URL for a stored image
+ * @param {string} src - "idb:<id>" reference
+ * @param {string} size - 'full' or 'thumb'
+ * @returns {Promise<string|null>} Object URL, or null if the image is not stored here
+ */
+async function getStoredImageUrl(src, size = 'full') {
+    const id = src.slice(STORED_IMAGE_PREFIX.length);
+    const cacheKey = `${id}:${size}`;
+
+    if (!storedImageUrls.has(cacheKey)) {
+        const url = runImageTransaction('readonly', store => store.get(id))
+            .then(record => (record ? URL.createObjectURL(record[size] || record.full) : null))
+            .catch(error => {
+                console.error('Error loading stored image:', error);
+                return null;
+            });
+        storedImageUrls.set(cacheKey, url);
+    }
+
+    return storedImageUrls.get(cacheKey);
+}
+
+/**
+ * Get up to two initials from a name, e.g. "Tata Salt" -> "TS"
+ * @param {string} name - Product name
+ * @returns {string} Initials, or '?' for an empty name
+ */
+function getInitials(name) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    const initials = words.slice(0, 2).map(word => Array.from(word)[0].toUpperCase()).join('');
+    return initials || '?';
+}
+
+/**
+ * Generate a placeholder image with a name's initials on a colour picked from the name
+ * @param {string} name - Product name
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} SVG data URL
+ */
+function createPlaceholderImage(name, width = 250, height = 200) {
+    const text = String(name || '');
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = (hash * 31 + text.charCodeAt(i)) % 360;
+    }
+
+    const initials = getInitials(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const fontSize = Math.round(Math.min(width, height) * 0.4);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<rect width="100%" height="100%" fill="hsl(${hash}, 45%, 55%)"/>`
+        + `<text x="50%" y="50%" dy=".35em" text-anchor="middle" fill="#fff" font-family="Poppins, sans-serif" font-size="${fontSize}" font-weight="600">${initials}</text>`
+        + '</svg>';
+
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Show a product image, with a placeholder while a stored image loads
+ * or when the image cannot be shown
+ * @param {HTMLImageElement} img - Image element
+ * @param {string} src - Image URL or "idb:<id>" reference
+ * @param {string} name - Product name, for the placeholder
+ * @param {string} size - 'full' or 'thumb' for stored images
+ */
+function setImageSource(img, src, name, size = 'full') {
+    const placeholder = createPlaceholderImage(name);
+    img.dataset.imageSrc = src || '';
+    img.onerror = () => {
+        img.onerror = null;
+        img.src = placeholder;
+    };
+
+    if (!src) {
+        img.src = placeholder;
+        return;
+    }
+
+    if (!isStoredImage(src)) {
+        img.src = src;
+        return;
+    }
+
+    img.src = placeholder;
+    getStoredImageUrl(src, size).then(url => {
+        // Skip if the element has been given another image since
+        if (url && img.dataset.imageSrc === src) {
+            img.src = url;
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORED_IMAGE_PREFIX,
+        isStoredImage,
+        saveImageFile,
+        getStoredImageUrl,
+        getInitials,
+        createPlaceholderImage,
+        setImageSource
+    };
+}
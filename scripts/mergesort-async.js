@@ -0,0 +1,178 @@
+/**
+ * Asynchronous Merge Sort
+ * Runs large sorts in a Web Worker so the page stays responsive
+ * Adds MergeSort.sortAsync; load after mergesort.js
+ */
+
+// Catalogs smaller than this sort faster on the main thread than a worker can start
+const ASYNC_SORT_MIN_ITEMS = 2000;
+
+// Worker script, resolved next to this file so every page can use it
+const SORT_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('sort-worker.js', document.currentScript.src).href
+    : 'scripts/sort-worker.js';
+
+/**
+ * Create the error used to reject cancelled sorts
+ * @returns {Error} Error named 'AbortError'
+ */
+function createAbortError() {
+    const error = new Error('Sort cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Read the sort keys and ids the worker needs, and nothing else
+ * @param {Array} products - Array of Product objects
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @returns {Object|null} { ids, keys, transfer } or null if the spec cannot run in a worker
+ */
+function buildSortPayload(products, spec) {
+    if (typeof spec === 'function') {
+        return null;
+    }
+
+    const keys = compileSortKeys(spec);
+    if (keys.some(key => !COMPARE_TYPES[key.type])) {
+        return null;
+    }
+
+    // Results come back as ids, so they must identify products uniquely
+    const ids = Float64Array.from(products, product => Number(product.id));
+    if (ids.some(isNaN) || new Set(ids).size !== ids.length) {
+        return null;
+    }
+
+    const transfer = [ids.buffer];
+    const columns = keys.map(key => {
+        const values = key.type === 'number'
+            ? Float64Array.from(products, product => key.value(product))
+            : products.map(product => key.value(product));
+        if (values instanceof Float64Array) {
+            transfer.push(values.buffer);
+        }
+        return { type: key.type, collation: key.collation, sign: key.sign, values };
+    });
+
+    return { ids, keys: columns, transfer };
+}
+
+/**
+ * Sort on the main thread, but still asynchronously so callers see one behaviour
+ * @param {Array} products - Array of Product objects
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @param {Object} options - Same options as sortAsync
+ * @returns {Promise<Array>} Sorted array of products
+ */
+function sortOnMainThread(products, spec, options) {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            if (options.signal && options.signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+            try {
+                const sorted = sortProducts(products, spec, { algorithm: options.algorithm });
+                if (options.onProgress) {
+                    options.onProgress(1);
+                }
+                resolve(sorted);
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+}
+
+/**
+ * Sort products in a Web Worker
+ * Falls back to the main thread when workers are unavailable, the catalog is
+ * small, or the spec uses a comparator function that cannot be sent to a worker.
+ * @param {Array} products - Array of Product objects
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @param {Object} options - { signal: AbortSignal, onProgress: fraction => void, algorithm }
+ * @returns {Promise<Array>} Sorted array of products; rejects with an AbortError when cancelled
+ */
+function sortAsync(products, spec, options = {}) {
+    const settings = { algorithm: 'bottomUp', ...options };
+    const { signal, onProgress } = settings;
+
+    if (signal && signal.aborted) {
+        return Promise.reject(createAbortError());
+    }
+
+    if (!Array.isArray(products) || products.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    const payload = typeof Worker !== 'undefined' && products.length >= ASYNC_SORT_MIN_ITEMS
+        ? buildSortPayload(products, spec)
+        : null;
+
+    if (!payload) {
+        return sortOnMainThread(products, spec, settings);
+    }
+
+    let worker;
+    try {
+        worker = new Worker(SORT_WORKER_URL);
+    } catch (error) {
+        // e.g. pages opened from file://, where browsers refuse to start workers
+        return sortOnMainThread(products, spec, settings);
+    }
+
+    return new Promise((resolve, reject) => {
+        const finish = () => {
+            worker.terminate();
+            if (signal) {
+                signal.removeEventListener('abort', handleAbort);
+            }
+        };
+
+        const handleAbort = () => {
+            finish();
+            reject(createAbortError());
+        };
+
+        if (signal) {
+            signal.addEventListener('abort', handleAbort);
+        }
+
+        worker.onmessage = event => {
+            if (event.data.type === 'progress') {
+                if (onProgress) {
+                    onProgress(event.data.progress);
+                }
+                return;
+            }
+
+            finish();
+            const byId = new Map(products.map(product => [Number(product.id), product]));
+            if (onProgress) {
+                onProgress(1);
+            }
+            resolve(Array.from(event.data.ids, id => byId.get(id)));
+        };
+
+        worker.onerror = event => {
+            event.preventDefault();
+            finish();
+            sortOnMainThread(products, spec, settings).then(resolve, reject);
+        };
+
+        worker.postMessage({
+            ids: payload.ids,
+            keys: payload.keys,
+            algorithm: settings.algorithm
+        }, payload.transfer);
+    });
+}
+
+// Add to the MergeSort namespace
+MergeSort.sortAsync = sortAsync;
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { sortAsync, buildSortPayload };
+}
@@ -1,33 +1,323 @@
 /**
  * Merge Sort Algorithm Implementation
- * Sorts products by price in ascending order
+ * Sorts products by one or more keys, each ascending or descending
  */
 
+/**
+ * Compare two numbers, placing NaN values last
+ * @param {number} a - First number
+ * @param {number} b - Second number
+ * @returns {number} Negative, zero or positive
+ */
+function compareNumbers(a, b) {
+    const aMissing = isNaN(a);
+    const bMissing = isNaN(b);
+    if (aMissing || bMissing) {
+        return aMissing === bMissing ? 0 : (aMissing ? 1 : -1);
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * Compare two values of unknown type
+ * Numbers compare numerically, everything else as strings
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return compareNumbers(a, b);
+    }
+    return String(a ?? '').localeCompare(String(b ?? ''));
+}
+
+/**
+ * Collation used for string keys unless a sort spec entry overrides it
+ * locale: BCP 47 tag, or undefined for the browser default
+ * sensitivity: 'base', 'accent', 'case' or 'variant'
+ * numeric: compare digit runs as numbers ("Pack 2" before "Pack 10")
+ * ignorePunctuation: skip spaces and punctuation
+ */
+const collationSettings = {
+    locale: undefined,
+    sensitivity: 'variant',
+    numeric: true,
+    ignorePunctuation: false
+};
+
+// Intl.Collator instances are expensive to build, so reuse them per option set
+const collatorCache = new Map();
+
+/**
+ * Get a collator for the given options, filling gaps from the current settings
+ * @param {Object} options - Partial collation options
+ * @returns {Intl.Collator} Collator
+ */
+function getCollator(options = {}) {
+    const settings = { ...collationSettings, ...options };
+    const cacheKey = [settings.locale || '', settings.sensitivity, settings.numeric, settings.ignorePunctuation].join('|');
+
+    if (!collatorCache.has(cacheKey)) {
+        collatorCache.set(cacheKey, new Intl.Collator(settings.locale || undefined, {
+            sensitivity: settings.sensitivity,
+            numeric: Boolean(settings.numeric),
+            ignorePunctuation: Boolean(settings.ignorePunctuation)
+        }));
+    }
+
+    return collatorCache.get(cacheKey);
+}
+
+/**
+ * Change the default collation for string keys
+ * @param {Object} options - Partial collation options
+ * @returns {Object} The new collation settings
+ */
+function setCollation(options = {}) {
+    // Throws a RangeError for malformed locale tags before anything changes
+    getCollator(options);
+    Object.assign(collationSettings, options);
+    return getCollation();
+}
+
+/**
+ * Get the current default collation
+ * @returns {Object} Copy of the collation settings
+ */
+function getCollation() {
+    return { ...collationSettings };
+}
+
+/**
+ * Compare two strings with the default collation
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Negative, zero or positive
+ */
+function compareStrings(a, b) {
+    return getCollator().compare(a, b);
+}
+
+/**
+ * Comparators by value type
+ * Keys with a type can be sorted from their values alone (e.g. in a worker)
+ */
+const COMPARE_TYPES = {
+    number: compareNumbers,
+    string: compareStrings,
+    auto: compareValues
+};
+
+/**
+ * Get the comparator for a value type
+ * String comparators are bound to a collator once instead of looking it up per call
+ * @param {string} type - Key from COMPARE_TYPES
+ * @param {Object} collation - Collation options for string keys
+ * @returns {Function|undefined} Comparator, or undefined for unknown types
+ */
+function resolveComparator(type, collation) {
+    return type === 'string' ? getCollator(collation).compare : COMPARE_TYPES[type];
+}
+
+/**
+ * Built-in sort keys
+ * Each key knows how to read its value from an item and what type of value it is
+ */
+const SORT_KEYS = {
+    price: {
+        value: item => parseFloat(item.price),
+        type: 'number'
+    },
+    name: {
+        value: item => String(item.name ?? ''),
+        type: 'string'
+    },
+    id: {
+        value: item => Number(item.id),
+        type: 'number'
+    },
+    // Price per kg, litre or piece (see getUnitPrice in products.js); items
+    // without a pack size sort last. Litres and kilograms are compared as equals.
+    unitPrice: {
+        value: item => {
+            const unitPrice = getUnitPrice(item);
+            return unitPrice ? unitPrice.value : NaN;
+        },
+        type: 'number'
+    }
+};
+
+/**
+ * Register a custom sort key
+ * Give either a value type from COMPARE_TYPES or a compare function; keys with
+ * only a compare function cannot be sorted off the main thread.
+ * @param {string} key - Key name used in sort specs
+ * @param {Object} definition - { value: item => value, type?: string, compare?: (a, b) => number }
+ */
+function registerSortKey(key, definition) {
+    if (!key || typeof definition.value !== 'function') {
+        throw new Error('Sort key needs a name and a value function');
+    }
+    SORT_KEYS[key] = {
+        value: definition.value,
+        type: definition.compare ? definition.type : (definition.type || 'auto'),
+        compare: definition.compare
+    };
+}
+
+/**
+ * Normalize a sort spec into a list of { key, direction } entries
+ * Accepts 'price', '-price', 'price,-name', { key: 'price', direction: 'desc' }
+ * or an array of any of these. Object entries may also carry value, compare,
+ * type and collation overrides, e.g. { key: 'name', collation: { locale: 'hi' } }
+ * @param {string|Object|Array} spec - Sort spec
+ * @returns {Array} Array of { key, direction } objects
+ */
+function normalizeSortSpec(spec) {
+    if (Array.isArray(spec)) {
+        return spec.flatMap(normalizeSortSpec);
+    }
+
+    if (typeof spec === 'string') {
+        return spec.split(',')
+            .map(part => part.trim())
+            .filter(part => part.length > 0)
+            .map(part => part.startsWith('-')
+                ? { key: part.slice(1), direction: 'desc' }
+                : { key: part, direction: 'asc' });
+    }
+
+    if (spec && typeof spec === 'object' && spec.key) {
+        return [{ ...spec, direction: spec.direction === 'desc' ? 'desc' : 'asc' }];
+    }
+
+    return [];
+}
+
+/**
+ * Resolve a sort spec into value readers and comparators
+ * @param {string|Object|Array} spec - Sort spec
+ * @returns {Array} Array of { value, compare, type, collation, sign } objects
+ */
+function compileSortKeys(spec) {
+    const keys = normalizeSortSpec(spec).map(entry => {
+        const known = SORT_KEYS[entry.key] || { value: item => item[entry.key], type: 'auto' };
+        // A compare function or type on the spec entry overrides the registered key
+        const source = entry.compare || entry.type ? entry : known;
+        const collation = source.type === 'string' ? { ...collationSettings, ...entry.collation } : undefined;
+        const compare = source.compare || resolveComparator(source.type, collation);
+
+        if (!compare) {
+            throw new Error(`Unknown compare type for sort key "${entry.key}": ${source.type}`);
+        }
+
+        return {
+            value: entry.value || known.value,
+            compare,
+            type: source.type,
+            collation,
+            sign: entry.direction === 'desc' ? -1 : 1
+        };
+    });
+
+    if (keys.length === 0) {
+        throw new Error('Sort spec must name at least one key');
+    }
+
+    return keys;
+}
+
+/**
+ * Build a comparator function from a sort spec
+ * Later keys only break ties left by earlier ones
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @returns {Function} Comparator (a, b) => number
+ */
+function createComparator(spec) {
+    if (typeof spec === 'function') {
+        return spec;
+    }
+
+    const keys = compileSortKeys(spec);
+
+    return function (a, b) {
+        for (const key of keys) {
+            const comparison = key.compare(key.value(a), key.value(b));
+            if (comparison !== 0) {
+                return comparison * key.sign;
+            }
+        }
+        return 0;
+    };
+}
+
+/**
+ * Read every sort key once per item instead of once per comparison
+ * The variants then sort an array of indexes, comparing the pre-read key
+ * columns, and map the indexes back to items at the end.
+ * Comparator specs cannot be pre-read and sort the items directly.
+ * @param {Array} items - Items to sort
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @returns {Object} { entries, compare, unwrap } where unwrap(entries) gives back the items
+ */
+function decorateForSort(items, spec) {
+    if (typeof spec === 'function') {
+        return { entries: items.slice(), compare: spec, unwrap: entries => entries };
+    }
+
+    const keys = compileSortKeys(spec);
+    const columns = keys.map(key => items.map(key.value));
+    const entries = items.map((item, index) => index);
+
+    const compare = keys.length === 1
+        ? (a, b) => keys[0].compare(columns[0][a], columns[0][b]) * keys[0].sign
+        : function (a, b) {
+            for (let k = 0; k < keys.length; k++) {
+                const comparison = keys[k].compare(columns[k][a], columns[k][b]);
+                if (comparison !== 0) {
+                    return comparison * keys[k].sign;
+                }
+            }
+            return 0;
+        };
+
+    return { entries, compare, unwrap: sorted => sorted.map(index => items[index]) };
+}
+
 /**
  * Merge two sorted arrays into one sorted array
+ * Ties are taken from the left array first, which keeps the sort stable
  * @param {Array} left - Left sorted array
  * @param {Array} right - Right sorted array
- * @param {string} sortBy - Property to sort by ('price' or 'name')
+ * @param {Function} compare - Comparator (a, b) => number
+ * @param {Array} trace - Optional array that receives compare/copy/merge events
+ * @param {Object} range - Position of the merge when tracing: { start, mid, end, depth }
  * @returns {Array} Merged sorted array
  */
-function merge(left, right, sortBy = 'price') {
+function merge(left, right, compare, trace = null, range = null) {
     let result = [];
     let leftIndex = 0;
     let rightIndex = 0;
 
     // Compare elements from both arrays and add the smaller one to result
     while (leftIndex < left.length && rightIndex < right.length) {
-        let leftValue = sortBy === 'price' ? parseFloat(left[leftIndex][sortBy]) : left[leftIndex][sortBy];
-        let rightValue = sortBy === 'price' ? parseFloat(right[rightIndex][sortBy]) : right[rightIndex][sortBy];
-        
-        let comparison = 0;
-        if (sortBy === 'price') {
-            comparison = leftValue <= rightValue ? -1 : 1;
-        } else {
-            comparison = leftValue.localeCompare(rightValue);
+        const leftWins = compare(left[leftIndex], right[rightIndex]) <= 0;
+
+        if (trace) {
+            trace.push({
+                type: 'compare',
+                ...range,
+                left: left[leftIndex],
+                right: right[rightIndex],
+                leftIndex: range.start + leftIndex,
+                rightIndex: range.mid + rightIndex,
+                target: range.start + result.length,
+                winner: leftWins ? 'left' : 'right'
+            });
         }
 
-        if (comparison <= 0) {
+        if (leftWins) {
             result.push(left[leftIndex]);
             leftIndex++;
         } else {
@@ -38,26 +328,52 @@ function merge(left, right, sortBy = 'price') {
 
     // Add remaining elements from left array
     while (leftIndex < left.length) {
+        if (trace) {
+            trace.push({ type: 'copy', ...range, from: 'left', item: left[leftIndex], target: range.start + result.length });
+        }
         result.push(left[leftIndex]);
         leftIndex++;
     }
 
     // Add remaining elements from right array
     while (rightIndex < right.length) {
+        if (trace) {
+            trace.push({ type: 'copy', ...range, from: 'right', item: right[rightIndex], target: range.start + result.length });
+        }
         result.push(right[rightIndex]);
         rightIndex++;
     }
 
+    if (trace) {
+        trace.push({ type: 'merge', ...range, items: result.slice() });
+    }
+
     return result;
 }
 
 /**
  * Merge Sort Algorithm - Recursive implementation
+ * When a trace array is given, split and merge events are pushed into it.
+ * Event ranges are indexes into the original array: [start, mid) and [mid, end).
  * @param {Array} items - Array of products to sort
- * @param {string} sortBy - Property to sort by ('price' or 'name')
+ * @param {Function|string|Object|Array} sortBy - Comparator or sort spec (default 'price')
+ * @param {Array} trace - Optional array (or any object with push) that receives trace events
  * @returns {Array} Sorted array of products
  */
-function mergeSort(items, sortBy = 'price') {
+function mergeSort(items, sortBy = 'price', trace = null) {
+    return mergeSortRange(items, createComparator(sortBy), trace, 0, 0);
+}
+
+/**
+ * Recursive step of mergeSort, tracking where the sub-array sits in the original
+ * @param {Array} items - Sub-array to sort
+ * @param {Function} compare - Comparator (a, b) => number
+ * @param {Array} trace - Trace array or null
+ * @param {number} start - Index of items[0] in the original array
+ * @param {number} depth - Recursion depth
+ * @returns {Array} Sorted sub-array
+ */
+function mergeSortRange(items, compare, trace, start, depth) {
     // Base case: if array has 0 or 1 element, it's already sorted
     if (items.length <= 1) {
         return items;
@@ -65,61 +381,305 @@ function mergeSort(items, sortBy = 'price') {
 
     // Find the middle point to divide the array into two halves
     const middle = Math.floor(items.length / 2);
+    const range = { start, mid: start + middle, end: start + items.length, depth };
+
+    if (trace) {
+        trace.push({ type: 'split', ...range });
+    }
 
     // Divide the array into two halves
     const left = items.slice(0, middle);
     const right = items.slice(middle);
 
     // Recursively sort both halves
-    const sortedLeft = mergeSort(left, sortBy);
-    const sortedRight = mergeSort(right, sortBy);
+    const sortedLeft = mergeSortRange(left, compare, trace, range.start, depth + 1);
+    const sortedRight = mergeSortRange(right, compare, trace, range.mid, depth + 1);
 
     // Merge the sorted halves
-    return merge(sortedLeft, sortedRight, sortBy);
+    return merge(sortedLeft, sortedRight, compare, trace, range);
 }
 
+// Runs shorter than this are sorted with insertion sort before merging
+const INSERTION_SORT_CUTOFF = 16;
+
 /**
- * Sort products by price using merge sort
+ * Stable insertion sort of items[start, end) in place
+ * @param {Array} items - Array to sort in place
+ * @param {number} start - First index (inclusive)
+ * @param {number} end - Last index (exclusive)
+ * @param {Function} compare - Comparator (a, b) => number
+ */
+function insertionSortRange(items, start, end, compare) {
+    for (let i = start + 1; i < end; i++) {
+        const current = items[i];
+        let j = i - 1;
+
+        while (j >= start && compare(items[j], current) > 0) {
+            items[j + 1] = items[j];
+            j--;
+        }
+
+        items[j + 1] = current;
+    }
+}
+
+/**
+ * Merge source[start, mid) and source[mid, end) into target[start, end)
+ * Skips the comparisons when the two runs are already in order
+ * @param {Array} source - Array holding both sorted runs
+ * @param {Array} target - Array receiving the merged run
+ * @param {number} start - Start of the left run
+ * @param {number} mid - Start of the right run
+ * @param {number} end - End of the right run (exclusive)
+ * @param {Function} compare - Comparator (a, b) => number
+ */
+function mergeRuns(source, target, start, mid, end, compare) {
+    let i = start;
+    let j = mid;
+    let k = start;
+
+    if (mid > start && mid < end && compare(source[mid - 1], source[mid]) > 0) {
+        while (i < mid && j < end) {
+            target[k++] = compare(source[i], source[j]) <= 0 ? source[i++] : source[j++];
+        }
+    }
+
+    while (i < mid) {
+        target[k++] = source[i++];
+    }
+
+    while (j < end) {
+        target[k++] = source[j++];
+    }
+}
+
+/**
+ * Merge Sort Algorithm - Iterative bottom-up implementation
+ * Sorts blocks of `cutoff` items with insertion sort, then merges blocks of
+ * doubling width back and forth between the working copy and one auxiliary buffer.
+ * Sort keys are read once per item up front rather than on every comparison.
+ * @param {Array} items - Array of products to sort (not modified)
+ * @param {Function|string|Object|Array} sortBy - Comparator or sort spec (default 'price')
+ * @param {number} cutoff - Block size sorted with insertion sort (1 disables it)
+ * @returns {Array} Sorted array of products
+ */
+function bottomUpMergeSort(items, sortBy = 'price', cutoff = INSERTION_SORT_CUTOFF) {
+    const length = items.length;
+    if (length <= 1) {
+        return items.slice();
+    }
+
+    const { entries, compare, unwrap } = decorateForSort(items, sortBy);
+    let source = entries;
+
+    const blockSize = Math.max(1, cutoff);
+    if (blockSize > 1) {
+        for (let start = 0; start < length; start += blockSize) {
+            insertionSortRange(source, start, Math.min(start + blockSize, length), compare);
+        }
+    }
+
+    let target = source.slice();
+    for (let width = blockSize; width < length; width *= 2) {
+        for (let start = 0; start < length; start += 2 * width) {
+            const mid = Math.min(start + width, length);
+            const end = Math.min(start + 2 * width, length);
+            mergeRuns(source, target, start, mid, end, compare);
+        }
+        [source, target] = [target, source];
+    }
+
+    return unwrap(source);
+}
+
+/**
+ * Merge Sort Algorithm - Natural (run-detecting) implementation
+ * Finds runs that are already ascending (or strictly descending, which are
+ * reversed), extends short runs to `cutoff` items with insertion sort, then
+ * merges neighbouring runs until one is left. Nearly-sorted catalogs need
+ * only a few passes.
+ * @param {Array} items - Array of products to sort (not modified)
+ * @param {Function|string|Object|Array} sortBy - Comparator or sort spec (default 'price')
+ * @param {number} cutoff - Minimum run length (1 disables insertion sort)
+ * @returns {Array} Sorted array of products
+ */
+function naturalMergeSort(items, sortBy = 'price', cutoff = INSERTION_SORT_CUTOFF) {
+    const length = items.length;
+    if (length <= 1) {
+        return items.slice();
+    }
+
+    const { entries, compare, unwrap } = decorateForSort(items, sortBy);
+    let source = entries;
+
+    // Run boundaries: run i covers [bounds[i], bounds[i + 1])
+    let bounds = [0];
+    let start = 0;
+
+    while (start < length) {
+        let end = start + 1;
+
+        if (end < length && compare(source[start], source[end]) > 0) {
+            // Strictly descending, so reversing cannot reorder equal items
+            while (end < length && compare(source[end - 1], source[end]) > 0) {
+                end++;
+            }
+            for (let i = start, j = end - 1; i < j; i++, j--) {
+                const temp = source[i];
+                source[i] = source[j];
+                source[j] = temp;
+            }
+        } else {
+            while (end < length && compare(source[end - 1], source[end]) <= 0) {
+                end++;
+            }
+        }
+
+        if (end - start < cutoff && end < length) {
+            end = Math.min(start + cutoff, length);
+            insertionSortRange(source, start, end, compare);
+        }
+
+        bounds.push(end);
+        start = end;
+    }
+
+    let target = source.slice();
+    while (bounds.length > 2) {
+        const merged = [0];
+
+        for (let i = 0; i < bounds.length - 1; i += 2) {
+            const mid = bounds[i + 1];
+            const end = i + 2 < bounds.length ? bounds[i + 2] : mid;
+            mergeRuns(source, target, bounds[i], mid, end, compare);
+            merged.push(end);
+        }
+
+        bounds = merged;
+        [source, target] = [target, source];
+    }
+
+    return unwrap(source);
+}
+
+/**
+ * Merge sort variants available through sortProducts
+ */
+const MERGE_SORT_VARIANTS = {
+    recursive: (items, spec) => mergeSort(items.slice(), spec),
+    bottomUp: bottomUpMergeSort,
+    natural: naturalMergeSort
+};
+
+/**
+ * Sort products by any comparator or sort spec using merge sort
  * @param {Array} products - Array of Product objects
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @param {Object} options - { algorithm: 'recursive' | 'bottomUp' | 'natural', cutoff }
  * @returns {Array} Sorted array of products
  */
-function sortByPrice(products) {
+function sortProducts(products, spec, options = {}) {
     if (!Array.isArray(products) || products.length === 0) {
         return [];
     }
 
-    // Create a copy to avoid mutating the original array
-    const productsCopy = products.map(p => new Product(p.id, p.name, p.price, p.image));
-    
-    // Apply merge sort by price
-    return mergeSort(productsCopy, 'price');
+    const algorithm = options.algorithm || 'recursive';
+    const variant = MERGE_SORT_VARIANTS[algorithm];
+    if (!variant) {
+        throw new Error(`Unknown merge sort variant: ${algorithm}`);
+    }
+
+    // Every variant works on a copy, so the caller's array is never mutated
+    return options.cutoff === undefined
+        ? variant(products, spec)
+        : variant(products, spec, options.cutoff);
+}
+
+/**
+ * Sort products by price using merge sort
+ * @param {Array} products - Array of Product objects
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} Sorted array of products
+ */
+function sortByPrice(products, direction = 'asc') {
+    return sortProducts(products, { key: 'price', direction });
 }
 
 /**
  * Sort products alphabetically by name
  * @param {Array} products - Array of Product objects
+ * @param {string} direction - 'asc' or 'desc'
  * @returns {Array} Sorted array of products
  */
-function sortByName(products) {
+function sortByName(products, direction = 'asc') {
+    return sortProducts(products, { key: 'name', direction });
+}
+
+/**
+ * Sort products and record every split, comparison and merge along the way
+ * @param {Array} products - Array of Product objects
+ * @param {Function|string|Object|Array} spec - Comparator or sort spec
+ * @returns {Object} { sorted, events }
+ */
+function traceSort(products, spec) {
+    const events = [];
+
     if (!Array.isArray(products) || products.length === 0) {
-        return [];
+        return { sorted: [], events };
     }
 
-    // Create a copy to avoid mutating the original array
-    const productsCopy = products.map(p => new Product(p.id, p.name, p.price, p.image));
-    
-    // Apply merge sort by name
-    return mergeSort(productsCopy, 'name');
+    const sorted = mergeSort(products.slice(), spec, events);
+    return { sorted, events };
+}
+
+/**
+ * Sort products by price per kg, litre or piece
+ * @param {Array} products - Array of Product objects
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {Array} Sorted array of products
+ */
+function sortByUnitPrice(products, direction = 'asc') {
+    return sortProducts(products, { key: 'unitPrice', direction });
 }
 
 // MergeSort namespace for easy access
 const MergeSort = {
-    sort: sortByPrice,
+    sort: sortProducts,
     sortByPrice: sortByPrice,
-    sortByName: sortByName
+    sortByName: sortByName,
+    sortByUnitPrice: sortByUnitPrice,
+    trace: traceSort,
+    bottomUp: bottomUpMergeSort,
+    natural: naturalMergeSort,
+    createComparator: createComparator,
+    normalizeSortSpec: normalizeSortSpec,
+    registerSortKey: registerSortKey,
+    setCollation: setCollation,
+    getCollation: getCollation
 };
 
 // Export functions for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { mergeSort, sortByPrice, sortByName, MergeSort };
+    module.exports = {
+        merge,
+        mergeSort,
+        sortProducts,
+        COMPARE_TYPES,
+        MERGE_SORT_VARIANTS,
+        sortByPrice,
+        sortByName,
+        sortByUnitPrice,
+        traceSort,
+        bottomUpMergeSort,
+        naturalMergeSort,
+        insertionSortRange,
+        createComparator,
+        compileSortKeys,
+        normalizeSortSpec,
+        registerSortKey,
+        resolveComparator,
+        setCollation,
+        getCollation,
+        MergeSort
+    };
 }
@@ -2,12 +2,60 @@
  * Product Class and Default Products
  */
 
+/**
+ * Pack units and how they convert to the unit prices are quoted in
+ * Grams and millilitres are quoted per kg and per litre
+ */
+const PACK_UNITS = {
+    g: { base: 'kg', factor: 0.001 },
+    kg: { base: 'kg', factor: 1 },
+    ml: { base: 'L', factor: 0.001 },
+    L: { base: 'L', factor: 1 },
+    pieces: { base: 'piece', factor: 1 }
+};
+
 class Product {
-    constructor(id, name, price, image) {
+    /**
+     * @param {number} id - Product ID
+     * @param {string} name - Product name
+     * @param {number} price - Product price
+     * @param {string} image - Product image URL/path
+     * @param {number|null} packSize - Pack size, e.g. 500
+     * @param {string|null} unit - Pack unit from PACK_UNITS
+     * @param {Object} details - Optional catalog fields: category, brand,
+     *     description, sku, stock, tags, createdAt, updatedAt, priceHistory, variants
+     */
+    constructor(id, name, price, image, packSize = null, unit = null, details = {}) {
         this.id = id;
         this.name = name;
         this.price = price;
         this.image = image;
+        this.packSize = packSize;
+        this.unit = unit;
+        this.category = details.category || '';
+        this.brand = details.brand || '';
+        this.description = details.description || '';
+        this.sku = details.sku || '';
+        // null means stock is not tracked for this product
+        this.stock = details.stock ?? null;
+        this.tags = Array.isArray(details.tags) ? details.tags.slice() : [];
+        this.createdAt = details.createdAt || null;
+        this.updatedAt = details.updatedAt || null;
+        // Every price the product has had, oldest first, ending with the current one
+        const history = Array.isArray(details.priceHistory)
+            ? details.priceHistory.filter(point => point && typeof point.price === 'number')
+            : [];
+        this.priceHistory = history.length > 0
+            ? history.map(point => ({ price: point.price, date: point.date || null }))
+            : [{ price, date: this.updatedAt || this.createdAt }];
+        // Further sizes of the product: { id, label, price, packSize, unit, sku, stock, image }.
+        // The fields above describe the main size.
+        this.variants = Array.isArray(details.variants) ? details.variants.map(variant => ({ ...variant })) : [];
+    }
+
+    // Price per kg, litre or piece, or null without a pack size
+    getUnitPrice() {
+        return getUnitPrice(this);
     }
 
     // Convert to JSON for storage
@@ -16,30 +64,331 @@ class Product {
             id: this.id,
             name: this.name,
             price: this.price,
-            image: this.image
+            image: this.image,
+            packSize: this.packSize,
+            unit: this.unit,
+            category: this.category,
+            brand: this.brand,
+            description: this.description,
+            sku: this.sku,
+            stock: this.stock,
+            tags: this.tags.slice(),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt,
+            priceHistory: this.priceHistory.map(point => ({ ...point })),
+            variants: this.variants.map(variant => ({ ...variant }))
         };
     }
 
     // Create Product from JSON
     static fromJSON(data) {
-        return new Product(data.id, data.name, data.price, data.image);
+        return new Product(data.id, data.name, data.price, data.image, data.packSize ?? null, data.unit ?? null, data);
+    }
+}
+
+/**
+ * Calculate the normalised unit price of a product
+ * Works on Product instances and plain product records alike
+ * @param {Object} product - Object with price, packSize and unit
+ * @returns {Object|null} { value, unit } e.g. { value: 43, unit: 'kg' }, or null if unknown
+ */
+function getUnitPrice(product) {
+    const unit = PACK_UNITS[product.unit];
+    const packSize = parseFloat(product.packSize);
+    const price = parseFloat(product.price);
+
+    if (!unit || isNaN(packSize) || packSize <= 0 || isNaN(price)) {
+        return null;
+    }
+
+    return {
+        value: price / (packSize * unit.factor),
+        unit: unit.base
+    };
+}
+
+/**
+ * Format a unit price for display, e.g. "₹43.00/kg"
+ * @param {Object} product - Object with price, packSize and unit
+ * @returns {string} Formatted unit price, or '' if unknown
+ */
+function formatUnitPrice(product) {
+    const unitPrice = getUnitPrice(product);
+    return unitPrice ? `₹${unitPrice.value.toFixed(2)}/${unitPrice.unit}` : '';
+}
+
+/**
+ * Format a pack size for display, e.g. "500 g"
+ * @param {Object} product - Object with packSize and unit
+ * @returns {string} Formatted pack size, or '' if unknown
+ */
+function formatPackSize(product) {
+    if (!PACK_UNITS[product.unit] || !(parseFloat(product.packSize) > 0)) {
+        return '';
+    }
+    return `${parseFloat(product.packSize)} ${product.unit}`;
+}
+
+// Stock at or below this level is shown as running low
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * Get the stock status of a product
+ * @param {Object} product - Object with stock (null when not tracked)
+ * @returns {string} 'untracked', 'in-stock', 'low-stock' or 'out-of-stock'
+ */
+function getStockStatus(product) {
+    if (product.stock === null || product.stock === undefined) {
+        return 'untracked';
+    }
+    if (product.stock <= 0) {
+        return 'out-of-stock';
+    }
+    return product.stock <= LOW_STOCK_THRESHOLD ? 'low-stock' : 'in-stock';
+}
+
+/**
+ * Format a stock warning for display, e.g. "Only 3 left"
+ * @param {Object} product - Object with stock
+ * @returns {string} Warning, or '' when stock is untracked or plentiful
+ */
+function formatStockLabel(product) {
+    switch (getStockStatus(product)) {
+        case 'out-of-stock':
+            return 'Out of stock';
+        case 'low-stock':
+            return `Only ${product.stock} left`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Get every size of a product, starting with the main one
+ * The main size has the id null and comes from the product's own fields;
+ * variants without an image use the product's.
+ * Works on Product instances and plain product records alike
+ * @param {Object} product - Product
+ * @returns {Array} [{ id, label, price, packSize, unit, sku, stock, image }]
+ */
+function getProductVariants(product) {
+    const main = {
+        id: null,
+        label: '',
+        price: product.price,
+        packSize: product.packSize ?? null,
+        unit: product.unit ?? null,
+        sku: product.sku || '',
+        stock: product.stock ?? null,
+        image: product.image
+    };
+
+    return [main, ...(product.variants || [])].map(variant => ({
+        ...variant,
+        label: variant.label || formatPackSize(variant) || 'Standard',
+        image: variant.image || product.image
+    }));
+}
+
+/**
+ * Get one size of a product
+ * @param {Object} product - Product
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {Object|null} Variant, or null if the product has no such variant
+ */
+function getProductVariant(product, variantId = null) {
+    return getProductVariants(product).find(variant => variant.id === (variantId ?? null)) || null;
+}
+
+/**
+ * Get the cheapest size of a product
+ * @param {Object} product - Product
+ * @param {Function} priceOf - Price of a variant, e.g. with a promotion applied
+ * @returns {Object} Variant
+ */
+function getCheapestVariant(product, priceOf = variant => variant.price) {
+    return getProductVariants(product).reduce((cheapest, variant) => (priceOf(variant) < priceOf(cheapest) ? variant : cheapest));
+}
+
+/**
+ * Name a size of a product for the cart, e.g. "Tata Salt (500 g)"
+ * Products with a single size keep their plain name.
+ * @param {Object} product - Product
+ * @param {Object} variant - Variant from getProductVariants
+ * @returns {string} Name
+ */
+function formatVariantName(product, variant) {
+    return product.variants && product.variants.length > 0 ? `${product.name} (${variant.label})` : product.name;
+}
+
+// Price points kept per product; the oldest are dropped first
+const PRICE_HISTORY_LIMIT = 100;
+
+// Days of price history the "price dropped" badge compares against
+const PRICE_TREND_DAYS = 30;
+
+// Smallest drop below the recent average worth a badge, in percent
+const PRICE_DROP_MIN_PERCENT = 1;
+
+/**
+ * Change the price of a product and record it in its price history
+ * @param {Product} product - Product to change
+ * @param {number} price - New price
+ * @param {string} date - ISO date of the change
+ * @returns {boolean} True if the price changed
+ */
+function setProductPrice(product, price, date = new Date().toISOString()) {
+    if (product.price === price) {
+        return false;
+    }
+
+    product.price = price;
+    product.priceHistory = product.priceHistory.concat({ price, date }).slice(-PRICE_HISTORY_LIMIT);
+    return true;
+}
+
+/**
+ * Average price over the last PRICE_TREND_DAYS, weighted by how long each
+ * price was in effect. Points without a date are left out.
+ * @param {Object} product - Object with priceHistory
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Average price, or null without dated history
+ */
+function getRecentAveragePrice(product, now = Date.now()) {
+    const start = now - PRICE_TREND_DAYS * 24 * 60 * 60 * 1000;
+    const points = (product.priceHistory || [])
+        .map(point => ({ price: point.price, time: Date.parse(point.date) }))
+        .filter(point => !isNaN(point.time));
+
+    let total = 0;
+    let duration = 0;
+    points.forEach((point, index) => {
+        const from = Math.max(point.time, start);
+        const to = index + 1 < points.length ? points[index + 1].time : now;
+        if (to > from) {
+            total += point.price * (to - from);
+            duration += to - from;
+        }
+    });
+
+    return duration > 0 ? total / duration : null;
+}
+
+/**
+ * How far the current price is below the recent average
+ * @param {Object} product - Object with price and priceHistory
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Whole percent, or 0 when the price has not dropped
+ */
+function getPriceDropPercent(product, now = Date.now()) {
+    const average = getRecentAveragePrice(product, now);
+    if (!average) {
+        return 0;
     }
+
+    const percent = Math.floor((average - product.price) / average * 100);
+    return percent >= PRICE_DROP_MIN_PERCENT ? percent : 0;
+}
+
+/**
+ * Get the words of a product's name that say what it is, e.g. "tomato"
+ * and "ketchup" for "Kissan Fresh Tomato Ketchup" by Kissan
+ * Words of the brand, numbers and words under three letters are left out.
+ * @param {Object} product - Product
+ * @returns {Set} Lower-case words
+ */
+function getProductNameWords(product) {
+    const split = text => String(text ?? '').toLowerCase().split(/[^\p{L}\p{N}]+/u);
+    const brand = new Set(split(product.brand));
+    return new Set(split(product.name).filter(word => word.length >= 3 && !/^\d+$/.test(word) && !brand.has(word)));
+}
+
+/**
+ * Find the products like a given one, for shoppers comparing alternatives:
+ * those in the same category or sharing a word of its name (all ketchups, all salts)
+ * @param {Object} product - Product
+ * @param {Array} products - Catalog to look in
+ * @returns {Array} Similar products in catalog order, without the product itself
+ */
+function findSimilarProducts(product, products) {
+    const words = getProductNameWords(product);
+    return products.filter(other => other.id !== product.id
+        && ((product.category && other.category === product.category)
+            || [...getProductNameWords(other)].some(word => words.has(word))));
 }
 
 // Default products
+const DEFAULT_CREATED_AT = '2024-01-01T00:00:00.000Z';
+
 let defaultProducts = [
-    new Product(1, "Kissan Fresh Tomato Ketchup", 215, "assets/1.jpg"),
-    new Product(2, "Del Monte Tomato Ketchup", 75, "assets/2.jpg"),
-    new Product(3, "Veeba Truly Tomato Ketchup", 140, "assets/3.jpg"),
-    new Product(4, "Tata Salt", 25, "assets/4.jpg"),
-    new Product(5, "Aashirvaad Iodized Salt", 30, "assets/5.jpg"),
-    new Product(6, "Aashirvaad Himalayan Pink Salt", 106, "assets/6.jpg"),
-    new Product(7, "Fortune oil ", 650, "assets/7.jpg"),
-    new Product(8, "Amami oil", 208, "assets/8.jpg"),
-    new Product(9, "Saffola oil", 1072, "assets/9.jpg"),
+    new Product(1, "Kissan Fresh Tomato Ketchup", 215, "assets/1.jpg", 850, 'g', {
+        category: 'Sauces & Ketchup', brand: 'Kissan', sku: 'KIS-KET-850G', stock: 40,
+        description: 'Tomato ketchup made with fresh, juicy tomatoes.',
+        tags: ['ketchup', 'tomato', 'sauce'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(2, "Del Monte Tomato Ketchup", 75, "assets/2.jpg", 200, 'g', {
+        category: 'Sauces & Ketchup', brand: 'Del Monte', sku: 'DEL-KET-200G', stock: 60,
+        description: 'Classic tomato ketchup in a handy 200 g bottle.',
+        tags: ['ketchup', 'tomato', 'sauce'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(3, "Veeba Truly Tomato Ketchup", 140, "assets/3.jpg", 500, 'g', {
+        category: 'Sauces & Ketchup', brand: 'Veeba', sku: 'VEE-KET-500G', stock: 25,
+        description: 'Tomato ketchup with no onion and no garlic.',
+        tags: ['ketchup', 'tomato', 'sauce'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(4, "Tata Salt", 25, "assets/4.jpg", 1, 'kg', {
+        category: 'Salt', brand: 'Tata', sku: 'TAT-SLT-1KG', stock: 120,
+        description: 'Vacuum evaporated iodised salt.',
+        tags: ['salt', 'iodised'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(5, "Aashirvaad Iodized Salt", 30, "assets/5.jpg", 1, 'kg', {
+        category: 'Salt', brand: 'Aashirvaad', sku: 'AAS-SLT-1KG', stock: 80,
+        description: 'Iodised salt with the right balance of iodine.',
+        tags: ['salt', 'iodised'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(6, "Aashirvaad Himalayan Pink Salt", 106, "assets/6.jpg", 1, 'kg', {
+        category: 'Salt', brand: 'Aashirvaad', sku: 'AAS-PNK-1KG', stock: 15,
+        description: 'Natural pink rock salt from the Himalayas.',
+        tags: ['salt', 'pink salt', 'rock salt'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(7, "Fortune oil ", 650, "assets/7.jpg", 5, 'L', {
+        category: 'Oil', brand: 'Fortune', sku: 'FOR-OIL-5L', stock: 20,
+        description: 'Refined soyabean oil for everyday cooking.',
+        tags: ['oil', 'cooking oil', 'soyabean'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(8, "Amami oil", 208, "assets/8.jpg", 200, 'ml', {
+        category: 'Oil', brand: 'Amami', sku: 'AMA-OIL-200ML', stock: 30,
+        description: 'Light, non-sticky oil in a 200 ml bottle.',
+        tags: ['oil'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
+    new Product(9, "Saffola oil", 1072, "assets/9.jpg", 5, 'L', {
+        category: 'Oil', brand: 'Saffola', sku: 'SAF-OIL-5L', stock: 10,
+        description: 'Blended edible vegetable oil for heart-conscious cooking.',
+        tags: ['oil', 'cooking oil', 'blended'], createdAt: DEFAULT_CREATED_AT, updatedAt: DEFAULT_CREATED_AT
+    }),
 ];
 
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Product, defaultProducts };
+    module.exports = {
+        Product,
+        PACK_UNITS,
+        LOW_STOCK_THRESHOLD,
+        getUnitPrice,
+        formatUnitPrice,
+        formatPackSize,
+        getStockStatus,
+        formatStockLabel,
+        PRICE_HISTORY_LIMIT,
+        PRICE_TREND_DAYS,
+        setProductPrice,
+        getRecentAveragePrice,
+        getPriceDropPercent,
+        getProductVariants,
+        getProductVariant,
+        getCheapestVariant,
+        formatVariantName,
+        findSimilarProducts,
+        defaultProducts
+    };
 }
@@ -0,0 +1,323 @@
+/**
+ * Promotions
+ * Time-boxed sale prices: a fixed sale price or a percentage off one size of a
+ * product between a start and an end. Product prices are never changed; the
+ * price a shopper pays is worked out when it is read, so a promotion starts
+ * and ends on time without anything being saved. Where promotions overlap,
+ * the lowest price wins.
+ * An optional limit caps how many units one customer gets at the sale price.
+ * The shop has no customer accounts, so the limit applies per cart: further
+ * units are charged at the regular price.
+ * Promotions are kept by the same storage adapter as the products, and are
+ * checked against PROMOTION_SCHEMA in schema.js, which must be loaded first;
+ * a rejected promotion throws a ValidationError carrying the field errors.
+ * With the REST adapter each change is a single request to the server.
+ */
+
+const PROMOTIONS_STORAGE_KEY = 'grocno_promotions';
+
+/**
+ * Get all promotions from storage
+ * @returns {Promise<Array>} [{ id, productId, variantId, title, startsAt, endsAt,
+ *     salePrice, percentOff, limit, createdAt, updatedAt }]
+ */
+async function getPromotions() {
+    try {
+        return (await readStore(PROMOTIONS_STORAGE_KEY)) || [];
+    } catch (error) {
+        reportStorageError(error);
+        return [];
+    }
+}
+
+/**
+ * Save all promotions to storage
+ * @param {Array} promotions - Promotion records
+ * @returns {Promise<boolean>} True if saved successfully
+ */
+async function savePromotions(promotions) {
+    try {
+        await writeStore(PROMOTIONS_STORAGE_KEY, promotions);
+        return true;
+    } catch (error) {
+        reportStorageError(error);
+        return false;
+    }
+}
+
+/**
+ * Validate promotion fields against PROMOTION_SCHEMA and the catalog
+ * A sale price must be below the regular price of the size it is for.
+ * @param {Object} fields - Raw promotion fields
+ * @param {Array} products - Products, to check the promotion's size exists
+ * @returns {Object} { value, errors } with normalised fields and field errors
+ */
+function validatePromotionFields(fields, products) {
+    const { value, errors } = validateRecord(PROMOTION_SCHEMA, fields);
+    if (errors.length > 0) {
+        return { value, errors };
+    }
+
+    const product = products.find(p => p.id === value.productId);
+    if (!product) {
+        return { value, errors: [createFieldError('not_found', 'productId', `Product ${value.productId} not found`)] };
+    }
+    const variant = getProductVariant(product, value.variantId ?? null);
+    if (!variant) {
+        return { value, errors: [createFieldError('not_found', 'variantId', `${product.name} has no size ${value.variantId}`)] };
+    }
+    if (hasSalePrice(value) && value.salePrice >= variant.price) {
+        return { value, errors: [createFieldError('too_large', 'salePrice', `Sale price must be below the regular price of ₹${variant.price.toFixed(2)}`)] };
+    }
+
+    return {
+        value: {
+            productId: value.productId,
+            variantId: value.variantId ?? null,
+            title: value.title || '',
+            startsAt: value.startsAt,
+            endsAt: value.endsAt,
+            salePrice: value.salePrice ?? null,
+            percentOff: value.percentOff ?? null,
+            limit: value.limit ?? null
+        },
+        errors: []
+    };
+}
+
+/**
+ * Add a promotion
+ * @param {Object} fields - productId, variantId, title, startsAt, endsAt,
+ *     salePrice or percentOff, and limit
+ * @returns {Promise<Object|null>} The added promotion, or null if it could not be saved
+ * @throws {ValidationError} If the fields are invalid
+ */
+async function addPromotion(fields) {
+    if (isRemoteStore()) {
+        return requestStore('POST', 'promotions', fields);
+    }
+
+    const { value: promotion, errors } = validatePromotionFields(fields, await getProducts());
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    const promotions = await getPromotions();
+    const now = new Date().toISOString();
+    const added = {
+        id: promotions.reduce((maxId, p) => Math.max(maxId, p.id), 0) + 1,
+        ...promotion,
+        createdAt: now,
+        updatedAt: now
+    };
+    promotions.push(added);
+
+    return (await savePromotions(promotions)) ? added : null;
+}
+
+/**
+ * Update a promotion
+ * @param {number} id - Promotion ID
+ * @param {Object} updates - Fields to change, as for addPromotion
+ * @returns {Promise<Object|null>} Updated promotion, or null if it could not be saved
+ * @throws {ValidationError} If the promotion does not exist or the updates are invalid
+ */
+async function updatePromotion(id, updates) {
+    if (isRemoteStore()) {
+        return requestStore('PUT', `promotions/${id}`, updates);
+    }
+
+    const promotions = await getPromotions();
+    const index = promotions.findIndex(p => p.id === id);
+    if (index === -1) {
+        throw new ValidationError(createFieldError('not_found', 'id', `Promotion ${id} not found`));
+    }
+
+    const { value: promotion, errors } = validatePromotionFields({ ...promotions[index], ...updates }, await getProducts());
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    promotions[index] = { ...promotions[index], ...promotion, updatedAt: new Date().toISOString() };
+    return (await savePromotions(promotions)) ? promotions[index] : null;
+}
+
+/**
+ * Delete a promotion by ID
+ * @param {number} id - Promotion ID
+ * @returns {Promise<boolean>} True if the promotion was deleted, false otherwise
+ */
+async function deletePromotion(id) {
+    if (isRemoteStore()) {
+        return (await requestStore('DELETE', `promotions/${id}`)) !== null;
+    }
+
+    const promotions = await getPromotions();
+    const remaining = promotions.filter(p => p.id !== id);
+    if (remaining.length === promotions.length) {
+        return false;
+    }
+    return savePromotions(remaining);
+}
+
+/**
+ * Check whether a promotion is running
+ * @param {Object} promotion - Promotion
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True from its start until (not including) its end
+ */
+function isPromotionActive(promotion, now = Date.now()) {
+    return Date.parse(promotion.startsAt) <= now && now < Date.parse(promotion.endsAt);
+}
+
+/**
+ * Get the status of a promotion
+ * @param {Object} promotion - Promotion
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} 'scheduled', 'active' or 'ended'
+ */
+function getPromotionStatus(promotion, now = Date.now()) {
+    if (now < Date.parse(promotion.startsAt)) {
+        return 'scheduled';
+    }
+    return now < Date.parse(promotion.endsAt) ? 'active' : 'ended';
+}
+
+/**
+ * Check whether a promotion sets a sale price rather than a percentage off
+ * @param {Object} promotion - Promotion
+ * @returns {boolean} True for a sale price
+ */
+function hasSalePrice(promotion) {
+    return promotion.salePrice !== null && promotion.salePrice !== undefined;
+}
+
+/**
+ * Work out the price of a size under a promotion
+ * A sale price above a since-lowered regular price is ignored.
+ * @param {Object} promotion - Promotion
+ * @param {number} regularPrice - Regular price of the size
+ * @returns {number} Sale price, rounded to the paisa
+ */
+function getPromotionPrice(promotion, regularPrice) {
+    const price = hasSalePrice(promotion)
+        ? promotion.salePrice
+        : Math.round(regularPrice * (100 - promotion.percentOff)) / 100;
+    return Math.min(price, regularPrice);
+}
+
+/**
+ * Get the price of one size of a product right now
+ * Works on Product instances and plain product records alike
+ * @param {Object} product - Product
+ * @param {Object} variant - Size, from getProductVariants
+ * @param {Array} promotions - Promotions from getPromotions
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { price, regularPrice, promotion } where promotion is the
+ *     one giving the lowest price, or null when none is running
+ */
+function getEffectivePrice(product, variant, promotions, now = Date.now()) {
+    const regularPrice = variant.price;
+    let best = { price: regularPrice, regularPrice, promotion: null };
+
+    promotions.forEach(promotion => {
+        if (promotion.productId !== product.id || (promotion.variantId ?? null) !== variant.id || !isPromotionActive(promotion, now)) {
+            return;
+        }
+        const price = getPromotionPrice(promotion, regularPrice);
+        if (price < best.price) {
+            best = { price, regularPrice, promotion };
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Get when the next promotion starts or ends, so prices shown can be refreshed
+ * @param {Array} promotions - Promotions
+ * @param {number} now - Current time in milliseconds
+ * @returns {number|null} Time in milliseconds, or null if nothing changes
+ */
+function getNextPromotionChange(promotions, now = Date.now()) {
+    const times = promotions
+        .flatMap(promotion => [Date.parse(promotion.startsAt), Date.parse(promotion.endsAt)])
+        .filter(time => time > now);
+    return times.length > 0 ? Math.min(...times) : null;
+}
+
+/**
+ * Price a cart item at today's prices
+ * Units past a promotion's limit are charged at the regular price. Items
+ * whose product has gone keep the price they were added at.
+ * @param {CartItem} item - Cart item
+ * @param {Product|undefined} product - Its product, if it still exists
+ * @param {Array} promotions - Promotions
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} { item, price, regularPrice, promotion, saleQty, total }
+ */
+function priceCartItem(item, product, promotions, now = Date.now()) {
+    const variant = product ? getProductVariant(product, item.variantId) : null;
+    if (!variant) {
+        const price = parseFloat(item.price);
+        return { item, price, regularPrice: price, promotion: null, saleQty: 0, total: price * item.qty };
+    }
+
+    const { price, regularPrice, promotion } = getEffectivePrice(product, variant, promotions, now);
+    const saleQty = promotion ? Math.min(item.qty, promotion.limit ?? item.qty) : 0;
+    const total = promotion
+        ? saleQty * price + (item.qty - saleQty) * regularPrice
+        : item.qty * regularPrice;
+
+    return { item, price, regularPrice, promotion, saleQty, total };
+}
+
+/**
+ * Describe a promotion's discount, e.g. "₹20.00" or "15% off"
+ * @param {Object} promotion - Promotion
+ * @returns {string} Description
+ */
+function formatPromotionDiscount(promotion) {
+    return hasSalePrice(promotion) ? `₹${promotion.salePrice.toFixed(2)}` : `${promotion.percentOff}% off`;
+}
+
+/**
+ * Format the time left until a moment, e.g. "2d 4h", "3h 12m" or "4m 09s"
+ * @param {number} ms - Time left in milliseconds
+ * @returns {string} Countdown
+ */
+function formatCountdown(ms) {
+    const seconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor(seconds % 86400 / 3600);
+    const minutes = Math.floor(seconds % 3600 / 60);
+
+    if (days > 0) {
+        return `${days}d ${hours}h`;
+    }
+    if (hours > 0) {
+        return `${hours}h ${minutes}m`;
+    }
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROMOTIONS_STORAGE_KEY,
+        getPromotions,
+        savePromotions,
+        validatePromotionFields,
+        addPromotion,
+        updatePromotion,
+        deletePromotion,
+        isPromotionActive,
+        getPromotionStatus,
+        getPromotionPrice,
+        getEffectivePrice,
+        getNextPromotionChange,
+        priceCartItem,
+        formatPromotionDiscount,
+        formatCountdown
+    };
+}
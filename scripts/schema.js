@@ -0,0 +1,383 @@
+/**
+ * Validation Schemas
+ * Declarative field rules for products, their variants, cart items and
+ * promotions, shared by backend.js, cart.js, promotions.js, the catalog import,
+ * the API server and the admin forms.
+ * Validation reports every problem as a field error: { code, field, message },
+ * where `field` is a path such as 'price' or 'variants.0.sku'. Functions that
+ * save a record throw a ValidationError carrying the field errors instead.
+ *
+ * Error codes:
+ *   required       - a required field is missing or empty
+ *   invalid_type   - not text, a number or a whole number as the rule needs
+ *   too_small      - below the minimum
+ *   too_large      - above the maximum
+ *   too_long       - text longer than allowed
+ *   invalid_format - text not matching the rule's pattern, or not a date
+ *   invalid_option - not one of the allowed values
+ *   too_many       - a list with more items than allowed
+ *   duplicate      - a value that must be unique is already in use
+ *   not_found      - the product or variant referred to does not exist
+ *   out_of_stock   - more than the stock allows
+ */
+
+/**
+ * Maximum lengths of the free-text catalog fields
+ */
+const DETAIL_LIMITS = {
+    category: 50,
+    brand: 50,
+    description: 1000,
+    sku: 40,
+    tag: 30,
+    variantLabel: 50,
+    promotionTitle: 60
+};
+
+// Most variants a product can have
+const MAX_VARIANTS = 20;
+
+/**
+ * Create a field error
+ * @param {string} code - Error code, see the list above
+ * @param {string} field - Field path, e.g. 'price' or 'variants.0.sku'
+ * @param {string} message - Message for the shopper or admin
+ * @returns {Object} { code, field, message }
+ */
+function createFieldError(code, field, message) {
+    return { code, field, message };
+}
+
+/**
+ * Error thrown when a record is rejected
+ * The message joins the field errors' messages; `errors` holds the field errors.
+ */
+class ValidationError extends Error {
+    /**
+     * @param {Object|Array} errors - Field error(s) from createFieldError
+     */
+    constructor(errors) {
+        const fieldErrors = [].concat(errors);
+        super(fieldErrors.map(error => error.message).join('. '));
+        this.name = 'ValidationError';
+        this.errors = fieldErrors;
+    }
+}
+
+/**
+ * Wait for a call that saves a record, catching its ValidationError
+ * Any other error is thrown on.
+ * @param {Promise} pending - The call, e.g. addProduct(...) or addToCart(...)
+ * @returns {Promise<Object>} { value, errors }: what the call resolved to (null
+ *     if rejected) and the field errors it was rejected with
+ */
+async function settleValidation(pending) {
+    try {
+        return { value: await pending, errors: [] };
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return { value: null, errors: error.errors };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Normalise tags given as an array or a comma-separated string
+ * @param {Array|string} tags - Tags
+ * @returns {Array} Lower-case, trimmed, de-duplicated tags
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+    const normalized = list
+        .map(tag => String(tag).trim().toLowerCase())
+        .filter(tag => tag.length > 0);
+    return [...new Set(normalized)];
+}
+
+/**
+ * Check that a pack size and unit are given together, or both left empty
+ * @param {Object} value - Validated record
+ * @param {string} path - Path prefix for field names, e.g. 'variants.0.'
+ * @returns {Array} Field errors
+ */
+function checkPackPair(value, path) {
+    const hasSize = value.packSize !== null && value.packSize !== undefined;
+    const hasUnit = value.unit !== null && value.unit !== undefined;
+    if (hasSize === hasUnit) {
+        return [];
+    }
+    const field = hasSize ? 'unit' : 'packSize';
+    return [createFieldError('required', path + field, 'Enter both a pack size and a unit, or neither')];
+}
+
+/**
+ * Fields of a product variant (a further size of a product)
+ * IDs are assigned by backend.js, so they are not part of the schema.
+ */
+const VARIANT_SCHEMA = {
+    fields: {
+        label: { type: 'string', label: 'Label', maxLength: DETAIL_LIMITS.variantLabel },
+        price: { type: 'number', label: 'Price', required: true, min: 0 },
+        packSize: { type: 'number', label: 'Pack size', positive: true },
+        unit: { type: 'option', label: 'Unit', options: () => Object.keys(PACK_UNITS) },
+        sku: {
+            type: 'string',
+            label: 'SKU',
+            maxLength: DETAIL_LIMITS.sku,
+            pattern: /^[A-Za-z0-9_-]+$/,
+            patternMessage: 'SKU may only contain letters, digits, "-" and "_"',
+            uppercase: true
+        },
+        stock: { type: 'integer', label: 'Stock', min: 0 },
+        image: { type: 'string', label: 'Image URL' }
+    },
+    checks: [
+        checkPackPair,
+        (value, path) => (!value.label && (value.packSize ?? null) === null
+            ? [createFieldError('required', `${path}label`, 'Enter a label or a pack size')]
+            : [])
+    ]
+};
+
+/**
+ * Fields of a product
+ */
+const PRODUCT_SCHEMA = {
+    fields: {
+        name: { type: 'string', label: 'Product name', required: true },
+        price: { type: 'number', label: 'Price', required: true, min: 0 },
+        image: { type: 'string', label: 'Image', required: true },
+        packSize: { type: 'number', label: 'Pack size', positive: true },
+        unit: { type: 'option', label: 'Unit', options: () => Object.keys(PACK_UNITS) },
+        category: { type: 'string', label: 'Category', maxLength: DETAIL_LIMITS.category },
+        brand: { type: 'string', label: 'Brand', maxLength: DETAIL_LIMITS.brand },
+        description: { type: 'string', label: 'Description', maxLength: DETAIL_LIMITS.description },
+        sku: VARIANT_SCHEMA.fields.sku,
+        stock: { type: 'integer', label: 'Stock', min: 0 },
+        tags: { type: 'tags', label: 'Tags', maxLength: DETAIL_LIMITS.tag },
+        variants: { type: 'list', label: 'variants', itemLabel: 'Variant', maxItems: MAX_VARIANTS, schema: VARIANT_SCHEMA }
+    },
+    checks: [checkPackPair]
+};
+
+/**
+ * Fields of a cart item
+ */
+const CART_ITEM_SCHEMA = {
+    fields: {
+        id: { type: 'integer', label: 'Product ID', required: true, min: 1 },
+        name: { type: 'string', label: 'Product name', required: true },
+        price: { type: 'number', label: 'Price', required: true, min: 0 },
+        img: { type: 'string', label: 'Image', required: true },
+        qty: { type: 'integer', label: 'Quantity', min: 1 },
+        variantId: { type: 'integer', label: 'Variant ID', min: 1 }
+    },
+    checks: []
+};
+
+/**
+ * Check that a promotion has either a sale price or a percentage off
+ * @param {Object} value - Validated record
+ * @param {string} path - Path prefix for field names
+ * @returns {Array} Field errors
+ */
+function checkPromotionDiscount(value, path) {
+    const hasPrice = value.salePrice !== null && value.salePrice !== undefined;
+    const hasPercent = value.percentOff !== null && value.percentOff !== undefined;
+    if (hasPrice && hasPercent) {
+        return [createFieldError('invalid_option', `${path}percentOff`, 'Enter a sale price or a percentage off, not both')];
+    }
+    if (!hasPrice && !hasPercent) {
+        return [createFieldError('required', `${path}salePrice`, 'Enter a sale price or a percentage off')];
+    }
+    return [];
+}
+
+/**
+ * Check that a promotion ends after it starts
+ * @param {Object} value - Validated record
+ * @param {string} path - Path prefix for field names
+ * @returns {Array} Field errors
+ */
+function checkPromotionDates(value, path) {
+    if (!value.startsAt || !value.endsAt || Date.parse(value.endsAt) > Date.parse(value.startsAt)) {
+        return [];
+    }
+    return [createFieldError('too_small', `${path}endsAt`, 'End must be after the start')];
+}
+
+/**
+ * Fields of a promotion: a sale price or percentage off one size of a
+ * product between two dates. A variantId of null is the main size.
+ * IDs are assigned by promotions.js, so they are not part of the schema.
+ */
+const PROMOTION_SCHEMA = {
+    fields: {
+        productId: { type: 'integer', label: 'Product', required: true, min: 1 },
+        variantId: { type: 'integer', label: 'Size', min: 1 },
+        title: { type: 'string', label: 'Title', maxLength: DETAIL_LIMITS.promotionTitle },
+        startsAt: { type: 'date', label: 'Start', required: true },
+        endsAt: { type: 'date', label: 'End', required: true },
+        salePrice: { type: 'number', label: 'Sale price', min: 0 },
+        percentOff: { type: 'number', label: 'Percentage off', positive: true, max: 99 },
+        limit: { type: 'integer', label: 'Limit per customer', min: 1 }
+    },
+    checks: [checkPromotionDiscount, checkPromotionDates]
+};
+
+/**
+ * Check whether a raw value counts as empty
+ * @param {*} raw - Raw value
+ * @returns {boolean} True for null, undefined and blank text
+ */
+function isEmptyValue(raw) {
+    return raw === null || raw === undefined || (typeof raw === 'string' && raw.trim() === '');
+}
+
+/**
+ * Validate and normalise one field
+ * @param {Object} rule - Field rule
+ * @param {*} raw - Raw value, not empty
+ * @param {string} field - Field path
+ * @returns {Object} { value } or { errors }
+ */
+function validateField(rule, raw, field) {
+    const fail = (code, message) => ({ errors: [createFieldError(code, field, message)] });
+
+    switch (rule.type) {
+        case 'string': {
+            if (typeof raw !== 'string') {
+                return fail('invalid_type', `${rule.label} must be text`);
+            }
+            const value = raw.trim();
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return fail('too_long', `${rule.label} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return fail('invalid_format', rule.patternMessage);
+            }
+            return { value: rule.uppercase ? value.toUpperCase() : value };
+        }
+        case 'number':
+        case 'integer': {
+            const value = rule.type === 'number' ? parseFloat(raw) : Number(raw);
+            if (rule.type === 'number' ? isNaN(value) : !Number.isInteger(value)) {
+                return fail('invalid_type', `${rule.label} must be a ${rule.type === 'number' ? 'number' : 'whole number'}`);
+            }
+            if (rule.positive && value <= 0) {
+                return fail('too_small', `${rule.label} must be more than 0`);
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return fail('too_small', `${rule.label} must be ${rule.min} or more`);
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return fail('too_large', `${rule.label} must be ${rule.max} or less`);
+            }
+            return { value };
+        }
+        case 'date': {
+            // Dates without a time zone, such as datetime-local values, are local time
+            const time = typeof raw === 'number' ? raw : Date.parse(raw);
+            return isNaN(time)
+                ? fail('invalid_format', `${rule.label} must be a date and time`)
+                : { value: new Date(time).toISOString() };
+        }
+        case 'option': {
+            const options = rule.options();
+            return options.includes(raw)
+                ? { value: raw }
+                : fail('invalid_option', `${rule.label} must be one of: ${options.join(', ')}`);
+        }
+        case 'tags': {
+            const value = normalizeTags(raw);
+            return value.some(tag => tag.length > rule.maxLength)
+                ? fail('too_long', `${rule.label} must be at most ${rule.maxLength} characters each`)
+                : { value };
+        }
+        case 'list': {
+            if (!Array.isArray(raw)) {
+                return fail('invalid_type', `${rule.itemLabel}s must be a list`);
+            }
+            if (raw.length > rule.maxItems) {
+                return fail('too_many', `At most ${rule.maxItems} ${rule.label} are allowed`);
+            }
+            const value = [];
+            const errors = [];
+            raw.forEach((item, index) => {
+                const path = `${field}.${index}`;
+                if (!item || typeof item !== 'object') {
+                    errors.push(createFieldError('invalid_type', path, `${rule.itemLabel} ${index + 1} is not valid`));
+                    return;
+                }
+                const result = validateRecord(rule.schema, item, { path: `${path}.` });
+                value.push(result.value);
+                result.errors.forEach(error => errors.push({ ...error, message: `${rule.itemLabel} ${index + 1}: ${error.message}` }));
+            });
+            return errors.length > 0 ? { errors } : { value };
+        }
+    }
+    throw new Error(`Unknown rule type "${rule.type}"`);
+}
+
+/**
+ * Validate a record against a schema
+ * Fields left out of the record are left out of the result; only required
+ * fields must be present, and not even those with `partial` (for updates).
+ * Empty optional fields become '' for text, [] for lists and null otherwise.
+ * @param {Object} schema - PRODUCT_SCHEMA, VARIANT_SCHEMA, CART_ITEM_SCHEMA or PROMOTION_SCHEMA
+ * @param {Object} record - Raw field values
+ * @param {Object} options - { partial, path } where path prefixes field names
+ * @returns {Object} { value, errors } with normalised values and field errors
+ */
+function validateRecord(schema, record, options = {}) {
+    const path = options.path || '';
+    const value = {};
+    const errors = [];
+
+    Object.entries(schema.fields).forEach(([field, rule]) => {
+        const raw = record[field];
+        if (raw === undefined && (options.partial || !rule.required)) {
+            return;
+        }
+        if (isEmptyValue(raw)) {
+            if (rule.required) {
+                errors.push(createFieldError('required', path + field, `${rule.label} is required`));
+            } else {
+                value[field] = rule.type === 'string' ? '' : rule.type === 'tags' || rule.type === 'list' ? [] : null;
+            }
+            return;
+        }
+
+        const result = validateField(rule, raw, path + field);
+        if (result.errors) {
+            errors.push(...result.errors);
+        } else {
+            value[field] = result.value;
+        }
+    });
+
+    // Cross-field checks only run on fields that are valid on their own
+    if (errors.length === 0) {
+        schema.checks.forEach(check => errors.push(...check(value, path)));
+    }
+
+    return { value, errors };
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DETAIL_LIMITS,
+        MAX_VARIANTS,
+        PRODUCT_SCHEMA,
+        VARIANT_SCHEMA,
+        CART_ITEM_SCHEMA,
+        PROMOTION_SCHEMA,
+        createFieldError,
+        ValidationError,
+        settleValidation,
+        normalizeTags,
+        validateRecord
+    };
+}
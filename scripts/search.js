@@ -0,0 +1,323 @@
+/**
+ * Product Search
+ * A typo-tolerant, in-memory index over product names, brands and tags.
+ * The index is kept up to date by passing it the catalog whenever it is read;
+ * only products that were added, changed or removed since are re-indexed.
+ * Words are matched exactly, by the start of a word still being typed, or
+ * with a few typos, and results carry the positions of the matched words so
+ * they can be highlighted. Load after mergesort.js.
+ */
+
+// How much a match counts, by the field it is in
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    brand: 2,
+    tags: 1
+};
+
+// How much a match counts, by how the word matched
+const SEARCH_MATCH_SCORES = {
+    exact: 1,
+    prefix: 0.8,
+    typo: 0.6
+};
+
+// Added when the whole query appears in the product name
+const SEARCH_PHRASE_BONUS = 2;
+
+/**
+ * Normalise a word for matching: lower case, without accents
+ * @param {string} word - Word
+ * @returns {string} Normalised word
+ */
+function normalizeSearchWord(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Split text into normalised words, keeping where each one is in the text
+ * @param {string} text - Text
+ * @returns {Array} [{ term, start, end }] with positions in the original text
+ */
+function tokenizeSearchText(text) {
+    return Array.from(String(text ?? '').matchAll(/[\p{L}\p{N}]+/gu), match => ({
+        term: normalizeSearchWord(match[0]),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Get how many typos a query word may have: none for short words,
+ * one up to six letters and two for longer ones
+ * @param {number} length - Length of the word
+ * @returns {number} Typos allowed
+ */
+function getAllowedTypos(length) {
+    if (length <= 3) {
+        return 0;
+    }
+    return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Count the edits turning one word into another, where swapping two
+ * neighbouring letters is one edit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} max - Stop counting past this many edits
+ * @returns {number} Edits, or max + 1 if there are more than max
+ */
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], before[j - 2] + 1);
+            }
+        }
+        if (Math.min(...row) > max) {
+            return max + 1;
+        }
+        before = previous;
+        previous = row;
+    }
+
+    return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Score how well a query word matches a word of the index
+ * @param {string} word - Normalised query word
+ * @param {string} term - Normalised indexed word
+ * @param {boolean} partial - True if the word may be the start of a longer one,
+ *     as the last word of a query still being typed is
+ * @returns {number} Score from SEARCH_MATCH_SCORES, or 0 if it does not match
+ */
+function matchSearchTerm(word, term, partial) {
+    if (term === word) {
+        return SEARCH_MATCH_SCORES.exact;
+    }
+    if (partial && term.startsWith(word)) {
+        return SEARCH_MATCH_SCORES.prefix;
+    }
+
+    const typos = getAllowedTypos(word.length);
+    if (typos === 0) {
+        return 0;
+    }
+    let distance = getEditDistance(word, term, typos);
+    if (partial && term.length > word.length) {
+        distance = Math.min(distance, getEditDistance(word, term.slice(0, word.length), typos));
+    }
+    return distance <= typos ? SEARCH_MATCH_SCORES.typo : 0;
+}
+
+/**
+ * Read the searchable fields of a product
+ * @param {Object} product - Product
+ * @returns {Object} { name, brand, tags } word lists, tags as one list per tag
+ */
+function indexProductFields(product) {
+    return {
+        name: tokenizeSearchText(product.name),
+        brand: tokenizeSearchText(product.brand),
+        tags: (product.tags || []).map(tag => tokenizeSearchText(tag))
+    };
+}
+
+/**
+ * List every indexed word of a product with where it is
+ * @param {Object} fields - Fields from indexProductFields
+ * @returns {Array} [{ field, tag, token }] where tag is the tag's index, or null
+ */
+function listIndexedWords(fields) {
+    return [
+        ...fields.name.map(token => ({ field: 'name', tag: null, token })),
+        ...fields.brand.map(token => ({ field: 'brand', tag: null, token })),
+        ...fields.tags.flatMap((tokens, tag) => tokens.map(token => ({ field: 'tags', tag, token })))
+    ];
+}
+
+/**
+ * Create an empty search index
+ * @returns {Object} Index with update(products) and search(query)
+ */
+function createSearchIndex() {
+    // Indexed products by ID: { product, signature, fields }
+    const entries = new Map();
+    // IDs of the products each word appears in
+    const postings = new Map();
+    // Product IDs in catalog order, as last given to update
+    let catalogOrder = [];
+
+    const addPostings = (id, fields) => {
+        listIndexedWords(fields).forEach(({ token }) => {
+            if (!postings.has(token.term)) {
+                postings.set(token.term, new Set());
+            }
+            postings.get(token.term).add(id);
+        });
+    };
+
+    const removePostings = (id, fields) => {
+        listIndexedWords(fields).forEach(({ token }) => {
+            const ids = postings.get(token.term);
+            if (ids) {
+                ids.delete(id);
+                if (ids.size === 0) {
+                    postings.delete(token.term);
+                }
+            }
+        });
+    };
+
+    return {
+        /**
+         * Number of products in the index
+         */
+        get size() {
+            return entries.size;
+        },
+
+        /**
+         * Bring the index up to date with the catalog
+         * Products whose name, brand and tags are unchanged are not re-indexed.
+         * @param {Array} products - Every product
+         * @returns {Object} { added, updated, removed } counts
+         */
+        update(products) {
+            const counts = { added: 0, updated: 0, removed: 0 };
+            const ids = new Set();
+            catalogOrder = products.map(product => product.id);
+
+            products.forEach(product => {
+                ids.add(product.id);
+                const signature = JSON.stringify([product.name, product.brand, product.tags]);
+                const entry = entries.get(product.id);
+                if (entry && entry.signature === signature) {
+                    // Keep the latest copy for prices and stock
+                    entry.product = product;
+                    return;
+                }
+
+                if (entry) {
+                    removePostings(product.id, entry.fields);
+                    counts.updated++;
+                } else {
+                    counts.added++;
+                }
+                const fields = indexProductFields(product);
+                entries.set(product.id, { product, signature, fields });
+                addPostings(product.id, fields);
+            });
+
+            entries.forEach((entry, id) => {
+                if (!ids.has(id)) {
+                    removePostings(id, entry.fields);
+                    entries.delete(id);
+                    counts.removed++;
+                }
+            });
+
+            return counts;
+        },
+
+        /**
+         * Find the products matching every word of a query, best match first
+         * The last word also matches longer words unless the query ends in a space.
+         * @param {string} query - Search text
+         * @returns {Array} [{ product, score, highlights }] where highlights holds the
+         *     matched [start, end] ranges: { name, brand, tags: [ranges per tag] }
+         */
+        search(query) {
+            const words = tokenizeSearchText(query).map(token => token.term);
+            if (words.length === 0) {
+                return [];
+            }
+
+            // Indexed words matching each query word, with their scores
+            const partial = !/\s$/.test(query);
+            const wordMatches = words.map((word, index) => {
+                const matches = new Map();
+                postings.forEach((_, term) => {
+                    const score = matchSearchTerm(word, term, partial && index === words.length - 1);
+                    if (score > 0) {
+                        matches.set(term, score);
+                    }
+                });
+                return { word, matches };
+            });
+
+            // Only products with a match for every word
+            let candidates = null;
+            wordMatches.forEach(({ matches }) => {
+                const ids = new Set();
+                matches.forEach((_, term) => postings.get(term).forEach(id => ids.add(id)));
+                candidates = candidates === null ? ids : new Set([...candidates].filter(id => ids.has(id)));
+            });
+
+            const phrase = words.join(' ');
+            // Listed in catalog order, so ties below keep it
+            const results = catalogOrder.filter(id => candidates.has(id)).map(id => {
+                const { product, fields } = entries.get(id);
+                const indexed = listIndexedWords(fields);
+                const highlights = { name: [], brand: [], tags: fields.tags.map(() => []) };
+                let score = 0;
+
+                wordMatches.forEach(({ word, matches }) => {
+                    let best = 0;
+                    indexed.forEach(({ field, tag, token }) => {
+                        const match = matches.get(token.term);
+                        if (!match) {
+                            return;
+                        }
+                        best = Math.max(best, match * SEARCH_FIELD_WEIGHTS[field]);
+
+                        // Only the typed part of a word matched by its start is highlighted
+                        const end = match === SEARCH_MATCH_SCORES.prefix
+                            ? Math.min(token.end, token.start + word.length)
+                            : token.end;
+                        const ranges = tag === null ? highlights[field] : highlights.tags[tag];
+                        const existing = ranges.find(range => range[0] === token.start);
+                        if (existing) {
+                            existing[1] = Math.max(existing[1], end);
+                        } else {
+                            ranges.push([token.start, end]);
+                        }
+                    });
+                    score += best;
+                });
+
+                if (fields.name.map(token => token.term).join(' ').includes(phrase)) {
+                    score += SEARCH_PHRASE_BONUS;
+                }
+                [highlights.name, highlights.brand, ...highlights.tags].forEach(ranges => ranges.sort((a, b) => a[0] - b[0]));
+
+                return { product, score, highlights };
+            });
+
+            // Best match first; ties keep catalog order, as merge sort is stable
+            return MergeSort.sort(results, { key: 'score', direction: 'desc', type: 'number' });
+        }
+    };
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeSearchWord,
+        tokenizeSearchText,
+        getEditDistance,
+        matchSearchTerm,
+        createSearchIndex
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * Shop URL State
+ * Encodes what the shop page is showing in its query string, so a view can
+ * be reloaded, bookmarked or linked to, e.g. index.html?sort=-price&q=oil
+ *
+ *   sort      Sort spec as MergeSort reads it: '-price' or 'price,-name'
+ *   q         Search text
+ *   order     How search results are ordered: 'sort' for the sort order or
+ *             'relevance' for best match first; by the sort when one is given
+ *   category  Category filter, repeated for each one ticked
+ *   brand     Brand filter, repeated for each one ticked
+ *   min, max  Price range in rupees
+ *   instock   '1' to show products in stock only
+ *   page      Page of the grid, from 1
+ *
+ * Anything left at its default is left out of the URL. Load after
+ * mergesort.js and filters.js.
+ */
+
+/**
+ * Create the state of a shop showing everything in storage order
+ * @returns {Object} { sort, query, order, filters, page } where sort is a list of
+ *     { key, direction } and filters is from createProductFilters
+ */
+function createShopState() {
+    return {
+        sort: [],
+        query: '',
+        order: 'relevance',
+        filters: createProductFilters(),
+        page: 1
+    };
+}
+
+/**
+ * Read a price from the query string
+ * @param {string|null} value - Parameter value
+ * @returns {number|null} Price, or null when missing or not a price
+ */
+function parseShopPrice(value) {
+    if (value === null || value.trim() === '') {
+        return null;
+    }
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Get how search results are ordered when the URL does not say
+ * @param {Array} sort - Sort entries
+ * @returns {string} 'sort' when a sort is given, so ?sort=-price&q=oil lists
+ *     the results by price, otherwise 'relevance'
+ */
+function getDefaultShopOrder(sort) {
+    return sort.length > 0 ? 'sort' : 'relevance';
+}
+
+/**
+ * Read the shop state from a query string
+ * Values that cannot be read are left at their defaults; sort keys are
+ * returned as given, for the page to check against the keys it offers.
+ * @param {string} search - Query string, e.g. location.search
+ * @returns {Object} Shop state, as from createShopState
+ */
+function parseShopQuery(search) {
+    const params = new URLSearchParams(search);
+    const state = createShopState();
+
+    state.sort = MergeSort.normalizeSortSpec(params.get('sort') || '');
+    state.query = params.get('q') || '';
+    state.order = ['sort', 'relevance'].includes(params.get('order'))
+        ? params.get('order')
+        : getDefaultShopOrder(state.sort);
+
+    params.getAll('category').forEach(category => state.filters.categories.add(category));
+    params.getAll('brand').forEach(brand => state.filters.brands.add(brand));
+    state.filters.minPrice = parseShopPrice(params.get('min'));
+    state.filters.maxPrice = parseShopPrice(params.get('max'));
+    if (state.filters.minPrice !== null && state.filters.maxPrice !== null && state.filters.minPrice > state.filters.maxPrice) {
+        [state.filters.minPrice, state.filters.maxPrice] = [state.filters.maxPrice, state.filters.minPrice];
+    }
+    state.filters.inStockOnly = params.get('instock') === '1';
+
+    const page = Number(params.get('page'));
+    state.page = Number.isInteger(page) && page > 1 ? page : 1;
+
+    return state;
+}
+
+/**
+ * Write the shop state as a query string
+ * @param {Object} state - Shop state, as from createShopState
+ * @returns {string} Query string starting with '?', or '' for the default view
+ */
+function buildShopQuery(state) {
+    const params = new URLSearchParams();
+
+    if (state.sort.length > 0) {
+        params.set('sort', state.sort.map(entry => `${entry.direction === 'desc' ? '-' : ''}${entry.key}`).join(','));
+    }
+    if (state.query.trim()) {
+        params.set('q', state.query.trim());
+    }
+    if (state.query.trim() && state.order !== getDefaultShopOrder(state.sort)) {
+        params.set('order', state.order);
+    }
+    state.filters.categories.forEach(category => params.append('category', category));
+    state.filters.brands.forEach(brand => params.append('brand', brand));
+    if (state.filters.minPrice !== null) {
+        params.set('min', state.filters.minPrice);
+    }
+    if (state.filters.maxPrice !== null) {
+        params.set('max', state.filters.maxPrice);
+    }
+    if (state.filters.inStockOnly) {
+        params.set('instock', '1');
+    }
+    if (state.page > 1) {
+        params.set('page', state.page);
+    }
+
+    // Commas are left readable, as in ?sort=-price,name
+    const query = params.toString().replace(/%2C/g, ',');
+    return query ? `?${query}` : '';
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createShopState,
+        parseShopQuery,
+        buildShopQuery
+    };
+}
@@ -0,0 +1,346 @@
+/**
+ * Sorting Algorithm Lab
+ * Instrumented sorting algorithms and catalog generators for comparing
+ * merge sort with other algorithms on the same data
+ */
+
+/**
+ * Create an empty set of operation counters
+ * @returns {Object} Counters
+ */
+function createLabStats() {
+    return {
+        comparisons: 0,
+        moves: 0,
+        depth: 0,
+        maxDepth: 0
+    };
+}
+
+/**
+ * Wrap a comparator so every call is counted
+ * @param {Function} compare - Comparator (a, b) => number
+ * @param {Object} stats - Counters to update
+ * @returns {Function} Counting comparator
+ */
+function countingComparator(compare, stats) {
+    return function (a, b) {
+        stats.comparisons++;
+        return compare(a, b);
+    };
+}
+
+/**
+ * Project merge sort from mergesort.js, untraced as the shop runs it
+ * Its moves and depth are counted apart by countMergeSortMoves.
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @returns {Array} Sorted items
+ */
+function labMergeSort(items, compare) {
+    return mergeSort(items.slice(), compare);
+}
+
+/**
+ * Count the moves and depth of the project merge sort from its trace events,
+ * which arrive through push()
+ * Run after the timed sort: building the events costs as much as sorting.
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Plain (uncounted) comparator
+ * @param {Object} stats - Counters to update
+ */
+function countMergeSortMoves(items, compare, stats) {
+    const collector = {
+        push(event) {
+            if (event.type === 'compare' || event.type === 'copy') {
+                stats.moves++;
+            } else if (event.type === 'split') {
+                stats.maxDepth = Math.max(stats.maxDepth, event.depth + 1);
+            }
+        }
+    };
+    mergeSort(items.slice(), compare, collector);
+}
+
+/**
+ * Insertion sort
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @param {Object} stats - Counters to update
+ * @returns {Array} Sorted items
+ */
+function labInsertionSort(items, compare, stats) {
+    const result = items.slice();
+
+    for (let i = 1; i < result.length; i++) {
+        const current = result[i];
+        let j = i - 1;
+
+        while (j >= 0 && compare(result[j], current) > 0) {
+            result[j + 1] = result[j];
+            stats.moves++;
+            j--;
+        }
+
+        result[j + 1] = current;
+        stats.moves++;
+    }
+
+    return result;
+}
+
+/**
+ * Quicksort with the middle element as pivot (Lomuto partition)
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @param {Object} stats - Counters to update
+ * @returns {Array} Sorted items
+ */
+function labQuickSort(items, compare, stats) {
+    const result = items.slice();
+
+    const swap = (i, j) => {
+        const temp = result[i];
+        result[i] = result[j];
+        result[j] = temp;
+        stats.moves += 2;
+    };
+
+    const sortRange = (low, high) => {
+        if (low >= high) {
+            return;
+        }
+
+        stats.depth++;
+        stats.maxDepth = Math.max(stats.maxDepth, stats.depth);
+
+        swap(Math.floor((low + high) / 2), high);
+        const pivot = result[high];
+        let store = low;
+
+        for (let i = low; i < high; i++) {
+            if (compare(result[i], pivot) < 0) {
+                swap(i, store);
+                store++;
+            }
+        }
+        swap(store, high);
+
+        sortRange(low, store - 1);
+        sortRange(store + 1, high);
+        stats.depth--;
+    };
+
+    sortRange(0, result.length - 1);
+    return result;
+}
+
+/**
+ * Heap sort (iterative sift-down)
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @param {Object} stats - Counters to update
+ * @returns {Array} Sorted items
+ */
+function labHeapSort(items, compare, stats) {
+    const result = items.slice();
+
+    const swap = (i, j) => {
+        const temp = result[i];
+        result[i] = result[j];
+        result[j] = temp;
+        stats.moves += 2;
+    };
+
+    const siftDown = (root, size) => {
+        while (true) {
+            let largest = root;
+            const left = 2 * root + 1;
+            const right = left + 1;
+
+            if (left < size && compare(result[left], result[largest]) > 0) {
+                largest = left;
+            }
+            if (right < size && compare(result[right], result[largest]) > 0) {
+                largest = right;
+            }
+            if (largest === root) {
+                return;
+            }
+
+            swap(root, largest);
+            root = largest;
+        }
+    };
+
+    for (let i = Math.floor(result.length / 2) - 1; i >= 0; i--) {
+        siftDown(i, result.length);
+    }
+
+    for (let end = result.length - 1; end > 0; end--) {
+        swap(0, end);
+        siftDown(0, end);
+    }
+
+    return result;
+}
+
+/**
+ * Bottom-up (iterative) merge sort, merging runs of width 1, 2, 4, ...
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @param {Object} stats - Counters to update
+ * @returns {Array} Sorted items
+ */
+function labBottomUpMergeSort(items, compare, stats) {
+    let source = items.slice();
+    let target = new Array(source.length);
+
+    for (let width = 1; width < source.length; width *= 2) {
+        for (let start = 0; start < source.length; start += 2 * width) {
+            const mid = Math.min(start + width, source.length);
+            const end = Math.min(start + 2 * width, source.length);
+            let i = start;
+            let j = mid;
+
+            for (let k = start; k < end; k++) {
+                if (i < mid && (j >= end || compare(source[i], source[j]) <= 0)) {
+                    target[k] = source[i++];
+                } else {
+                    target[k] = source[j++];
+                }
+                stats.moves++;
+            }
+        }
+
+        [source, target] = [target, source];
+    }
+
+    return source;
+}
+
+/**
+ * Native Array.prototype.sort
+ * Element moves happen inside the engine and cannot be counted
+ * @param {Array} items - Items to sort
+ * @param {Function} compare - Counting comparator
+ * @param {Object} stats - Counters to update
+ * @returns {Array} Sorted items
+ */
+function labNativeSort(items, compare, stats) {
+    stats.moves = null;
+    return items.slice().sort(compare);
+}
+
+/**
+ * Algorithms available in the lab
+ * `countMoves`, where given, counts moves and depth in a separate untimed run.
+ */
+const LAB_ALGORITHMS = [
+    { id: 'merge', name: 'Merge sort (project)', run: labMergeSort, countMoves: countMergeSortMoves, recursive: true, color: '#4CAF50' },
+    { id: 'bottomUp', name: 'Bottom-up merge sort', run: labBottomUpMergeSort, recursive: false, color: '#2196F3' },
+    { id: 'insertion', name: 'Insertion sort', run: labInsertionSort, recursive: false, color: '#f44336' },
+    { id: 'quick', name: 'Quicksort', run: labQuickSort, recursive: true, color: '#ff9800' },
+    { id: 'heap', name: 'Heap sort', run: labHeapSort, recursive: false, color: '#9c27b0' },
+    { id: 'native', name: 'Array.prototype.sort', run: labNativeSort, recursive: false, color: '#607d8b' }
+];
+
+/**
+ * Check that a result is sorted and that equal items kept their original order
+ * @param {Array} original - Input order
+ * @param {Array} sorted - Output order
+ * @param {Function} compare - Plain (uncounted) comparator
+ * @returns {Object} { sorted: boolean, stable: boolean }
+ */
+function checkSortResult(original, sorted, compare) {
+    const position = new Map(original.map((item, index) => [item, index]));
+    let isSorted = sorted.length === original.length;
+    let isStable = true;
+
+    for (let i = 1; i < sorted.length; i++) {
+        const comparison = compare(sorted[i - 1], sorted[i]);
+        if (comparison > 0) {
+            isSorted = false;
+        } else if (comparison === 0 && position.get(sorted[i - 1]) > position.get(sorted[i])) {
+            isStable = false;
+        }
+    }
+
+    return { sorted: isSorted, stable: isStable };
+}
+
+/**
+ * Run one algorithm on a catalog and measure it
+ * @param {Object} algorithm - Entry from LAB_ALGORITHMS
+ * @param {Array} items - Items to sort
+ * @param {Function|string|Array} spec - Comparator or sort spec
+ * @returns {Object} Measurements
+ */
+function runLabAlgorithm(algorithm, items, spec) {
+    const compare = createComparator(spec);
+    const stats = createLabStats();
+
+    const startTime = performance.now();
+    const result = algorithm.run(items, countingComparator(compare, stats), stats);
+    const time = performance.now() - startTime;
+    if (algorithm.countMoves) {
+        algorithm.countMoves(items, compare, stats);
+    }
+
+    return {
+        id: algorithm.id,
+        name: algorithm.name,
+        n: items.length,
+        comparisons: stats.comparisons,
+        moves: stats.moves,
+        maxDepth: algorithm.recursive ? stats.maxDepth : null,
+        time,
+        ...checkSortResult(items, result, compare)
+    };
+}
+
+/**
+ * Catalog shapes the generator can produce
+ */
+const CATALOG_SHAPES = ['random', 'sorted', 'reversed', 'duplicates'];
+
+/**
+ * Generate a catalog of products for the lab
+ * @param {number} size - Number of products
+ * @param {string} shape - 'random', 'sorted', 'reversed' or 'duplicates'
+ * @param {Function|string|Array} spec - Sort spec used for the sorted/reversed shapes
+ * @returns {Array} Array of Product objects
+ */
+function generateCatalog(size, shape = 'random', spec = 'price') {
+    const baseNames = ['Ketchup', 'Salt', 'Oil', 'Rice', 'Atta', 'Sugar', 'Tea', 'Coffee', 'Dal', 'Ghee'];
+    const duplicatePrices = [25, 50, 75, 100, 150];
+    const products = [];
+
+    for (let i = 0; i < size; i++) {
+        const price = shape === 'duplicates'
+            ? duplicatePrices[Math.floor(Math.random() * duplicatePrices.length)]
+            : Math.round((10 + Math.random() * 990) * 100) / 100;
+        const baseName = baseNames[Math.floor(Math.random() * baseNames.length)];
+        const name = shape === 'duplicates' ? baseName : `${baseName} ${Math.floor(Math.random() * 1000)}`;
+        products.push(new Product(i + 1, name, price, `assets/${(i % 9) + 1}.jpg`));
+    }
+
+    if (shape === 'sorted' || shape === 'reversed') {
+        const sorted = mergeSort(products, spec);
+        return shape === 'reversed' ? sorted.reverse() : sorted;
+    }
+
+    return products;
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LAB_ALGORITHMS,
+        CATALOG_SHAPES,
+        createLabStats,
+        runLabAlgorithm,
+        checkSortResult,
+        generateCatalog
+    };
+}
@@ -0,0 +1,45 @@
+/**
+ * Sort Worker
+ * Sorts product ids by pre-read key columns off the main thread
+ * Messages in:  { ids: Float64Array, keys: [{ type, collation, sign, values }], algorithm }
+ * Messages out: { type: 'progress', progress } and { type: 'done', ids: Float64Array }
+ */
+
+importScripts('mergesort.js');
+
+// Post a progress message every this many comparisons
+const PROGRESS_INTERVAL = 50000;
+
+self.onmessage = function (event) {
+    const { ids, keys, algorithm } = event.data;
+    const comparators = keys.map(key => ({
+        values: key.values,
+        compare: resolveComparator(key.type, key.collation),
+        sign: key.sign
+    }));
+
+    // Merge sort needs about n·log₂n comparisons, which is close enough for a progress bar
+    const expected = Math.max(1, ids.length * Math.log2(Math.max(2, ids.length)));
+    let comparisons = 0;
+
+    const compare = function (a, b) {
+        if (++comparisons % PROGRESS_INTERVAL === 0) {
+            self.postMessage({ type: 'progress', progress: Math.min(0.99, comparisons / expected) });
+        }
+
+        for (const key of comparators) {
+            const comparison = key.compare(key.values[a], key.values[b]);
+            if (comparison !== 0) {
+                return comparison * key.sign;
+            }
+        }
+        return 0;
+    };
+
+    const indexes = Array.from(ids, (id, index) => index);
+    const variant = MERGE_SORT_VARIANTS[algorithm] || MERGE_SORT_VARIANTS.bottomUp;
+    const order = variant(indexes, compare);
+
+    const sortedIds = Float64Array.from(order, index => ids[index]);
+    self.postMessage({ type: 'done', ids: sortedIds }, [sortedIds.buffer]);
+};
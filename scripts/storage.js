@@ -0,0 +1,531 @@
+/**
+ * Versioned Storage
+ * Reads and writes shop data through a pluggable adapter (localStorage,
+ * IndexedDB or a REST API). Local adapters wrap data in a
+ * { version, savedAt, data } envelope and upgrade older payloads through
+ * ordered migrations when they are read.
+ * With the REST adapter, changes to single records are sent to the server as
+ * they are made (see requestStore); a rejected one throws the ValidationError
+ * of schema.js.
+ */
+
+/**
+ * Migrations per storage key
+ * migrations[i] upgrades data from version i to version i + 1, so the current
+ * version of a key is the number of its migrations. Data stored before
+ * versioning (a bare array) is version 0.
+ */
+const STORAGE_MIGRATIONS = {
+    grocno_products: [
+        // v1: pack size and unit
+        data => data.map(product => ({ packSize: null, unit: null, ...product })),
+        // v2: category, brand, description, SKU, stock, tags and timestamps
+        data => data.map(product => ({
+            category: '',
+            brand: '',
+            description: '',
+            sku: '',
+            stock: null,
+            tags: [],
+            createdAt: null,
+            updatedAt: null,
+            ...product
+        })),
+        // v3: price history, starting from the current price
+        data => data.map(product => ({
+            priceHistory: [{ price: product.price, date: product.updatedAt || product.createdAt || null }],
+            ...product
+        })),
+        // v4: variants (further sizes)
+        data => data.map(product => ({ variants: [], ...product }))
+    ],
+    grocno_cart: [
+        // v1: quantities are whole numbers of at least 1
+        data => data.map(item => ({ ...item, qty: Math.max(1, parseInt(item.qty) || 1) })),
+        // v2: items refer to a variant; null is the product's main size
+        data => data.map(item => ({ variantId: null, ...item }))
+    ]
+};
+
+/**
+ * Error for stored data written by a newer version of the app
+ */
+class StorageVersionError extends Error {
+    constructor(key, foundVersion, supportedVersion) {
+        super(`Data under "${key}" is version ${foundVersion}, but this version of the shop only understands up to version ${supportedVersion}`);
+        this.name = 'StorageVersionError';
+        this.key = key;
+        this.foundVersion = foundVersion;
+        this.supportedVersion = supportedVersion;
+    }
+}
+
+/**
+ * Register further migrations for a storage key
+ * @param {string} key - Storage key
+ * @param {Array} migrations - Migration functions, appended in order
+ */
+function registerStorageMigrations(key, migrations) {
+    STORAGE_MIGRATIONS[key] = (STORAGE_MIGRATIONS[key] || []).concat(migrations);
+}
+
+/**
+ * Get the schema version this code writes for a key
+ * @param {string} key - Storage key
+ * @returns {number} Current version
+ */
+function getStorageVersion(key) {
+    return (STORAGE_MIGRATIONS[key] || []).length;
+}
+
+/**
+ * Split a parsed payload into its version and data
+ * @param {*} payload - Parsed JSON
+ * @returns {Object} { version, data }
+ */
+function unwrapEnvelope(payload) {
+    if (payload && !Array.isArray(payload) && typeof payload === 'object' && Number.isInteger(payload.version) && 'data' in payload) {
+        return { version: payload.version, data: payload.data };
+    }
+    // Unversioned data from before envelopes existed
+    return { version: 0, data: payload };
+}
+
+/**
+ * Bring a stored payload up to the current version of its key
+ * @param {string} key - Storage key
+ * @param {*} payload - Stored envelope, or unversioned data
+ * @returns {Object} { data, migrated }
+ * @throws {StorageVersionError} If the payload comes from a newer version
+ */
+function migrateStoredPayload(key, payload) {
+    const migrations = STORAGE_MIGRATIONS[key] || [];
+    let { version, data } = unwrapEnvelope(payload);
+    const migrated = version < migrations.length;
+
+    if (version > migrations.length) {
+        throw new StorageVersionError(key, version, migrations.length);
+    }
+
+    for (; version < migrations.length; version++) {
+        data = migrations[version](data);
+    }
+
+    return { data, migrated };
+}
+
+/**
+ * Check that a key may be overwritten by this version of the app
+ * @param {string} key - Storage key
+ * @param {*} payload - Currently stored payload, or null
+ * @throws {StorageVersionError} If the stored payload comes from a newer version
+ */
+function assertWritable(key, payload) {
+    if (payload === null || payload === undefined) {
+        return;
+    }
+
+    const storedVersion = unwrapEnvelope(payload).version;
+    if (storedVersion > getStorageVersion(key)) {
+        throw new StorageVersionError(key, storedVersion, getStorageVersion(key));
+    }
+}
+
+/**
+ * Wrap data in an envelope stamped with the current version of its key
+ * @param {string} key - Storage key
+ * @param {*} data - JSON-serialisable data
+ * @returns {Object} { version, savedAt, data }
+ */
+function createEnvelope(key, data) {
+    return {
+        version: getStorageVersion(key),
+        savedAt: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Get the key a payload is backed up under before it is migrated
+ * @param {string} key - Storage key
+ * @param {*} payload - Stored payload
+ * @returns {string|null} Backup key, or null if the payload is current
+ */
+function getBackupKey(key, payload) {
+    const version = unwrapEnvelope(payload).version;
+    return version === getStorageVersion(key) ? null : `${key}_backup_v${version}`;
+}
+
+/**
+ * Storage adapter backed by localStorage
+ * Payloads are stored as JSON strings; data that cannot be parsed is kept
+ * under `<key>_backup_corrupt` and then treated as missing on write.
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+
+        async read(key) {
+            const raw = localStorage.getItem(key);
+            if (raw === null) {
+                return null;
+            }
+
+            let payload;
+            try {
+                payload = JSON.parse(raw);
+            } catch (error) {
+                localStorage.setItem(`${key}_backup_corrupt`, raw);
+                throw error;
+            }
+
+            const backupKey = getBackupKey(key, payload);
+            if (backupKey) {
+                localStorage.setItem(backupKey, raw);
+            }
+
+            const { data, migrated } = migrateStoredPayload(key, payload);
+            if (migrated) {
+                localStorage.setItem(key, JSON.stringify(createEnvelope(key, data)));
+            }
+            return data;
+        },
+
+        async write(key, data) {
+            let stored = null;
+            try {
+                stored = JSON.parse(localStorage.getItem(key));
+            } catch (error) {
+                // Corrupt data was already backed up when it was read
+            }
+            assertWritable(key, stored);
+            localStorage.setItem(key, JSON.stringify(createEnvelope(key, data)));
+        },
+
+        async remove(key) {
+            localStorage.removeItem(key);
+        }
+    };
+}
+
+/**
+ * Create a runner for requests against one IndexedDB object store
+ * The database is opened, and the store created, on first use.
+ * @param {string} databaseName - Database name
+ * @param {string} storeName - Object store name
+ * @param {Object} storeOptions - Options for createObjectStore, e.g. { keyPath: 'id' }
+ * @returns {Function} run(mode, action): runs action(store), which returns a request,
+ *     in a 'readonly' or 'readwrite' transaction and resolves to the request's result
+ */
+function createIndexedDBRunner(databaseName, storeName, storeOptions = undefined) {
+    let databasePromise = null;
+
+    const openDatabase = () => {
+        if (!databasePromise) {
+            databasePromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(databaseName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(storeName, storeOptions);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return databasePromise;
+    };
+
+    return async (mode, action) => {
+        const database = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = database.transaction(storeName, mode);
+            const request = action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    };
+}
+
+/**
+ * Storage adapter backed by IndexedDB
+ * Envelopes are stored as objects in a single object store keyed by storage
+ * key, so the catalog is not limited by the localStorage quota.
+ * @param {string} databaseName - Database name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(databaseName = 'grocno') {
+    const run = createIndexedDBRunner(databaseName, 'records');
+
+    const get = key => run('readonly', store => store.get(key));
+    const put = (key, value) => run('readwrite', store => store.put(value, key));
+
+    return {
+        name: 'indexedDB',
+
+        async read(key) {
+            const payload = await get(key);
+            if (payload === undefined) {
+                return null;
+            }
+
+            const backupKey = getBackupKey(key, payload);
+            if (backupKey) {
+                await put(backupKey, payload);
+            }
+
+            const { data, migrated } = migrateStoredPayload(key, payload);
+            if (migrated) {
+                await put(key, createEnvelope(key, data));
+            }
+            return data;
+        },
+
+        async write(key, data) {
+            assertWritable(key, await get(key));
+            await put(key, createEnvelope(key, data));
+        },
+
+        async remove(key) {
+            await run('readwrite', store => store.delete(key));
+        }
+    };
+}
+
+/**
+ * REST resources used by the HTTP adapter for each storage key
+ */
+const STORAGE_RESOURCES = {
+    grocno_products: 'products',
+    grocno_cart: 'cart',
+    grocno_audit: 'audit',
+    grocno_promotions: 'promotions'
+};
+
+/**
+ * Storage adapter backed by a REST API
+ * GET reads a whole collection, PUT replaces it and DELETE clears it. The
+ * server keeps its own data current, so no envelope or migration is applied.
+ * Changes to single records go through request() instead (see requestStore),
+ * so the server applies them to its current data.
+ * @param {string} baseUrl - API base URL, e.g. '/api'
+ * @returns {Object} Storage adapter
+ */
+function createHttpAdapter(baseUrl = '/api') {
+    const apiUrl = path => `${baseUrl.replace(/\/$/, '')}/${path}`;
+
+    const resourceUrl = key => {
+        if (!STORAGE_RESOURCES[key]) {
+            throw new Error(`No REST resource is configured for "${key}"`);
+        }
+        return apiUrl(STORAGE_RESOURCES[key]);
+    };
+
+    const send = (method, url, body) => fetch(url, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const sendToKey = async (method, key, body) => {
+        const url = resourceUrl(key);
+        const response = await send(method, url, body);
+
+        if (!response.ok && !(method === 'GET' && response.status === 404)) {
+            throw new Error(`${method} ${url} failed with status ${response.status}`);
+        }
+        return response;
+    };
+
+    return {
+        name: 'http',
+
+        async read(key) {
+            const response = await sendToKey('GET', key);
+            return response.status === 404 ? null : response.json();
+        },
+
+        async write(key, data) {
+            await sendToKey('PUT', key, data);
+        },
+
+        async remove(key) {
+            await sendToKey('DELETE', key);
+        },
+
+        async request(method, path, body) {
+            const url = apiUrl(path);
+            const response = await send(method, url, body);
+            const result = response.status === 204 ? null : await response.json().catch(() => null);
+
+            if (response.ok) {
+                return result ?? true;
+            }
+            // A rejected record comes back as { error, errors } with the field errors
+            if ((response.status === 400 || response.status === 409) && result && result.error) {
+                throw new ValidationError(result.errors && result.errors.length > 0 ? result.errors : createFieldError('rejected', '', result.error));
+            }
+            const error = new Error(`${method} ${url} failed with status ${response.status}${result && result.error ? `: ${result.error}` : ''}`);
+            error.status = response.status;
+            throw error;
+        }
+    };
+}
+
+/**
+ * Storage adapters by configuration name
+ */
+const STORAGE_ADAPTERS = {
+    localStorage: () => createLocalStorageAdapter(),
+    indexedDB: config => createIndexedDBAdapter(config.databaseName),
+    http: config => createHttpAdapter(config.apiBaseUrl)
+};
+
+// Adapter in use, created from SHOP_CONFIG on first use
+let storageAdapter = null;
+
+/**
+ * Get the storage adapter chosen in SHOP_CONFIG (config.js)
+ * Unknown adapter names fall back to localStorage.
+ * @returns {Object} Storage adapter
+ */
+function getStorageAdapter() {
+    if (!storageAdapter) {
+        const config = typeof SHOP_CONFIG !== 'undefined' ? SHOP_CONFIG : {};
+        const name = config.storage || 'localStorage';
+
+        if (!STORAGE_ADAPTERS[name]) {
+            console.error(`Unknown storage adapter "${name}", using localStorage`);
+        }
+        storageAdapter = (STORAGE_ADAPTERS[name] || STORAGE_ADAPTERS.localStorage)(config);
+    }
+    return storageAdapter;
+}
+
+/**
+ * Replace the storage adapter
+ * @param {Object} adapter - Object with async read(key), write(key, data) and remove(key),
+ *     and request(method, path, body) if changes are made by a server
+ */
+function setStorageAdapter(adapter) {
+    storageAdapter = adapter;
+}
+
+/**
+ * Read data through the storage adapter, migrating it if needed
+ * @param {string} key - Storage key
+ * @returns {Promise<*>} Stored data, or null if nothing is stored
+ * @throws {StorageVersionError} If the data comes from a newer version
+ */
+function readStore(key) {
+    return getStorageAdapter().read(key);
+}
+
+/**
+ * Write data through the storage adapter
+ * Refuses to overwrite data written by a newer version of the app.
+ * @param {string} key - Storage key
+ * @param {*} data - JSON-serialisable data
+ * @returns {Promise} Resolves once saved
+ */
+function writeStore(key, data) {
+    return getStorageAdapter().write(key, data);
+}
+
+/**
+ * Remove data through the storage adapter
+ * @param {string} key - Storage key
+ * @returns {Promise} Resolves once removed
+ */
+function removeStore(key) {
+    return getStorageAdapter().remove(key);
+}
+
+/**
+ * Check whether changes are made by a REST API rather than on this page
+ * @returns {boolean} True if the storage adapter sends single changes to a server
+ */
+function isRemoteStore() {
+    return typeof getStorageAdapter().request === 'function';
+}
+
+/**
+ * Send one change to the REST API of the storage adapter
+ * The server makes the change to the data it holds at that moment, so a page
+ * never saves a collection it read earlier over changes made elsewhere.
+ * Only call this when isRemoteStore() is true.
+ * @param {string} method - HTTP method
+ * @param {string} path - Path under the API base URL, e.g. 'products/4'
+ * @param {*} body - JSON body, or undefined for none
+ * @returns {Promise<*>} The response body, true for an empty response, or
+ *     null if the request failed (a 404 is not reported)
+ * @throws {ValidationError} If the server rejected the record (400 or 409)
+ */
+async function requestStore(method, path, body) {
+    try {
+        return await getStorageAdapter().request(method, path, body);
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw error;
+        }
+        if (error.status !== 404) {
+            reportStorageError(error);
+        }
+        return null;
+    }
+}
+
+/**
+ * Report a storage problem to the console and, on pages, in a banner
+ * @param {Error} error - Error from readStore, writeStore or removeStore
+ */
+function reportStorageError(error) {
+    console.error('Storage error:', error);
+
+    if (!(error instanceof StorageVersionError) || typeof document === 'undefined' || !document.body) {
+        return;
+    }
+
+    if (document.getElementById('storageErrorBanner')) {
+        return;
+    }
+
+    const banner = document.createElement('div');
+    banner.id = 'storageErrorBanner';
+    banner.setAttribute('role', 'alert');
+    banner.textContent = 'Your saved shop data was created by a newer version of this site. '
+        + 'It has been left untouched, and changes will not be saved until you update.';
+    banner.style.cssText = `
+        background: #f44336;
+        color: white;
+        padding: 12px 20px;
+        text-align: center;
+        font-weight: 500;
+    `;
+    document.body.prepend(banner);
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        STORAGE_MIGRATIONS,
+        StorageVersionError,
+        registerStorageMigrations,
+        getStorageVersion,
+        migrateStoredPayload,
+        assertWritable,
+        createEnvelope,
+        getBackupKey,
+        createLocalStorageAdapter,
+        createIndexedDBRunner,
+        createIndexedDBAdapter,
+        createHttpAdapter,
+        STORAGE_ADAPTERS,
+        getStorageAdapter,
+        setStorageAdapter,
+        readStore,
+        writeStore,
+        removeStore,
+        isRemoteStore,
+        requestStore,
+        reportStorageError
+    };
+}
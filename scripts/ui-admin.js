@@ -6,7 +6,7 @@
 /**
  * Display all products in inventory
  */
-function displayInventory() {
+async function displayInventory() {
     const inventoryList = document.getElementById('inventoryList');
     
     if (!inventoryList) {
@@ -14,11 +14,13 @@ function displayInventory() {
         return;
     }
 
+    // Get all products
+    const products = await getProducts();
+
     // Clear existing content
     inventoryList.innerHTML = '';
 
-    // Get all products
-    const products = getProducts();
+    updateDetailSuggestions(products || []);
 
     // If no products, show empty state
     if (!products || products.length === 0) {
@@ -31,6 +33,16 @@ function displayInventory() {
         const inventoryItem = createInventoryItem(product);
         inventoryList.appendChild(inventoryItem);
     });
+
+    // Refresh the duplicates report if it is loaded
+    if (typeof renderDuplicateReport === 'function') {
+        renderDuplicateReport(products);
+    }
+
+    // Refresh the products offered for promotions if they are loaded
+    if (typeof updatePromotionProducts === 'function') {
+        updatePromotionProducts(products);
+    }
 }
 
 /**
@@ -44,11 +56,12 @@ function createInventoryItem(product) {
     item.dataset.productId = product.id;
 
     item.innerHTML = `
-        <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}"
-             onerror="this.src='https://via.placeholder.com/80x80?text=${encodeURIComponent(product.name)}'">
+        <img alt="${escapeHtml(product.name)}">
         <div class="inventory-item-info">
             <div class="inventory-item-name">${escapeHtml(product.name)}</div>
             <div class="inventory-item-price">${parseFloat(product.price).toFixed(2)}</div>
+            ${formatPackSize(product) ? `<div class="inventory-item-pack">${escapeHtml(formatPackSize(product))} · ${escapeHtml(formatUnitPrice(product))}</div>` : ''}
+            <div class="inventory-item-meta">${formatInventoryMeta(product)}</div>
         </div>
         <div class="inventory-item-actions">
             <button class="btn-edit" data-product-id="${product.id}">Edit</button>
@@ -56,6 +69,8 @@ function createInventoryItem(product) {
         </div>
     `;
 
+    setImageSource(item.querySelector('img'), product.image, product.name, 'thumb');
+
     // Add event listeners
     const editBtn = item.querySelector('.btn-edit');
     const deleteBtn = item.querySelector('.btn-delete');
@@ -72,41 +87,310 @@ function createInventoryItem(product) {
 }
 
 /**
- * Handle adding a new product
+ * Summarise category, brand, SKU and stock for an inventory row
+ * @param {Product} product - Product object
+ * @returns {string} HTML snippet
  */
-function handleAddProduct(event) {
-    event.preventDefault();
+function formatInventoryMeta(product) {
+    const parts = [product.category, product.brand, product.sku]
+        .filter(Boolean)
+        .map(escapeHtml);
+
+    if (product.stock !== null) {
+        const lowClass = getStockStatus(product) === 'in-stock' ? '' : ' class="stock-low"';
+        parts.push(`<span${lowClass}>${product.stock} in stock</span>`);
+    }
 
-    const nameInput = document.getElementById('productName');
-    const priceInput = document.getElementById('productPrice');
-    const imageInput = document.getElementById('productImage');
-    const addBtn = document.getElementById('addProductBtn');
+    if (product.variants.length > 0) {
+        parts.push(`${product.variants.length + 1} sizes`);
+    }
 
-    if (!nameInput || !priceInput || !imageInput) {
-        showNotification('Form inputs not found', 'error');
-        return;
+    return parts.join(' · ');
+}
+
+/**
+ * Catalog detail fields shared by the add form and the edit modal
+ * Input IDs are the form prefix followed by the suffix, e.g. productBrand / editProductBrand
+ */
+const DETAIL_FIELDS = {
+    category: 'Category',
+    brand: 'Brand',
+    sku: 'Sku',
+    stock: 'Stock',
+    tags: 'Tags',
+    description: 'Description'
+};
+
+/**
+ * Read the catalog detail fields of a form
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @returns {Object} Field values keyed by field name
+ */
+function readDetailFields(prefix) {
+    const details = {};
+    Object.entries(DETAIL_FIELDS).forEach(([field, suffix]) => {
+        const input = document.getElementById(prefix + suffix);
+        if (input) {
+            details[field] = input.value.trim();
+        }
+    });
+    if (document.getElementById(`${prefix}Variants`)) {
+        details.variants = readVariantRows(prefix);
     }
+    return details;
+}
+
+/**
+ * Fill (or clear, without a product) the catalog detail fields of a form
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {Product} product - Product to show, or null to clear
+ */
+function fillDetailFields(prefix, product = null) {
+    Object.entries(DETAIL_FIELDS).forEach(([field, suffix]) => {
+        const input = document.getElementById(prefix + suffix);
+        if (!input) {
+            return;
+        }
+        if (!product) {
+            input.value = '';
+        } else if (field === 'tags') {
+            input.value = product.tags.join(', ');
+        } else {
+            input.value = product[field] ?? '';
+        }
+    });
+    fillVariantRows(prefix, product ? product.variants : []);
+}
+
+/**
+ * Create an editable row for one variant
+ * @param {Object} variant - Variant, or {} for a new one
+ * @returns {HTMLElement} Variant row element
+ */
+function createVariantRow(variant = {}) {
+    const row = document.createElement('div');
+    row.className = 'variant-row';
+    row.dataset.variantId = variant.id ?? '';
+
+    const units = Object.keys(PACK_UNITS)
+        .map(unit => `<option value="${unit}" ${unit === variant.unit ? 'selected' : ''}>${unit}</option>`)
+        .join('');
+
+    row.innerHTML = `
+        <input type="text" data-field="label" placeholder="Label, e.g., Family pack" maxlength="50" value="${escapeHtml(variant.label || '')}">
+        <input type="number" data-field="price" placeholder="Price (₹)" step="0.01" min="0" required value="${variant.price ?? ''}">
+        <input type="number" data-field="packSize" placeholder="Pack size" step="any" min="0" value="${variant.packSize ?? ''}">
+        <select data-field="unit" aria-label="Unit">
+            <option value="">—</option>
+            ${units}
+        </select>
+        <input type="text" data-field="sku" placeholder="SKU" maxlength="40" pattern="[A-Za-z0-9_\-]+" value="${escapeHtml(variant.sku || '')}">
+        <input type="number" data-field="stock" placeholder="Stock" step="1" min="0" value="${variant.stock ?? ''}">
+        <input type="text" data-field="image" placeholder="Image URL (optional)" value="${escapeHtml(variant.image || '')}">
+        <button type="button" class="btn-delete" aria-label="Remove variant">Remove</button>
+    `;
 
-    const name = nameInput.value.trim();
-    const price = priceInput.value.trim();
-    const image = imageInput.value.trim();
+    row.querySelector('.btn-delete').addEventListener('click', () => row.remove());
+    return row;
+}
 
-    // Validate inputs
-    if (!name) {
-        showNotification('Please enter a product name', 'error');
-        nameInput.focus();
+/**
+ * Show a product's variants in a form's variant editor
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {Array} variants - Variants to show
+ */
+function fillVariantRows(prefix, variants) {
+    const container = document.getElementById(`${prefix}Variants`);
+    if (!container) {
         return;
     }
+    container.innerHTML = '';
+    variants.forEach(variant => container.appendChild(createVariantRow(variant)));
+}
+
+/**
+ * Read the variants from a form's variant editor
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @returns {Array} Variants for addProduct / updateProduct
+ */
+function readVariantRows(prefix) {
+    const container = document.getElementById(`${prefix}Variants`);
+    if (!container) {
+        return [];
+    }
+    return Array.from(container.querySelectorAll('.variant-row')).map(row => {
+        const variant = { id: row.dataset.variantId ? Number(row.dataset.variantId) : null };
+        row.querySelectorAll('[data-field]').forEach(input => {
+            variant[input.dataset.field] = input.value.trim();
+        });
+        return variant;
+    });
+}
+
+/**
+ * Offer existing categories and brands as suggestions in the forms
+ * @param {Array} products - Array of Product objects
+ */
+function updateDetailSuggestions(products) {
+    [['categoryOptions', 'category'], ['brandOptions', 'brand']].forEach(([id, field]) => {
+        const datalist = document.getElementById(id);
+        if (!datalist) {
+            return;
+        }
+        const values = [...new Set(products.map(p => p[field]).filter(Boolean))].sort();
+        datalist.innerHTML = values.map(value => `<option value="${escapeHtml(value)}">`).join('');
+    });
+}
+
+/**
+ * Find the input a field error belongs to
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {string} field - Field path, e.g. 'price' or 'variants.0.sku'
+ * @returns {HTMLElement|null} Input element
+ */
+function getFieldInput(prefix, field) {
+    const [name, index, variantField] = field.split('.');
+    if (name === 'variants' && variantField) {
+        const row = document.querySelectorAll(`#${prefix}Variants .variant-row`)[Number(index)];
+        return row ? row.querySelector(`[data-field="${variantField}"]`) : null;
+    }
+    return document.getElementById(prefix + name.charAt(0).toUpperCase() + name.slice(1));
+}
+
+/**
+ * Remove the error shown for one input
+ * @param {HTMLElement} input - Input element
+ */
+function clearFieldError(input) {
+    const messageId = input.getAttribute('aria-describedby');
+    const message = messageId ? document.getElementById(messageId) : null;
+    if (message && message.classList.contains('field-error')) {
+        message.remove();
+    }
+    input.classList.remove('input-invalid');
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+}
+
+/**
+ * Remove every error shown in a form
+ * @param {HTMLFormElement} form - Form element
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('.input-invalid').forEach(clearFieldError);
+    form.querySelectorAll('.field-error').forEach(message => message.remove());
+}
+
+/**
+ * Show field errors next to the inputs they belong to
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {HTMLFormElement} form - Form element
+ * @param {Array} errors - Field errors: [{ code, field, message }]
+ * @returns {Array} Errors that have no input in the form
+ */
+function showFieldErrors(prefix, form, errors) {
+    clearFieldErrors(form);
+
+    const unplaced = [];
+    let firstInput = null;
+    errors.forEach(error => {
+        const input = getFieldInput(prefix, error.field);
+        if (!input || !form.contains(input)) {
+            unplaced.push(error);
+            return;
+        }
+
+        const message = document.createElement('p');
+        message.className = 'field-error';
+        message.id = `${prefix}-error-${error.field.replace(/\./g, '-')}`;
+        message.textContent = error.message;
+        // Variant rows are a grid, so their messages go below the row
+        (input.closest('.variant-row') || input).insertAdjacentElement('afterend', message);
+
+        input.classList.add('input-invalid');
+        input.setAttribute('aria-invalid', 'true');
+        input.setAttribute('aria-describedby', message.id);
+        firstInput = firstInput || input;
+    });
+
+    if (firstInput) {
+        firstInput.focus();
+    }
+    return unplaced;
+}
+
+/**
+ * Report why a product was rejected: inline for fields in the form,
+ * and as a notification for anything else
+ * @param {string} prefix - 'product', 'editProduct' or 'promotion'
+ * @param {HTMLFormElement} form - Form element
+ * @param {string} fallback - Message when no reason was given
+ * @param {Array} errors - Field errors from settleValidation
+ */
+function reportProductErrors(prefix, form, fallback, errors) {
+    const unplaced = showFieldErrors(prefix, form, errors);
 
-    if (!price || parseFloat(price) < 0) {
-        showNotification('Please enter a valid price', 'error');
-        priceInput.focus();
+    if (errors.length === 0) {
+        showNotification(fallback, 'error');
+    } else if (unplaced.length > 0) {
+        showNotification(unplaced.map(error => error.message).join('. '), 'error');
+    } else {
+        showNotification('Please fix the highlighted fields', 'error');
+    }
+}
+
+/**
+ * Read every field of the add form or the edit modal
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @returns {Object} name, price, image, packSize, unit and the detail fields
+ */
+function readProductForm(prefix) {
+    const fields = {};
+    ['Name', 'Price', 'Image', 'PackSize', 'Unit'].forEach(suffix => {
+        const input = document.getElementById(prefix + suffix);
+        if (input) {
+            fields[suffix.charAt(0).toLowerCase() + suffix.slice(1)] = input.value;
+        }
+    });
+    return { ...fields, ...readDetailFields(prefix) };
+}
+
+/**
+ * Clear the add form after a product was added or merged
+ */
+function resetAddForm() {
+    ['productName', 'productPrice', 'productImage', 'productPackSize', 'productUnit'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.value = '';
+        }
+    });
+    fillDetailFields('product');
+    if (typeof refreshImagePreview === 'function') {
+        refreshImagePreview('product');
+    }
+}
+
+/**
+ * Handle adding a new product
+ * The fields are checked by addProduct against the shared product schema.
+ */
+async function handleAddProduct(event) {
+    event.preventDefault();
+
+    const form = event.target;
+    const addBtn = document.getElementById('addProductBtn');
+
+    if (!document.getElementById('productName') || !document.getElementById('productPrice') || !document.getElementById('productImage')) {
+        showNotification('Form inputs not found', 'error');
         return;
     }
 
-    if (!image) {
-        showNotification('Please enter an image URL', 'error');
-        imageInput.focus();
+    clearFieldErrors(form);
+    const fields = readProductForm('product');
+
+    // Ask first if it looks like a product that is already in the catalog
+    if (typeof warnAboutDuplicates === 'function' && await warnAboutDuplicates('product', fields)) {
         return;
     }
 
@@ -117,20 +401,17 @@ function handleAddProduct(event) {
     }
 
     // Add product
-    const newProduct = addProduct(name, price, image);
+    const { value: newProduct, errors } = await settleValidation(addProduct(fields.name, fields.price, fields.image, fields.packSize ?? null, fields.unit ?? null, fields));
 
     if (newProduct) {
-        showNotification(`${name} added successfully!`, 'success');
-        // Clear form
-        nameInput.value = '';
-        priceInput.value = '';
-        imageInput.value = '';
+        showNotification(`${newProduct.name} added successfully!`, 'success');
+        resetAddForm();
         // Refresh inventory
         displayInventory();
         // Trigger storage event for other tabs
         window.dispatchEvent(new Event('storage'));
     } else {
-        showNotification('Failed to add product. Please try again.', 'error');
+        reportProductErrors('product', form, 'Failed to add product. Please try again.', errors);
     }
 
     // Remove loading state
@@ -144,15 +425,15 @@ function handleAddProduct(event) {
  * Handle deleting a product
  * @param {number} id - Product ID
  */
-function handleDeleteProduct(id) {
-    const product = getProductById(id);
+async function handleDeleteProduct(id) {
+    const product = await getProductById(id);
     if (!product) {
         showNotification('Product not found', 'error');
         return;
     }
 
     if (confirm(`Are you sure you want to delete "${product.name}"?`)) {
-        if (deleteProduct(id)) {
+        if (await deleteProduct(id)) {
             showNotification(`${product.name} deleted successfully!`, 'success');
             displayInventory();
             // Trigger storage event for other tabs
@@ -185,10 +466,95 @@ function openEditModal(product) {
     editPrice.value = product.price;
     editImage.value = product.image;
 
+    const editPackSize = document.getElementById('editProductPackSize');
+    const editUnit = document.getElementById('editProductUnit');
+    if (editPackSize && editUnit) {
+        editPackSize.value = product.packSize ?? '';
+        editUnit.value = product.unit || '';
+    }
+    fillDetailFields('editProduct', product);
+    renderPriceHistory(product);
+    if (typeof refreshImagePreview === 'function') {
+        refreshImagePreview('editProduct');
+    }
+
     // Show modal
     modal.classList.add('active');
 }
 
+/**
+ * Show the price history of a product in the edit modal
+ * @param {Product} product - Product being edited
+ */
+function renderPriceHistory(product) {
+    const container = document.getElementById('editPriceHistory');
+    if (!container) {
+        return;
+    }
+
+    const history = product.priceHistory;
+    const prices = history.map(point => point.price);
+    const changes = history.length - 1;
+    const recent = history.slice(-5).reverse().map(point => `
+        <li><span>${point.date ? escapeHtml(new Date(point.date).toLocaleDateString()) : 'Unknown date'}</span> ₹${point.price.toFixed(2)}</li>
+    `).join('');
+
+    container.innerHTML = `
+        ${createPriceSparkline(history)}
+        <p class="price-history-summary">
+            ${changes === 0 ? 'No price changes yet' : `${changes} price change${changes === 1 ? '' : 's'}`}
+            · Low ₹${Math.min(...prices).toFixed(2)} · High ₹${Math.max(...prices).toFixed(2)}
+        </p>
+        <ol class="price-history-list">${recent}</ol>
+    `;
+}
+
+/**
+ * Draw a price history as an SVG step line
+ * Points are spaced by date when every point has one, otherwise evenly.
+ * @param {Array} history - [{ price, date }] oldest first
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {string} SVG markup
+ */
+function createPriceSparkline(history, width = 320, height = 60) {
+    const padding = 4;
+    const times = history.map(point => Date.parse(point.date));
+    const dated = times.every(time => !isNaN(time));
+    // Each price holds until the next one; the last holds until now
+    const starts = dated ? times : history.map((point, index) => index);
+    const end = dated ? Math.max(Date.now(), starts[starts.length - 1]) : history.length;
+
+    const prices = history.map(point => point.price);
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    const span = end - starts[0] || 1;
+
+    const x = value => (padding + (value - starts[0]) / span * (width - 2 * padding)).toFixed(1);
+    const y = price => (max === min
+        ? height / 2
+        : height - padding - (price - min) / (max - min) * (height - 2 * padding)).toFixed(1);
+
+    const line = [];
+    history.forEach((point, index) => {
+        const next = index + 1 < history.length ? starts[index + 1] : end;
+        line.push(`${x(starts[index])},${y(point.price)}`, `${x(next)},${y(point.price)}`);
+    });
+
+    const dots = history.map((point, index) => `
+        <circle cx="${x(starts[index])}" cy="${y(point.price)}" r="3">
+            <title>₹${point.price.toFixed(2)}${point.date ? ` on ${escapeHtml(new Date(point.date).toLocaleDateString())}` : ''}</title>
+        </circle>
+    `).join('');
+
+    return `
+        <svg class="price-sparkline" viewBox="0 0 ${width} ${height}" width="100%" height="${height}" role="img" aria-label="Price history chart">
+            <polyline points="${line.join(' ')}" />
+            ${dots}
+        </svg>
+    `;
+}
+
 /**
  * Close edit modal
  */
@@ -200,48 +566,36 @@ function closeEditModal() {
         const editForm = document.getElementById('editForm');
         if (editForm) {
             editForm.reset();
+            clearFieldErrors(editForm);
+        }
+        if (typeof hideDuplicateWarning === 'function') {
+            hideDuplicateWarning('editProduct');
         }
     }
 }
 
 /**
  * Handle updating a product
+ * The fields are checked by updateProduct against the shared product schema.
  */
-function handleUpdateProduct(event) {
+async function handleUpdateProduct(event) {
     event.preventDefault();
 
+    const form = event.target;
     const editId = document.getElementById('editProductId');
-    const editName = document.getElementById('editProductName');
-    const editPrice = document.getElementById('editProductPrice');
-    const editImage = document.getElementById('editProductImage');
-    const updateBtn = event.target.querySelector('button[type="submit"]');
+    const updateBtn = form.querySelector('button[type="submit"]');
 
-    if (!editId || !editName || !editPrice || !editImage) {
+    if (!editId || !document.getElementById('editProductName') || !document.getElementById('editProductPrice') || !document.getElementById('editProductImage')) {
         showNotification('Edit form inputs not found', 'error');
         return;
     }
 
+    clearFieldErrors(form);
     const id = parseInt(editId.value);
-    const name = editName.value.trim();
-    const price = editPrice.value.trim();
-    const image = editImage.value.trim();
-
-    // Validate inputs
-    if (!name) {
-        showNotification('Please enter a product name', 'error');
-        editName.focus();
-        return;
-    }
+    const updates = readProductForm('editProduct');
 
-    if (!price || parseFloat(price) < 0) {
-        showNotification('Please enter a valid price', 'error');
-        editPrice.focus();
-        return;
-    }
-
-    if (!image) {
-        showNotification('Please enter an image URL', 'error');
-        editImage.focus();
+    // Ask first if the new name or image looks like another product
+    if (typeof warnAboutDuplicates === 'function' && await warnAboutDuplicates('editProduct', updates, id)) {
         return;
     }
 
@@ -252,20 +606,16 @@ function handleUpdateProduct(event) {
     }
 
     // Update product
-    const updatedProduct = updateProduct(id, {
-        name: name,
-        price: price,
-        image: image
-    });
+    const { value: updatedProduct, errors } = await settleValidation(updateProduct(id, updates));
 
     if (updatedProduct) {
-        showNotification(`${name} updated successfully!`, 'success');
+        showNotification(`${updatedProduct.name} updated successfully!`, 'success');
         closeEditModal();
         displayInventory();
         // Trigger storage event for other tabs
         window.dispatchEvent(new Event('storage'));
     } else {
-        showNotification('Failed to update product. Please try again.', 'error');
+        reportProductErrors('editProduct', form, 'Failed to update product. Please try again.', errors);
     }
 
     // Remove loading state
@@ -278,9 +628,9 @@ function handleUpdateProduct(event) {
 /**
  * Handle reset to default products
  */
-function handleReset() {
-    if (confirm('Are you sure you want to reset all products to defaults? This will remove all custom products!')) {
-        if (clearAllProducts()) {
+async function handleReset() {
+    if (confirm('Are you sure you want to reset all products to defaults? This will remove all custom products! You can undo this from the change history.')) {
+        if (await clearAllProducts()) {
             showNotification('Products reset to defaults!', 'success');
             displayInventory();
             // Trigger storage event for other tabs
@@ -298,16 +648,18 @@ function initializeAdminPage() {
     // Display inventory
     displayInventory();
 
-    // Add form event listener
+    // Add form event listeners; an error goes away once its input is edited
     const productForm = document.getElementById('productForm');
     if (productForm) {
         productForm.addEventListener('submit', handleAddProduct);
+        productForm.addEventListener('input', (e) => clearFieldError(e.target));
     }
 
-    // Add edit form event listener
+    // Add edit form event listeners
     const editForm = document.getElementById('editForm');
     if (editForm) {
         editForm.addEventListener('submit', handleUpdateProduct);
+        editForm.addEventListener('input', (e) => clearFieldError(e.target));
     }
 
     // Add modal close listeners
@@ -325,12 +677,46 @@ function initializeAdminPage() {
         });
     }
 
+    // Add variant buttons of both forms
+    ['product', 'editProduct'].forEach(prefix => {
+        const addVariantBtn = document.getElementById(`${prefix}AddVariant`);
+        const container = document.getElementById(`${prefix}Variants`);
+        if (addVariantBtn && container) {
+            addVariantBtn.addEventListener('click', () => container.appendChild(createVariantRow()));
+        }
+    });
+
     // Add reset button listener
     const resetBtn = document.getElementById('resetBtn');
     if (resetBtn) {
         resetBtn.addEventListener('click', handleReset);
     }
 
+    // Set up catalog import and export if it is loaded
+    if (typeof initializeCatalogIO === 'function') {
+        initializeCatalogIO();
+    }
+
+    // Set up change history and undo/redo if it is loaded
+    if (typeof initializeHistory === 'function') {
+        initializeHistory();
+    }
+
+    // Set up image upload if it is loaded
+    if (typeof initializeImageUpload === 'function') {
+        initializeImageUpload();
+    }
+
+    // Set up duplicate warnings and the duplicates report if they are loaded
+    if (typeof initializeDuplicates === 'function') {
+        initializeDuplicates();
+    }
+
+    // Set up the promotion form and calendar if they are loaded
+    if (typeof initializePromotions === 'function') {
+        initializePromotions();
+    }
+
     // Listen for storage changes
     window.addEventListener('storage', function(event) {
         if (event.key === 'grocno_products') {
@@ -6,7 +6,7 @@
 /**
  * Display all cart items
  */
-function displayCartItems() {
+async function displayCartItems() {
     const cartContent = document.getElementById('cartContent');
     const cartSummary = document.getElementById('cartSummary');
     
@@ -15,8 +15,10 @@ function displayCartItems() {
         return;
     }
 
-    // Get cart items
-    const cartItems = getCartItems();
+    // Get cart items, products for their stock levels and today's prices
+    const cartItems = await getCartItems();
+    const products = await getProducts();
+    const lines = await getCartPricing();
 
     // Clear existing content
     cartContent.innerHTML = '';
@@ -34,70 +36,162 @@ function displayCartItems() {
     }
 
     // Create cart item cards
-    cartItems.forEach(cartItem => {
-        const cartItemCard = createCartItemCard(cartItem);
+    cartItems.forEach((cartItem, index) => {
+        const product = products.find(p => p.id === cartItem.id);
+        const variant = product ? getProductVariant(product, cartItem.variantId) : null;
+        const cartItemCard = createCartItemCard(cartItem, variant ? variant.stock : 0, lines[index]);
         cartContent.appendChild(cartItemCard);
     });
 
     // Update cart summary
-    updateCartSummary();
+    await updateCartSummary();
+}
+
+/**
+ * Describe how much stock is left for a cart item
+ * @param {number|null} stock - Units in stock, or null when not tracked
+ * @param {number} qty - Quantity in the cart
+ * @returns {string} Message, or '' when there is plenty
+ */
+function formatCartStockNote(stock, qty) {
+    if (stock === null) {
+        return '';
+    }
+    if (stock < qty) {
+        return stock > 0 ? `Only ${stock} left - please lower the quantity` : 'Out of stock - please remove it';
+    }
+    if (stock === qty) {
+        return 'You have all the stock we have';
+    }
+    return stock <= LOW_STOCK_THRESHOLD ? `Only ${stock} left` : '';
+}
+
+/**
+ * Reflect the stock level on a cart card's + button and stock note
+ * @param {HTMLElement} card - Cart item card
+ * @param {number} qty - Quantity in the cart
+ */
+function updateCartStockState(card, qty) {
+    const stock = card.dataset.stock === '' ? null : Number(card.dataset.stock);
+    const increaseBtn = card.querySelector('.qty-increase');
+    const stockNote = card.querySelector('.cart-item-stock');
+
+    if (increaseBtn) {
+        increaseBtn.disabled = stock !== null && qty >= stock;
+        increaseBtn.title = increaseBtn.disabled ? 'No more in stock' : '';
+    }
+    if (stockNote) {
+        stockNote.textContent = formatCartStockNote(stock, qty);
+        stockNote.classList.toggle('over-stock', stock !== null && qty > stock);
+    }
+}
+
+/**
+ * Describe the promotion on a cart item, e.g. "Salt week · Limit 2 per customer"
+ * @param {Object} line - Line from getCartPricing, with a promotion
+ * @returns {string} Note
+ */
+function formatCartPromotionNote(line) {
+    const title = line.promotion.title || 'Sale';
+    if (line.saleQty < line.item.qty) {
+        return `${title}: sale price on the first ${line.saleQty}, limit ${line.promotion.limit} per customer`;
+    }
+    return line.promotion.limit ? `${title} · Limit ${line.promotion.limit} per customer` : title;
+}
+
+/**
+ * Show a cart item's price and total at today's prices
+ * @param {HTMLElement} card - Cart item card
+ * @param {Object} line - Line from getCartPricing
+ */
+function renderCartItemPrice(card, line) {
+    const priceElement = card.querySelector('.cart-item-price');
+    const promoElement = card.querySelector('.cart-item-promo');
+    const totalElement = card.querySelector('.item-total-price');
+
+    if (priceElement) {
+        priceElement.innerHTML = line.promotion
+            ? `₹${line.price.toFixed(2)} <s class="price-regular">₹${line.regularPrice.toFixed(2)}</s>`
+            : `₹${line.price.toFixed(2)}`;
+    }
+    if (promoElement) {
+        promoElement.textContent = line.promotion ? formatCartPromotionNote(line) : '';
+    }
+    if (totalElement) {
+        totalElement.textContent = `₹${line.total.toFixed(2)}`;
+    }
 }
 
 /**
  * Create a cart item card element
  * @param {CartItem} cartItem - Cart item object
+ * @param {number|null} stock - Units in stock, or null when not tracked
+ * @param {Object} line - Line from getCartPricing; without one the item's own price is shown
  * @returns {HTMLElement} Cart item card element
  */
-function createCartItemCard(cartItem) {
+function createCartItemCard(cartItem, stock = null, line = priceCartItem(cartItem, undefined, [])) {
     const card = document.createElement('div');
     card.className = 'cart-item-card';
-    card.dataset.itemId = cartItem.id;
+    card.dataset.itemId = cartItem.getKey();
+    card.dataset.stock = stock === null ? '' : stock;
 
     card.innerHTML = `
         <div class="cart-item-image">
-            <img src="${escapeHtml(cartItem.img)}" alt="${escapeHtml(cartItem.name)}"
-                 onerror="this.src='https://via.placeholder.com/120x120?text=${encodeURIComponent(cartItem.name)}'">
+            <img alt="${escapeHtml(cartItem.name)}">
         </div>
         <div class="cart-item-info">
             <h3 class="cart-item-name">${escapeHtml(cartItem.name)}</h3>
-            <p class="cart-item-price">₹${parseFloat(cartItem.price).toFixed(2)}</p>
+            <p class="cart-item-price"></p>
+            <p class="cart-item-promo"></p>
+            <p class="cart-item-stock"></p>
         </div>
         <div class="cart-item-quantity">
-            <button class="qty-btn qty-decrease" data-item-id="${cartItem.id}">-</button>
-            <span class="qty-value" id="qty-${cartItem.id}">${cartItem.qty}</span>
-            <button class="qty-btn qty-increase" data-item-id="${cartItem.id}">+</button>
+            <button class="qty-btn qty-decrease" data-item-id="${cartItem.getKey()}">-</button>
+            <span class="qty-value" id="qty-${cartItem.getKey()}">${cartItem.qty}</span>
+            <button class="qty-btn qty-increase" data-item-id="${cartItem.getKey()}">+</button>
         </div>
         <div class="cart-item-total">
-            <p class="item-total-price">₹${cartItem.getTotal().toFixed(2)}</p>
+            <p class="item-total-price"></p>
         </div>
         <div class="cart-item-actions">
-            <button class="btn-remove" data-item-id="${cartItem.id}" aria-label="Remove item">
+            <button class="btn-remove" data-item-id="${cartItem.getKey()}" aria-label="Remove item">
                 Remove
             </button>
         </div>
     `;
 
+    setImageSource(card.querySelector('img'), cartItem.img, cartItem.name, 'thumb');
+    renderCartItemPrice(card, line);
+
     // Add event listeners
     const decreaseBtn = card.querySelector('.qty-decrease');
     const increaseBtn = card.querySelector('.qty-increase');
     const removeBtn = card.querySelector('.btn-remove');
 
+    const changeQuantity = async qty => {
+        const updatedItem = await updateCartItemQuantity(cartItem.id, qty, cartItem.variantId);
+        if (updatedItem) {
+            cartItem.qty = updatedItem.qty;
+        }
+    };
+
     if (decreaseBtn) {
         decreaseBtn.addEventListener('click', () => {
-            const newQty = Math.max(1, cartItem.qty - 1);
-            updateCartItemQuantity(cartItem.id, newQty);
+            changeQuantity(Math.max(1, cartItem.qty - 1));
         });
     }
 
     if (increaseBtn) {
         increaseBtn.addEventListener('click', () => {
-            updateCartItemQuantity(cartItem.id, cartItem.qty + 1);
+            changeQuantity(cartItem.qty + 1);
         });
     }
 
+    updateCartStockState(card, cartItem.qty);
+
     if (removeBtn) {
         removeBtn.addEventListener('click', () => {
-            handleRemoveItem(cartItem.id, cartItem.name);
+            handleRemoveItem(cartItem.id, cartItem.name, cartItem.variantId);
         });
     }
 
@@ -108,43 +202,54 @@ function createCartItemCard(cartItem) {
  * Update cart item quantity
  * @param {number} id - Item ID
  * @param {number} qty - New quantity
+ * @param {number|null} variantId - Variant ID, or null for the main size
+ * @returns {Promise<CartItem|null>} Updated cart item, or null if not updated
  */
-function updateCartItemQuantity(id, qty) {
-    const updatedItem = updateCartQuantity(id, qty);
+async function updateCartItemQuantity(id, qty, variantId = null) {
+    const { value: updatedItem, errors } = await settleValidation(updateCartQuantity(id, qty, variantId));
     
     if (updatedItem) {
+        const key = updatedItem.getKey();
+
         // Update quantity display
-        const qtyElement = document.getElementById(`qty-${id}`);
+        const qtyElement = document.getElementById(`qty-${key}`);
         if (qtyElement) {
             qtyElement.textContent = updatedItem.qty;
         }
 
-        // Update item total
-        const itemCard = document.querySelector(`[data-item-id="${id}"]`);
+        // Update item total; a promotion's limit may change the price
+        const itemCard = document.querySelector(`.cart-item-card[data-item-id="${key}"]`);
         if (itemCard) {
-            const totalPriceElement = itemCard.querySelector('.item-total-price');
-            if (totalPriceElement) {
-                totalPriceElement.textContent = `₹${updatedItem.getTotal().toFixed(2)}`;
+            const line = (await getCartPricing()).find(entry => entry.item.getKey() === key);
+            if (line) {
+                renderCartItemPrice(itemCard, line);
             }
+            updateCartStockState(itemCard, updatedItem.qty);
         }
 
         // Update cart summary
-        updateCartSummary();
+        await updateCartSummary();
         showNotification('Quantity updated!', 'success');
     } else if (qty === 0) {
         // Item was removed
         displayCartItems();
+    } else if (errors.length > 0) {
+        // Not enough stock
+        showNotification(errors.map(error => error.message).join('. '), 'error');
     }
+
+    return updatedItem;
 }
 
 /**
  * Handle removing an item from cart
  * @param {number} id - Item ID
  * @param {string} name - Item name
+ * @param {number|null} variantId - Variant ID, or null for the main size
  */
-function handleRemoveItem(id, name) {
+async function handleRemoveItem(id, name, variantId = null) {
     if (confirm(`Are you sure you want to remove "${name}" from your cart?`)) {
-        if (removeFromCart(id)) {
+        if (await removeFromCart(id, variantId)) {
             showNotification(`${name} removed from cart!`, 'success');
             displayCartItems();
         } else {
@@ -156,15 +261,17 @@ function handleRemoveItem(id, name) {
 /**
  * Update cart summary (total amount)
  */
-function updateCartSummary() {
+async function updateCartSummary() {
     const cartSummary = document.getElementById('cartSummary');
     
     if (!cartSummary) {
         return;
     }
 
-    const cartItems = getCartItems();
-    const totalAmount = getCartTotal();
+    const lines = await getCartPricing();
+    const cartItems = lines.map(line => line.item);
+    const totalAmount = lines.reduce((total, line) => total + line.total, 0);
+    const savings = lines.reduce((total, line) => total + line.regularPrice * line.item.qty - line.total, 0);
 
     cartSummary.innerHTML = `
         <div class="summary-card">
@@ -173,6 +280,12 @@ function updateCartSummary() {
                 <span>Items (${cartItems.length})</span>
                 <span>${cartItems.reduce((sum, item) => sum + item.qty, 0)}</span>
             </div>
+            ${savings > 0.005 ? `
+                <div class="summary-row savings-row">
+                    <span>Promotion savings</span>
+                    <span>-₹${savings.toFixed(2)}</span>
+                </div>
+            ` : ''}
             <div class="summary-row total-row">
                 <span>Total Amount</span>
                 <span class="total-amount">₹${totalAmount.toFixed(2)}</span>
@@ -191,23 +304,26 @@ function updateCartSummary() {
 /**
  * Handle checkout
  */
-function handleCheckout() {
-    const cartItems = getCartItems();
+async function handleCheckout() {
+    const cartItems = await getCartItems();
     
     if (!cartItems || cartItems.length === 0) {
         showNotification('Your cart is empty!', 'error');
         return;
     }
 
-    // Clear cart
-    if (checkout()) {
+    // Take the items out of stock and clear the cart
+    const { value: checkedOut, errors } = await settleValidation(checkout());
+    if (checkedOut) {
         // Show success alert
         alert('Successfully checked out!');
         
         // Redirect to index.html
         window.location.href = 'index.html';
     } else {
-        showNotification('Checkout failed. Please try again.', 'error');
+        showNotification(errors.map(error => error.message).join('. ') || 'Checkout failed. Please try again.', 'error');
+        // Stock may have changed since the cart was shown
+        displayCartItems();
     }
 }
 
@@ -220,7 +336,7 @@ function initializeCartPage() {
 
     // Listen for storage changes (multi-tab support)
     window.addEventListener('storage', function(event) {
-        if (event.key === 'grocno_cart') {
+        if (event.key === 'grocno_cart' || event.key === 'grocno_promotions') {
             displayCartItems();
         }
     });
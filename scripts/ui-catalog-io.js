@@ -0,0 +1,343 @@
+/**
+ * UI Logic for Catalog Import & Export
+ * File picking, column mapping, dry-run preview and downloads on the admin page
+ */
+
+// Rows shown in the preview table; the rest are still imported
+const IMPORT_PREVIEW_MAX_ROWS = 500;
+
+// Import in progress
+const importState = {
+    columns: [],
+    records: [],
+    mapping: {},
+    plan: null
+};
+
+/**
+ * Work out the format of an import file
+ * @param {File} file - Chosen file
+ * @param {string} text - File contents
+ * @returns {string} 'csv' or 'json'
+ */
+function detectImportFormat(file, text) {
+    if (/\.json$/i.test(file.name)) {
+        return 'json';
+    }
+    if (/\.csv$/i.test(file.name)) {
+        return 'csv';
+    }
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+/**
+ * Handle a file chosen for import
+ * @param {Event} event - Change event from the file input
+ */
+async function handleImportFileChange(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    try {
+        const text = await file.text();
+        const { columns, records } = readImportFile(text, detectImportFormat(file, text));
+
+        if (records.length === 0) {
+            showNotification('The file has no product rows', 'error');
+            resetImport();
+            return;
+        }
+
+        importState.columns = columns;
+        importState.records = records;
+        importState.mapping = guessColumnMapping(columns);
+
+        renderImportMapping();
+        await refreshImportPreview();
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+        resetImport();
+    }
+}
+
+/**
+ * Render one select per file column to choose the product field it fills
+ */
+function renderImportMapping() {
+    const container = document.getElementById('importMapping');
+    if (!container) {
+        return;
+    }
+
+    const options = [['', 'Ignore'], ...Object.entries(IMPORT_FIELDS).map(([field, info]) => [field, info.label])];
+
+    container.innerHTML = '';
+    importState.columns.forEach((column, index) => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        group.innerHTML = `
+            <label for="importColumn${index}" title="${escapeHtml(column)}">${escapeHtml(column)}</label>
+            <select id="importColumn${index}">
+                ${options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+            </select>
+        `;
+
+        const select = group.querySelector('select');
+        select.value = importState.mapping[column];
+        select.addEventListener('change', () => handleMappingChange(column, select.value));
+
+        container.appendChild(group);
+    });
+}
+
+/**
+ * Map a column to a field; a field can only be filled by one column
+ * @param {string} column - File column
+ * @param {string} field - Product field, or '' to ignore the column
+ */
+function handleMappingChange(column, field) {
+    Object.keys(importState.mapping).forEach(other => {
+        if (field && other !== column && importState.mapping[other] === field) {
+            importState.mapping[other] = '';
+        }
+    });
+    importState.mapping[column] = field;
+
+    renderImportMapping();
+    refreshImportPreview();
+}
+
+/**
+ * Get the chosen import mode
+ * @returns {string} 'upsert' or 'append'
+ */
+function getImportMode() {
+    const modeSelect = document.getElementById('importMode');
+    return modeSelect ? modeSelect.value : 'upsert';
+}
+
+/**
+ * Get what to do with new rows that look like existing products
+ * @returns {string} 'warn' or 'merge'
+ */
+function getImportDuplicates() {
+    const duplicatesSelect = document.getElementById('importDuplicates');
+    return duplicatesSelect ? duplicatesSelect.value : 'warn';
+}
+
+/**
+ * Re-run the dry run and show what the import would do
+ */
+async function refreshImportPreview() {
+    const preview = document.getElementById('importPreview');
+    const tbody = document.getElementById('importRows');
+    const summary = document.getElementById('importSummary');
+    const applyBtn = document.getElementById('importApplyBtn');
+    if (!preview || !tbody || importState.records.length === 0) {
+        return;
+    }
+
+    const plan = planImport(importState.records, importState.mapping, await getProducts(), getImportMode(), getImportDuplicates());
+    importState.plan = plan;
+
+    tbody.innerHTML = '';
+    plan.rows.slice(0, IMPORT_PREVIEW_MAX_ROWS).forEach(result => {
+        tbody.appendChild(createImportRow(result));
+    });
+
+    const { added, updated, unchanged, merged, failed } = plan.summary;
+    const total = added + updated + merged;
+    const warned = plan.rows.filter(result => result.action === 'add' && result.duplicates.length > 0).length;
+    const hidden = plan.rows.length - IMPORT_PREVIEW_MAX_ROWS;
+    if (summary) {
+        summary.textContent = `${added} to add, ${updated} to update, ${merged} to merge, ${unchanged} unchanged, ${failed} with errors (skipped).`
+            + (warned > 0 ? ` ${warned} new product${warned === 1 ? ' looks' : 's look'} like existing ones.` : '')
+            + (hidden > 0 ? ` Showing the first ${IMPORT_PREVIEW_MAX_ROWS} of ${plan.rows.length} rows.` : '');
+    }
+    if (applyBtn) {
+        applyBtn.disabled = total === 0;
+        applyBtn.textContent = `Import ${total} product${total === 1 ? '' : 's'}`;
+    }
+
+    preview.hidden = false;
+}
+
+/**
+ * Create a preview table row for one import row
+ * @param {Object} result - Row from planImport
+ * @returns {HTMLElement} Table row
+ */
+function createImportRow(result) {
+    const row = document.createElement('tr');
+    const labels = { add: 'Add', update: 'Update', unchanged: 'Unchanged', merge: 'Merge', error: 'Error' };
+    const name = result.product ? result.product.name : result.fields.name || '';
+
+    let details;
+    if (result.action === 'error') {
+        details = escapeHtml(result.error);
+    } else {
+        const parts = [`#${result.product.id}`, `₹${result.product.price.toFixed(2)}`];
+        if (result.product.sku) {
+            parts.push(escapeHtml(result.product.sku));
+        }
+        if (result.matchedBy) {
+            parts.push(`matched by ${result.matchedBy === 'sku' ? 'SKU' : 'ID'}`);
+        }
+        if (result.action === 'merge') {
+            parts.push(`merged into "${escapeHtml(result.product.name)}" (${escapeHtml(result.duplicates[0].reasons.join(', '))})`);
+        } else if (result.duplicates && result.duplicates.length > 0) {
+            const match = result.duplicates[0];
+            parts.push(`<span class="import-duplicate">Did you mean #${match.product.id} "${escapeHtml(match.product.name)}"? (${escapeHtml(match.reasons.join(', '))})</span>`);
+        }
+        details = parts.join(' · ');
+    }
+
+    row.innerHTML = `
+        <td>${result.row}</td>
+        <td class="import-${result.action}">${labels[result.action]}</td>
+        <td>${escapeHtml(name)}</td>
+        <td>${details}</td>
+    `;
+    return row;
+}
+
+/**
+ * Save the previewed import
+ */
+async function handleImportApply() {
+    if (importState.records.length === 0) {
+        return;
+    }
+
+    // Plan again in case the catalog changed since the preview
+    const plan = planImport(importState.records, importState.mapping, await getProducts(), getImportMode(), getImportDuplicates());
+    const { added, updated, unchanged, merged, failed } = plan.summary;
+
+    if (added + updated + merged === 0) {
+        showNotification(unchanged > 0 ? 'Nothing to import: the catalog already matches the file' : 'No valid rows to import', 'error');
+        return;
+    }
+
+    if (await applyImport(plan)) {
+        const skipped = failed > 0 ? `, ${failed} skipped` : '';
+        const mergedText = merged > 0 ? `, ${merged} merged` : '';
+        showNotification(`Imported ${added} new and ${updated} updated products${mergedText}${skipped}`, 'success');
+        resetImport();
+        displayInventory();
+        // Trigger storage event for other tabs
+        window.dispatchEvent(new Event('storage'));
+    } else {
+        showNotification('Failed to save the import', 'error');
+    }
+}
+
+/**
+ * Clear the import in progress
+ */
+function resetImport() {
+    importState.columns = [];
+    importState.records = [];
+    importState.mapping = {};
+    importState.plan = null;
+
+    const fileInput = document.getElementById('importFile');
+    const preview = document.getElementById('importPreview');
+    if (fileInput) {
+        fileInput.value = '';
+    }
+    if (preview) {
+        preview.hidden = true;
+    }
+}
+
+/**
+ * Get the chosen export format
+ * @returns {string} 'csv' or 'json'
+ */
+function getExportFormat() {
+    const formatSelect = document.getElementById('exportFormat');
+    return formatSelect ? formatSelect.value : 'csv';
+}
+
+/**
+ * Offer text as a file download
+ * @param {string} content - File contents
+ * @param {string} format - 'csv' or 'json'
+ * @param {string} baseName - File name without date or extension
+ */
+function downloadExport(content, format, baseName) {
+    const type = format === 'json' ? 'application/json' : 'text/csv';
+    const date = new Date().toISOString().slice(0, 10);
+
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${baseName}-${date}.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Download the catalog in the chosen format and order
+ */
+async function handleExport() {
+    const sortSelect = document.getElementById('exportSort');
+    const format = getExportFormat();
+    const sortSpec = sortSelect && sortSelect.value ? sortSelect.value : null;
+
+    const products = await getProducts();
+    downloadExport(exportCatalog(products, format, sortSpec), format, 'grocno-catalog');
+
+    showNotification(`Exported ${products.length} products as ${format.toUpperCase()}`, 'success');
+}
+
+/**
+ * Download the price history of every product in the chosen format
+ */
+async function handleExportPriceHistory() {
+    const format = getExportFormat();
+    const products = await getProducts();
+    downloadExport(exportPriceHistory(products, format), format, 'grocno-price-history');
+
+    showNotification(`Exported price history of ${products.length} products as ${format.toUpperCase()}`, 'success');
+}
+
+/**
+ * Wire up import and export controls
+ */
+function initializeCatalogIO() {
+    const listeners = {
+        importFile: ['change', handleImportFileChange],
+        importMode: ['change', refreshImportPreview],
+        importDuplicates: ['change', refreshImportPreview],
+        importApplyBtn: ['click', handleImportApply],
+        importCancelBtn: ['click', resetImport],
+        exportBtn: ['click', handleExport],
+        exportPriceHistoryBtn: ['click', handleExportPriceHistory]
+    };
+
+    Object.entries(listeners).forEach(([id, [type, handler]]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener(type, handler);
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        handleImportFileChange,
+        refreshImportPreview,
+        handleImportApply,
+        resetImport,
+        handleExport,
+        handleExportPriceHistory,
+        initializeCatalogIO
+    };
+}
@@ -0,0 +1,254 @@
+/**
+ * UI Logic for Duplicate Detection
+ * "Did you mean…" warnings on the add form and edit modal, with the option to
+ * merge into the existing product, and the report of likely duplicates already
+ * in the catalog
+ */
+
+// Products offered in a "did you mean" warning
+const DUPLICATE_WARNING_MAX = 3;
+
+/**
+ * Hide a form's duplicate warning
+ * @param {string} prefix - 'product' or 'editProduct'
+ */
+function hideDuplicateWarning(prefix) {
+    const warning = document.getElementById(`${prefix}DuplicateWarning`);
+    if (warning) {
+        warning.hidden = true;
+        warning.innerHTML = '';
+    }
+}
+
+/**
+ * Warn before saving a product that looks like one already in the catalog
+ * When editing, only a changed name or image is checked, so products already
+ * in the duplicates report can still be saved.
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {Object} fields - Form fields from readProductForm
+ * @param {number|null} id - ID of the product being edited, or null when adding
+ * @returns {Promise<boolean>} True if a warning is shown and the save should wait
+ */
+async function warnAboutDuplicates(prefix, fields, id = null) {
+    const form = document.getElementById(prefix === 'product' ? 'productForm' : 'editForm');
+    const warning = document.getElementById(`${prefix}DuplicateWarning`);
+    if (!form || !warning) {
+        return false;
+    }
+
+    // The admin already chose to save anyway
+    if (form.dataset.allowDuplicate === 'true') {
+        delete form.dataset.allowDuplicate;
+        hideDuplicateWarning(prefix);
+        return false;
+    }
+
+    const products = await getProducts();
+    const original = products.find(p => p.id === id);
+    if (original
+        && normalizeProductName(original.name) === normalizeProductName(fields.name)
+        && normalizeImageUrl(original.image) === normalizeImageUrl(fields.image)) {
+        return false;
+    }
+
+    const matches = findDuplicateCandidates(fields, products, id).slice(0, DUPLICATE_WARNING_MAX);
+    if (matches.length === 0) {
+        hideDuplicateWarning(prefix);
+        return false;
+    }
+
+    showDuplicateWarning(prefix, form, warning, fields, matches, id);
+    return true;
+}
+
+/**
+ * Fill in and show a "did you mean" warning
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {HTMLFormElement} form - Form being saved
+ * @param {HTMLElement} warning - Warning element
+ * @param {Object} fields - Form fields
+ * @param {Array} matches - Likely duplicates from findDuplicateCandidates
+ * @param {number|null} id - ID of the product being edited, or null when adding
+ */
+function showDuplicateWarning(prefix, form, warning, fields, matches, id) {
+    const saveLabel = id === null ? 'Add as a new product' : 'Save anyway';
+
+    warning.innerHTML = `
+        <p class="duplicate-warning-title">Did you mean…</p>
+        <ul class="duplicate-matches"></ul>
+        <div class="duplicate-warning-actions">
+            <button type="button" class="btn btn-secondary" data-action="save">${saveLabel}</button>
+        </div>
+    `;
+
+    const list = warning.querySelector('.duplicate-matches');
+    matches.forEach(match => {
+        const item = document.createElement('li');
+        item.className = 'duplicate-match';
+        item.innerHTML = `
+            <img alt="${escapeHtml(match.product.name)}">
+            <div class="duplicate-match-info">
+                <div class="duplicate-match-name">#${match.product.id} ${escapeHtml(match.product.name)}</div>
+                <div class="duplicate-match-meta">₹${match.product.price.toFixed(2)} · ${escapeHtml(match.reasons.join(', '))}</div>
+            </div>
+            <button type="button" class="btn-edit">Merge into this</button>
+        `;
+        setImageSource(item.querySelector('img'), match.product.image, match.product.name, 'thumb');
+        item.querySelector('button').addEventListener('click', () => handleMergeFromForm(prefix, form, fields, match.product, id));
+        list.appendChild(item);
+    });
+
+    warning.querySelector('[data-action="save"]').addEventListener('click', () => {
+        form.dataset.allowDuplicate = 'true';
+        form.requestSubmit();
+    });
+
+    warning.hidden = false;
+    warning.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Merge the product in a form into an existing one instead of saving it
+ * @param {string} prefix - 'product' or 'editProduct'
+ * @param {HTMLFormElement} form - Form being saved
+ * @param {Object} fields - Form fields
+ * @param {Product} target - Product to merge into
+ * @param {number|null} id - ID of the product being edited (it is removed), or null when adding
+ */
+async function handleMergeFromForm(prefix, form, fields, target, id) {
+    const question = id === null
+        ? `Merge this into "${target.name}" instead of adding a new product?`
+        : `Merge this product into "${target.name}"? It will be removed and its details added to "${target.name}".`;
+    if (!confirm(question)) {
+        return;
+    }
+
+    const { value: merged, errors } = await settleValidation(mergeIntoProduct(target.id, fields, id));
+    if (!merged) {
+        hideDuplicateWarning(prefix);
+        reportProductErrors(prefix, form, 'Failed to merge products. Please try again.', errors);
+        return;
+    }
+
+    showNotification(`Merged into ${merged.name}`, 'success');
+    hideDuplicateWarning(prefix);
+    if (id === null) {
+        resetAddForm();
+    } else {
+        closeEditModal();
+    }
+    displayInventory();
+    // Trigger storage event for other tabs
+    window.dispatchEvent(new Event('storage'));
+}
+
+/**
+ * List the likely duplicates already in the catalog
+ * @param {Array} products - Array of Product objects
+ */
+function renderDuplicateReport(products) {
+    const report = document.getElementById('duplicateReport');
+    if (!report) {
+        return;
+    }
+
+    const groups = findDuplicateGroups(products);
+    report.innerHTML = '';
+
+    if (groups.length === 0) {
+        report.innerHTML = '<div class="empty-state">No likely duplicates found.</div>';
+        return;
+    }
+
+    groups.forEach(group => report.appendChild(createDuplicateGroup(group)));
+}
+
+/**
+ * Create a duplicates report entry for one group of look-alike products
+ * @param {Object} group - Group from findDuplicateGroups
+ * @returns {HTMLElement} Group element
+ */
+function createDuplicateGroup(group) {
+    const element = document.createElement('div');
+    element.className = 'duplicate-group';
+
+    const reasons = group.pairs
+        .map(pair => `#${pair.a.id} and #${pair.b.id}: ${pair.reasons.join(', ')}`)
+        .join('; ');
+    element.innerHTML = `
+        <div class="duplicate-group-title">${group.products.length} products look like the same item</div>
+        <div class="duplicate-group-reasons">${escapeHtml(reasons)}</div>
+        <ul class="duplicate-matches"></ul>
+    `;
+
+    const list = element.querySelector('.duplicate-matches');
+    group.products.forEach(product => {
+        const item = document.createElement('li');
+        item.className = 'duplicate-match';
+        item.innerHTML = `
+            <img alt="${escapeHtml(product.name)}">
+            <div class="duplicate-match-info">
+                <div class="duplicate-match-name">#${product.id} ${escapeHtml(product.name)}</div>
+                <div class="duplicate-match-meta">₹${product.price.toFixed(2)}${formatPackSize(product) ? ` · ${escapeHtml(formatPackSize(product))}` : ''}${product.stock !== null ? ` · ${product.stock} in stock` : ''}</div>
+            </div>
+            <button type="button" class="btn-edit">Keep this, merge the others</button>
+        `;
+        setImageSource(item.querySelector('img'), product.image, product.name, 'thumb');
+        item.querySelector('button').addEventListener('click', () => handleMergeGroup(product, group.products));
+        list.appendChild(item);
+    });
+
+    return element;
+}
+
+/**
+ * Merge every other product of a duplicates group into the one to keep
+ * @param {Product} keep - Product to keep
+ * @param {Array} products - Products of the group
+ */
+async function handleMergeGroup(keep, products) {
+    const others = products.filter(product => product.id !== keep.id);
+    const names = others.map(product => `"${product.name}"`).join(', ');
+    if (!confirm(`Merge ${names} into "${keep.name}"? ${others.length === 1 ? 'It' : 'They'} will be removed.`)) {
+        return;
+    }
+
+    // One change: if any product cannot be merged, none are
+    const { value: merged, errors } = await settleValidation(mergeProductGroup(keep.id, others.map(product => product.id)));
+    if (!merged) {
+        const reason = errors.map(error => error.message).join('. ') || 'unknown error';
+        showNotification(`Could not merge ${names} into "${keep.name}": ${reason}`, 'error');
+        displayInventory();
+        return;
+    }
+
+    showNotification(`Merged ${others.length} product${others.length === 1 ? '' : 's'} into ${keep.name}`, 'success');
+    displayInventory();
+    // Trigger storage event for other tabs
+    window.dispatchEvent(new Event('storage'));
+}
+
+/**
+ * Wire up the duplicate warnings: a form's warning goes away once the admin edits the form
+ */
+function initializeDuplicates() {
+    [['productForm', 'product'], ['editForm', 'editProduct']].forEach(([formId, prefix]) => {
+        const form = document.getElementById(formId);
+        if (form) {
+            form.addEventListener('input', () => {
+                delete form.dataset.allowDuplicate;
+                hideDuplicateWarning(prefix);
+            });
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        warnAboutDuplicates,
+        hideDuplicateWarning,
+        renderDuplicateReport,
+        initializeDuplicates
+    };
+}
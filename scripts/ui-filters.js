@@ -0,0 +1,284 @@
+/**
+ * UI Logic for the Filter Sidebar
+ * Category and brand checkboxes with live counts, a two-handle price slider
+ * bounded by the catalog's prices and an in-stock toggle. The shop page
+ * filters its products here before sorting them, so the grid always shows
+ * the filtered list in the current sort order.
+ * Prices are today's, with any running promotion applied.
+ */
+
+// Filters chosen in the sidebar
+const activeFilters = createProductFilters();
+
+// Lowest and highest price in the catalog, or null before it is loaded
+let filterPriceBounds = null;
+
+/**
+ * Get today's price of a size, for filtering
+ * @param {Product} product - Product object
+ * @param {Object} variant - Variant from getProductVariants
+ * @returns {number} Price
+ */
+function getFilterPrice(product, variant) {
+    return getCurrentPrice(product, variant).price;
+}
+
+/**
+ * Keep the products that pass the filters chosen in the sidebar
+ * @param {Array} products - Array of Product objects
+ * @returns {Array} Matching products, in the order given
+ */
+function applyProductFilters(products) {
+    return filterProducts(products, activeFilters, getFilterPrice);
+}
+
+/**
+ * Check whether the sidebar is narrowing the catalog
+ * @returns {boolean} True if any filter is set
+ */
+function isFiltering() {
+    return hasActiveFilters(activeFilters);
+}
+
+/**
+ * Bring the sidebar up to date with the catalog and the products being shown
+ * @param {Array} catalog - Every product, to list the options and bound the price slider
+ * @param {Array} products - Products the filters apply to, e.g. the search results
+ */
+function renderFilterSidebar(catalog, products) {
+    const counts = getFacetCounts(catalog, products, activeFilters, getFilterPrice);
+    renderFilterOptions('categoryFilters', 'categories', counts.categories, 'Uncategorised');
+    renderFilterOptions('brandFilters', 'brands', counts.brands, 'Other brands');
+
+    filterPriceBounds = getPriceBounds(catalog, getFilterPrice);
+    updatePriceSlider();
+
+    const clearButton = document.getElementById('clearFiltersBtn');
+    if (clearButton) {
+        clearButton.hidden = !isFiltering();
+    }
+}
+
+/**
+ * Update a list of filter checkboxes in place, so a checkbox keeps focus
+ * while the counts change around it
+ * @param {string} listId - ID of the list element
+ * @param {string} group - 'categories' or 'brands'
+ * @param {Array} options - [{ value, count }] from getFacetCounts
+ * @param {string} emptyLabel - Label for products without a value
+ */
+function renderFilterOptions(listId, group, options, emptyLabel) {
+    const list = document.getElementById(listId);
+    if (!list) {
+        return;
+    }
+
+    const existing = new Map([...list.children].map(item => [item.dataset.value, item]));
+    options.forEach((option, index) => {
+        let item = existing.get(option.value);
+        existing.delete(option.value);
+        if (!item) {
+            item = createFilterOption(group, option.value, emptyLabel);
+        }
+        if (list.children[index] !== item) {
+            list.insertBefore(item, list.children[index] || null);
+        }
+
+        const checkbox = item.querySelector('input');
+        checkbox.checked = activeFilters[group].has(option.value);
+        // An option leaving nothing can still be unticked
+        checkbox.disabled = option.count === 0 && !checkbox.checked;
+        item.classList.toggle('disabled', checkbox.disabled);
+        item.querySelector('.filter-count').textContent = option.count;
+    });
+
+    existing.forEach(item => item.remove());
+}
+
+/**
+ * Create a filter checkbox
+ * @param {string} group - 'categories' or 'brands'
+ * @param {string} value - Category or brand
+ * @param {string} emptyLabel - Label when the value is empty
+ * @returns {HTMLElement} Option element
+ */
+function createFilterOption(group, value, emptyLabel) {
+    const item = document.createElement('label');
+    item.className = 'filter-option';
+    item.dataset.value = value;
+    item.innerHTML = `
+        <input type="checkbox">
+        <span class="filter-name">${escapeHtml(value || emptyLabel)}</span>
+        <span class="filter-count"></span>
+    `;
+
+    item.querySelector('input').addEventListener('change', event => {
+        if (event.target.checked) {
+            activeFilters[group].add(value);
+        } else {
+            activeFilters[group].delete(value);
+        }
+        navigateShop();
+    });
+
+    return item;
+}
+
+/**
+ * Fit the price slider to the catalog's prices and the chosen range
+ */
+function updatePriceSlider() {
+    const minInput = document.getElementById('filterPriceMin');
+    const maxInput = document.getElementById('filterPriceMax');
+    if (!minInput || !maxInput) {
+        return;
+    }
+
+    const bounds = filterPriceBounds || { min: 0, max: 0 };
+    [minInput, maxInput].forEach(input => {
+        input.min = bounds.min;
+        input.max = bounds.max;
+        input.disabled = filterPriceBounds === null;
+    });
+    minInput.value = Math.max(bounds.min, Math.min(activeFilters.minPrice ?? bounds.min, bounds.max));
+    maxInput.value = Math.min(bounds.max, Math.max(activeFilters.maxPrice ?? bounds.max, bounds.min));
+    updatePriceSliderTrack();
+}
+
+/**
+ * Show the chosen price range on the slider's track and label
+ */
+function updatePriceSliderTrack() {
+    const slider = document.getElementById('priceSlider');
+    const minInput = document.getElementById('filterPriceMin');
+    const maxInput = document.getElementById('filterPriceMax');
+    const label = document.getElementById('filterPriceLabel');
+    if (!slider || !minInput || !maxInput) {
+        return;
+    }
+
+    const min = Number(minInput.min);
+    const span = Number(minInput.max) - min || 1;
+    slider.style.setProperty('--range-start', `${((Number(minInput.value) - min) / span) * 100}%`);
+    slider.style.setProperty('--range-end', `${((Number(maxInput.value) - min) / span) * 100}%`);
+    if (label) {
+        label.textContent = `₹${minInput.value} – ₹${maxInput.value}`;
+    }
+}
+
+/**
+ * Keep the slider's handles from crossing while one is dragged
+ * @param {Event} event - Input event from either handle
+ */
+function handlePriceSliderInput(event) {
+    const minInput = document.getElementById('filterPriceMin');
+    const maxInput = document.getElementById('filterPriceMax');
+
+    if (Number(minInput.value) > Number(maxInput.value)) {
+        event.target.value = event.target === minInput ? maxInput.value : minInput.value;
+    }
+    updatePriceSliderTrack();
+}
+
+/**
+ * Filter by the price range once a handle is let go
+ * A handle left at the end of the slider does not limit the price, so
+ * products added later outside today's range still show up.
+ */
+function handlePriceSliderChange() {
+    const minInput = document.getElementById('filterPriceMin');
+    const maxInput = document.getElementById('filterPriceMax');
+    const min = Number(minInput.value);
+    const max = Number(maxInput.value);
+
+    activeFilters.minPrice = min <= Number(minInput.min) ? null : min;
+    activeFilters.maxPrice = max >= Number(maxInput.max) ? null : max;
+    navigateShop();
+}
+
+/**
+ * Get a copy of the filters chosen in the sidebar, for the page URL
+ * @returns {Object} Filter state, as from createProductFilters
+ */
+function getActiveFilters() {
+    return {
+        ...activeFilters,
+        categories: new Set(activeFilters.categories),
+        brands: new Set(activeFilters.brands)
+    };
+}
+
+/**
+ * Choose the filters in the sidebar, e.g. from the page URL
+ * The sidebar's checkboxes and slider catch up when the grid is next shown.
+ * @param {Object} filters - Filter state, as from createProductFilters
+ */
+function restoreFilters(filters) {
+    activeFilters.categories = new Set(filters.categories);
+    activeFilters.brands = new Set(filters.brands);
+    activeFilters.minPrice = filters.minPrice;
+    activeFilters.maxPrice = filters.maxPrice;
+    activeFilters.inStockOnly = filters.inStockOnly;
+
+    const inStockToggle = document.getElementById('inStockOnly');
+    if (inStockToggle) {
+        inStockToggle.checked = filters.inStockOnly;
+    }
+}
+
+/**
+ * Clear every filter
+ */
+function clearFilters() {
+    activeFilters.categories.clear();
+    activeFilters.brands.clear();
+    activeFilters.minPrice = null;
+    activeFilters.maxPrice = null;
+    activeFilters.inStockOnly = false;
+
+    const inStockToggle = document.getElementById('inStockOnly');
+    if (inStockToggle) {
+        inStockToggle.checked = false;
+    }
+    navigateShop();
+}
+
+/**
+ * Wire up the filter sidebar
+ */
+function initializeFilters() {
+    ['filterPriceMin', 'filterPriceMax'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('input', handlePriceSliderInput);
+            input.addEventListener('change', handlePriceSliderChange);
+        }
+    });
+
+    const inStockToggle = document.getElementById('inStockOnly');
+    if (inStockToggle) {
+        inStockToggle.checked = activeFilters.inStockOnly;
+        inStockToggle.addEventListener('change', () => {
+            activeFilters.inStockOnly = inStockToggle.checked;
+            navigateShop();
+        });
+    }
+
+    const clearButton = document.getElementById('clearFiltersBtn');
+    if (clearButton) {
+        clearButton.addEventListener('click', clearFilters);
+    }
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        applyProductFilters,
+        isFiltering,
+        renderFilterSidebar,
+        getActiveFilters,
+        restoreFilters,
+        clearFilters,
+        initializeFilters
+    };
+}
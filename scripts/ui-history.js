@@ -0,0 +1,340 @@
+/**
+ * UI Logic for Change History
+ * Undo/redo buttons and shortcuts, and the history list where past catalog
+ * changes can be inspected and reverted on the admin page
+ */
+
+// Labels for product fields in change details
+const HISTORY_FIELD_LABELS = {
+    id: 'ID',
+    name: 'Name',
+    price: 'Price',
+    image: 'Image URL',
+    packSize: 'Pack size',
+    unit: 'Unit',
+    category: 'Category',
+    brand: 'Brand',
+    sku: 'SKU',
+    stock: 'Stock',
+    tags: 'Tags',
+    description: 'Description',
+    createdAt: 'Created',
+    updatedAt: 'Updated',
+    priceHistory: 'Price history',
+    variants: 'Variants'
+};
+
+// Labels for audit actions
+const HISTORY_ACTION_LABELS = {
+    add: 'Added',
+    update: 'Edited',
+    delete: 'Deleted',
+    merge: 'Merged',
+    reset: 'Reset',
+    import: 'Imported',
+    revert: 'Reverted',
+    undo: 'Undo',
+    redo: 'Redo'
+};
+
+// True while an undo, redo or revert runs; the history buttons are disabled meanwhile
+let historyBusy = false;
+
+/**
+ * Show the audit log newest first and update the undo/redo buttons
+ */
+async function renderHistory() {
+    const historyList = document.getElementById('historyList');
+    if (!historyList) {
+        return;
+    }
+
+    const log = await getAuditLog();
+    const undone = new Set(log.redo);
+    const entriesById = new Map(log.entries.map(entry => [entry.id, entry]));
+
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) {
+        const next = entriesById.get(log.undo[log.undo.length - 1]);
+        undoBtn.disabled = historyBusy || !next;
+        undoBtn.title = next ? `Undo: ${next.summary}` : 'Nothing to undo';
+    }
+    if (redoBtn) {
+        const next = entriesById.get(log.redo[log.redo.length - 1]);
+        redoBtn.disabled = historyBusy || !next;
+        redoBtn.title = next ? `Redo: ${next.summary}` : 'Nothing to redo';
+    }
+
+    historyList.innerHTML = '';
+
+    if (log.entries.length === 0) {
+        historyList.innerHTML = '<div class="empty-state">No changes yet. Edits to the catalog will appear here.</div>';
+        return;
+    }
+
+    log.entries.slice().reverse().forEach(entry => {
+        historyList.appendChild(createHistoryItem(entry, undone.has(entry.id)));
+    });
+}
+
+/**
+ * Create a history list item
+ * @param {Object} entry - Audit entry
+ * @param {boolean} isUndone - Whether the change is currently undone
+ * @returns {HTMLElement} History item element
+ */
+function createHistoryItem(entry, isUndone) {
+    const item = document.createElement('div');
+    item.className = `history-item${isUndone ? ' undone' : ''}`;
+    item.dataset.entryId = entry.id;
+
+    const count = entry.changes.length;
+    item.innerHTML = `
+        <div class="history-item-header">
+            <span class="history-action history-action-${entry.action}">${HISTORY_ACTION_LABELS[entry.action] || escapeHtml(entry.action)}</span>
+            <div class="history-item-info">
+                <div class="history-item-summary">${escapeHtml(entry.summary)}${isUndone ? ' <em>(undone)</em>' : ''}</div>
+                <div class="history-item-meta">${escapeHtml(new Date(entry.timestamp).toLocaleString())} · ${count} product${count === 1 ? '' : 's'}</div>
+            </div>
+            <div class="history-item-actions">
+                <button class="btn-edit" data-action="details">Details</button>
+                <button class="btn-delete" data-action="revert" ${historyBusy ? 'disabled' : ''}>Revert</button>
+            </div>
+        </div>
+        <div class="history-details" hidden></div>
+    `;
+
+    const details = item.querySelector('.history-details');
+    item.querySelector('[data-action="details"]').addEventListener('click', () => {
+        if (details.childElementCount === 0) {
+            entry.changes.forEach(change => details.appendChild(createChangeDetails(change)));
+        }
+        details.hidden = !details.hidden;
+    });
+    item.querySelector('[data-action="revert"]').addEventListener('click', () => handleRevert(entry));
+
+    return item;
+}
+
+/**
+ * Create a before/after table for one product in a change
+ * @param {Object} change - { id, before, after } product snapshots
+ * @returns {HTMLElement} Change details element
+ */
+function createChangeDetails(change) {
+    const section = document.createElement('div');
+    section.className = 'history-change';
+
+    const name = (change.after || change.before).name;
+    const status = change.before === null ? 'added' : change.after === null ? 'removed' : 'changed';
+    const rows = getChangedFields(change.before, change.after).map(field => `
+        <tr>
+            <th>${HISTORY_FIELD_LABELS[field] || escapeHtml(field)}</th>
+            <td class="history-before">${escapeHtml(formatHistoryValue(change.before, field))}</td>
+            <td class="history-after">${escapeHtml(formatHistoryValue(change.after, field))}</td>
+        </tr>
+    `).join('');
+
+    section.innerHTML = `
+        <div class="history-change-title">#${change.id} ${escapeHtml(name)} <span>(${status})</span></div>
+        <table class="import-table">
+            <thead>
+                <tr>
+                    <th>Field</th>
+                    <th>Before</th>
+                    <th>After</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    return section;
+}
+
+/**
+ * Format a field of a product snapshot for display
+ * @param {Object|null} snapshot - Product JSON, or null
+ * @param {string} field - Field name
+ * @returns {string} Display text
+ */
+function formatHistoryValue(snapshot, field) {
+    const value = snapshot ? snapshot[field] : undefined;
+    if (value === null || value === undefined || value === '') {
+        return '—';
+    }
+    if (field === 'priceHistory') {
+        return `${value.length} price${value.length === 1 ? '' : 's'}, latest ₹${Number(value[value.length - 1].price).toFixed(2)}`;
+    }
+    if (field === 'variants') {
+        return value.length > 0 ? value.map(variant => `${variant.label || variant.packSize} ₹${Number(variant.price).toFixed(2)}`).join(', ') : '—';
+    }
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : '—';
+    }
+    if (field === 'price') {
+        return `₹${Number(value).toFixed(2)}`;
+    }
+    return String(value);
+}
+
+/**
+ * Refresh everything that shows the catalog after history moved it
+ */
+function refreshAfterHistoryChange() {
+    displayInventory();
+    renderHistory();
+    // Trigger storage event for other tabs
+    window.dispatchEvent(new Event('storage'));
+}
+
+/**
+ * Tell the admin why an undo, redo or revert was refused
+ * @param {Error} error - Error thrown by undoLastChange, redoLastChange or revertAuditEntry
+ * @throws {Error} Anything other than an AuditError, thrown on
+ */
+function reportHistoryError(error) {
+    if (!(error instanceof AuditError)) {
+        throw error;
+    }
+    showNotification(error.message, 'error');
+}
+
+/**
+ * Run an undo, redo or revert with the history buttons disabled
+ * Anything asked for while one is running is ignored, so a double press of
+ * Ctrl+Z cannot undo the same entry twice.
+ * @param {Function} action - Async action
+ */
+async function runHistoryAction(action) {
+    if (historyBusy) {
+        return;
+    }
+
+    historyBusy = true;
+    document.querySelectorAll('#undoBtn, #redoBtn, #historyList [data-action="revert"]').forEach(button => {
+        button.disabled = true;
+    });
+    try {
+        await action();
+    } finally {
+        historyBusy = false;
+        renderHistory();
+    }
+}
+
+/**
+ * Undo the last catalog change
+ */
+function handleUndo() {
+    return runHistoryAction(async () => {
+        try {
+            const entry = await undoLastChange();
+            showNotification(`Undid: ${entry.summary}`, 'success');
+            refreshAfterHistoryChange();
+        } catch (error) {
+            reportHistoryError(error);
+        }
+    });
+}
+
+/**
+ * Redo the last undone catalog change
+ */
+function handleRedo() {
+    return runHistoryAction(async () => {
+        try {
+            const entry = await redoLastChange();
+            showNotification(`Redid: ${entry.summary}`, 'success');
+            refreshAfterHistoryChange();
+        } catch (error) {
+            reportHistoryError(error);
+        }
+    });
+}
+
+/**
+ * Revert a past change
+ * @param {Object} entry - Audit entry
+ */
+async function handleRevert(entry) {
+    if (historyBusy || !confirm(`Revert "${entry.summary}"? Products it touched go back to how they were before it.`)) {
+        return;
+    }
+
+    await runHistoryAction(async () => {
+        try {
+            if (await revertAuditEntry(entry.id)) {
+                showNotification(`Reverted: ${entry.summary}`, 'success');
+            } else {
+                showNotification('Reverted, but the history could not be saved', 'error');
+            }
+            refreshAfterHistoryChange();
+        } catch (error) {
+            reportHistoryError(error);
+        }
+    });
+}
+
+/**
+ * Handle Ctrl/Cmd+Z (undo) and Ctrl/Cmd+Shift+Z or Ctrl+Y (redo)
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+function handleHistoryShortcut(event) {
+    if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+    }
+
+    const target = event.target;
+    if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+    } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey)) {
+        event.preventDefault();
+        handleRedo();
+    }
+}
+
+/**
+ * Wire up the history card and shortcuts
+ */
+function initializeHistory() {
+    renderHistory();
+
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+        undoBtn.addEventListener('click', handleUndo);
+    }
+
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+        redoBtn.addEventListener('click', handleRedo);
+    }
+
+    document.addEventListener('keydown', handleHistoryShortcut);
+
+    // Changes from this page, and from other tabs
+    window.addEventListener('auditchange', renderHistory);
+    window.addEventListener('storage', function(event) {
+        if (event.key === AUDIT_STORAGE_KEY) {
+            renderHistory();
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        renderHistory,
+        handleUndo,
+        handleRedo,
+        handleRevert,
+        initializeHistory
+    };
+}
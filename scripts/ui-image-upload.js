@@ -0,0 +1,121 @@
+/**
+ * UI Logic for Image Upload
+ * File picking and drag & drop for the add and edit product forms. Uploads are
+ * resized and stored by images.js, and the form's image field gets their reference.
+ */
+
+// Forms with an image upload, by the id prefix of their inputs
+const IMAGE_UPLOAD_PREFIXES = ['product', 'editProduct'];
+
+/**
+ * Show the image in a form's image field as a preview
+ * @param {string} prefix - Input id prefix, e.g. 'product' or 'editProduct'
+ */
+function refreshImagePreview(prefix) {
+    const imageInput = document.getElementById(`${prefix}Image`);
+    const preview = document.getElementById(`${prefix}ImagePreview`);
+    const nameInput = document.getElementById(`${prefix}Name`);
+    if (!imageInput || !preview) {
+        return;
+    }
+
+    const src = imageInput.value.trim();
+    preview.hidden = !src;
+    if (src) {
+        setImageSource(preview, src, nameInput ? nameInput.value : '', 'thumb');
+    } else {
+        preview.removeAttribute('src');
+    }
+}
+
+/**
+ * Store an uploaded image and put its reference in the form
+ * @param {string} prefix - Input id prefix
+ * @param {File} file - Chosen or dropped file
+ */
+async function handleImageFile(prefix, file) {
+    const dropZone = document.getElementById(`${prefix}ImageDrop`);
+    const imageInput = document.getElementById(`${prefix}Image`);
+    if (!imageInput) {
+        return;
+    }
+
+    if (dropZone) {
+        dropZone.classList.add('uploading');
+    }
+
+    try {
+        imageInput.value = await saveImageFile(file);
+        refreshImagePreview(prefix);
+        showNotification(`${file.name} uploaded`, 'success');
+    } catch (error) {
+        console.error('Error uploading image:', error);
+        showNotification(`Could not upload ${file.name}: ${error.message}`, 'error');
+    } finally {
+        if (dropZone) {
+            dropZone.classList.remove('uploading');
+        }
+    }
+}
+
+/**
+ * Wire up the upload controls of one form
+ * @param {string} prefix - Input id prefix
+ */
+function setUpImageUpload(prefix) {
+    const dropZone = document.getElementById(`${prefix}ImageDrop`);
+    const fileInput = document.getElementById(`${prefix}ImageFile`);
+    const browseBtn = document.getElementById(`${prefix}ImageBrowse`);
+    const imageInput = document.getElementById(`${prefix}Image`);
+    if (!dropZone || !fileInput || !imageInput) {
+        return;
+    }
+
+    if (browseBtn) {
+        browseBtn.addEventListener('click', () => fileInput.click());
+    }
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) {
+            handleImageFile(prefix, file);
+        }
+    });
+
+    dropZone.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropZone.classList.add('dragging');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+        dropZone.classList.remove('dragging');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropZone.classList.remove('dragging');
+        const file = e.dataTransfer.files[0];
+        if (file) {
+            handleImageFile(prefix, file);
+        }
+    });
+
+    imageInput.addEventListener('input', () => refreshImagePreview(prefix));
+}
+
+/**
+ * Wire up image upload on the add and edit forms
+ */
+function initializeImageUpload() {
+    IMAGE_UPLOAD_PREFIXES.forEach(setUpImageUpload);
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        refreshImagePreview,
+        handleImageFile,
+        initializeImageUpload
+    };
+}
@@ -0,0 +1,314 @@
+/**
+ * UI Logic for Lab Page
+ * Runs the sorting algorithms side by side and charts how they scale
+ */
+
+// Catalog sizes used for the scaling chart
+const LAB_SCALING_SIZES = [100, 250, 500, 1000, 2000, 4000];
+
+// Chart dimensions
+const LAB_CHART = { width: 720, height: 360, margin: { top: 20, right: 20, bottom: 40, left: 70 } };
+
+/**
+ * Wait for the browser to paint before the next (possibly slow) run
+ * @returns {Promise} Resolves on the next task
+ */
+function nextTick() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Get the algorithms ticked in the algorithm picker
+ * @returns {Array} Entries from LAB_ALGORITHMS
+ */
+function getSelectedAlgorithms() {
+    return LAB_ALGORITHMS.filter(algorithm => {
+        const checkbox = document.getElementById(`lab-algo-${algorithm.id}`);
+        return !checkbox || checkbox.checked;
+    });
+}
+
+/**
+ * Read the lab settings from the form
+ * @returns {Object} { source, size, shape, spec, metric, logScale }
+ */
+function getLabSettings() {
+    const value = (id, fallback) => {
+        const element = document.getElementById(id);
+        return element ? element.value : fallback;
+    };
+    const logScale = document.getElementById('labLogScale');
+
+    return {
+        source: value('labSource', 'catalog'),
+        size: Math.max(1, Math.min(20000, parseInt(value('labSize', '1000')) || 1000)),
+        shape: value('labShape', 'random'),
+        spec: value('labSortKey', 'price'),
+        metric: value('labMetric', 'comparisons'),
+        logScale: Boolean(logScale && logScale.checked)
+    };
+}
+
+/**
+ * Get the items for a single comparison run
+ * @param {Object} settings - Lab settings
+ * @returns {Promise<Array>} Items to sort
+ */
+async function getLabItems(settings) {
+    if (settings.source === 'catalog') {
+        return getProducts();
+    }
+    return generateCatalog(settings.size, settings.shape, settings.spec);
+}
+
+/**
+ * Format a number for the results table
+ * @param {number|null} value - Number to format
+ * @param {number} digits - Fraction digits
+ * @returns {string} Formatted number
+ */
+function formatLabNumber(value, digits = 0) {
+    if (value === null || value === undefined) {
+        return '—';
+    }
+    return value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+/**
+ * Render the side-by-side results table
+ * @param {Array} results - Measurements from runLabAlgorithm
+ */
+function renderLabResults(results) {
+    const tbody = document.getElementById('labResults');
+    if (!tbody) {
+        return;
+    }
+
+    tbody.innerHTML = '';
+    results.forEach(result => {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td>${result.name}</td>
+            <td>${formatLabNumber(result.comparisons)}</td>
+            <td>${formatLabNumber(result.moves)}</td>
+            <td>${result.maxDepth === null ? 'iterative' : formatLabNumber(result.maxDepth)}</td>
+            <td>${formatLabNumber(result.time, 2)} ms</td>
+            <td class="${result.stable ? 'lab-yes' : 'lab-no'}">${result.stable ? 'Stable' : 'Unstable'}</td>
+            <td class="${result.sorted ? 'lab-yes' : 'lab-no'}">${result.sorted ? 'Yes' : 'No'}</td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+/**
+ * Set the status line under the controls
+ * @param {string} message - Message to show
+ */
+function setLabStatus(message) {
+    const status = document.getElementById('labStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Enable or disable the run buttons while a run is in progress
+ * @param {boolean} busy - True while running
+ */
+function setLabBusy(busy) {
+    ['labRunBtn', 'labScaleBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.disabled = busy;
+        }
+    });
+}
+
+/**
+ * Run every selected algorithm once on the chosen catalog
+ */
+async function handleLabRun() {
+    const settings = getLabSettings();
+    const items = await getLabItems(settings);
+    const results = [];
+
+    setLabBusy(true);
+    for (const algorithm of getSelectedAlgorithms()) {
+        setLabStatus(`Running ${algorithm.name} on ${items.length} products...`);
+        await nextTick();
+        results.push(runLabAlgorithm(algorithm, items, settings.spec));
+        renderLabResults(results);
+    }
+    setLabBusy(false);
+
+    const source = settings.source === 'catalog' ? 'the store catalog' : `a ${settings.shape} catalog`;
+    setLabStatus(`Sorted ${items.length} products from ${source}.`);
+}
+
+/**
+ * Run every selected algorithm at each size in LAB_SCALING_SIZES and chart the results
+ */
+async function handleLabScaling() {
+    const settings = getLabSettings();
+    const algorithms = getSelectedAlgorithms();
+    const series = algorithms.map(algorithm => ({ algorithm, points: [] }));
+
+    setLabBusy(true);
+    for (const size of LAB_SCALING_SIZES) {
+        const items = generateCatalog(size, settings.shape, settings.spec);
+
+        for (const entry of series) {
+            setLabStatus(`Running ${entry.algorithm.name} with N = ${size}...`);
+            await nextTick();
+            const result = runLabAlgorithm(entry.algorithm, items, settings.spec);
+            entry.points.push({ n: size, value: getMetricValue(result, settings.metric) });
+        }
+
+        renderLabChart(series, settings);
+    }
+    setLabBusy(false);
+
+    setLabStatus(`Scaling run finished on ${settings.shape} catalogs.`);
+}
+
+/**
+ * Read one metric from a measurement
+ * @param {Object} result - Measurement from runLabAlgorithm
+ * @param {string} metric - 'comparisons', 'moves' or 'time'
+ * @returns {number|null} Metric value
+ */
+function getMetricValue(result, metric) {
+    return metric === 'time' ? result.time : result[metric];
+}
+
+/**
+ * Draw the scaling chart as an SVG line chart
+ * Counter metrics also get a dashed n·log₂n reference curve
+ * @param {Array} series - [{ algorithm, points: [{ n, value }] }]
+ * @param {Object} settings - Lab settings (metric, logScale)
+ */
+function renderLabChart(series, settings) {
+    const chart = document.getElementById('labChart');
+    if (!chart) {
+        return;
+    }
+
+    const { width, height, margin } = LAB_CHART;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const lines = series
+        .map(entry => ({ ...entry, points: entry.points.filter(point => point.value !== null) }))
+        .filter(entry => entry.points.length > 0);
+
+    if (settings.metric !== 'time') {
+        lines.push({
+            algorithm: { name: 'n·log₂n', color: '#888', reference: true },
+            points: LAB_SCALING_SIZES.map(n => ({ n, value: n * Math.log2(n) }))
+        });
+    }
+
+    const maxN = LAB_SCALING_SIZES[LAB_SCALING_SIZES.length - 1];
+    const maxValue = Math.max(1, ...lines.flatMap(entry => entry.points.map(point => point.value)));
+    const logMax = Math.max(1, Math.log10(maxValue));
+    const scaleY = settings.logScale
+        ? value => plotHeight - (Math.log10(Math.max(1, value)) / logMax) * plotHeight
+        : value => plotHeight - (value / maxValue) * plotHeight;
+    const scaleX = n => (n / maxN) * plotWidth;
+
+    const ticksY = settings.logScale
+        ? Array.from({ length: Math.ceil(Math.log10(maxValue)) + 1 }, (_, i) => Math.pow(10, i)).filter(v => v <= maxValue)
+        : [0, 0.25, 0.5, 0.75, 1].map(fraction => fraction * maxValue);
+
+    const svg = [`<svg viewBox="0 0 ${width} ${height}" class="lab-chart-svg" role="img" aria-label="Scaling chart">`];
+    svg.push(`<g transform="translate(${margin.left},${margin.top})">`);
+
+    ticksY.forEach(value => {
+        const y = scaleY(value).toFixed(1);
+        svg.push(`<line x1="0" x2="${plotWidth}" y1="${y}" y2="${y}" class="lab-grid-line"/>`);
+        svg.push(`<text x="-8" y="${y}" class="lab-axis-label" text-anchor="end" dominant-baseline="middle">${formatLabNumber(value, settings.metric === 'time' ? 1 : 0)}</text>`);
+    });
+
+    LAB_SCALING_SIZES.forEach(n => {
+        svg.push(`<text x="${scaleX(n).toFixed(1)}" y="${plotHeight + 20}" class="lab-axis-label" text-anchor="middle">${n}</text>`);
+    });
+    svg.push(`<text x="${plotWidth / 2}" y="${plotHeight + 36}" class="lab-axis-label" text-anchor="middle">N (products)</text>`);
+
+    lines.forEach(entry => {
+        const points = entry.points.map(point => `${scaleX(point.n).toFixed(1)},${scaleY(point.value).toFixed(1)}`).join(' ');
+        const dash = entry.algorithm.reference ? ' stroke-dasharray="6 4"' : '';
+        svg.push(`<polyline points="${points}" fill="none" stroke="${entry.algorithm.color}" stroke-width="2.5"${dash}/>`);
+    });
+
+    svg.push('</g></svg>');
+
+    const legend = lines.map(entry => `
+        <span class="lab-legend-item">
+            <span class="lab-legend-swatch" style="background:${entry.algorithm.color}"></span>${entry.algorithm.name}
+        </span>
+    `).join('');
+
+    chart.innerHTML = svg.join('') + `<div class="lab-legend">${legend}</div>`;
+}
+
+/**
+ * Render the algorithm picker checkboxes
+ */
+function renderAlgorithmPicker() {
+    const picker = document.getElementById('labAlgorithms');
+    if (!picker) {
+        return;
+    }
+
+    picker.innerHTML = LAB_ALGORITHMS.map(algorithm => `
+        <label class="lab-checkbox">
+            <input type="checkbox" id="lab-algo-${algorithm.id}" checked>
+            ${algorithm.name}
+        </label>
+    `).join('');
+}
+
+/**
+ * Show or hide the generator options depending on the data source
+ */
+function updateLabSourceFields() {
+    const settings = getLabSettings();
+    document.querySelectorAll('.lab-generated-only').forEach(element => {
+        element.hidden = settings.source === 'catalog';
+    });
+}
+
+/**
+ * Initialize lab page
+ */
+function initializeLabPage() {
+    renderAlgorithmPicker();
+    updateLabSourceFields();
+
+    const listeners = {
+        labRunBtn: ['click', handleLabRun],
+        labScaleBtn: ['click', handleLabScaling],
+        labSource: ['change', updateLabSourceFields]
+    };
+
+    Object.entries(listeners).forEach(([id, [type, handler]]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener(type, handler);
+        }
+    });
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', initializeLabPage);
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        handleLabRun,
+        handleLabScaling,
+        renderLabResults,
+        renderLabChart,
+        initializeLabPage
+    };
+}
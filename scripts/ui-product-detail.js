@@ -0,0 +1,280 @@
+/**
+ * UI Logic for the Product Detail View
+ * A modal opened from a product card with a large image, the description,
+ * pack size, unit price, stock and a quantity to add to the cart, and the
+ * similar products in the catalog, cheapest first, to compare alternatives.
+ * Prices are today's, with any running promotion applied.
+ */
+
+// Similar products listed under a product
+const SIMILAR_PRODUCTS_MAX = 8;
+
+// Product shown in the modal, and the size chosen there
+let detailProduct = null;
+let detailVariantId = null;
+
+// Element focused before the modal opened, focused again when it closes
+let detailReturnFocus = null;
+
+/**
+ * Get the price a product is compared by: today's price of its cheapest size
+ * @param {Product} product - Product object
+ * @returns {Object} { variant, price, regularPrice, promotion }
+ */
+function getComparisonPrice(product) {
+    const variant = getCheapestVariant(product, option => getCurrentPrice(product, option).price);
+    return { variant, ...getCurrentPrice(product, variant) };
+}
+
+/**
+ * Open the detail view of a product
+ * @param {Product} product - Product object
+ */
+async function openProductDetail(product) {
+    const modal = document.getElementById('productDetailModal');
+    if (!modal) {
+        return;
+    }
+
+    if (!modal.classList.contains('active')) {
+        detailReturnFocus = document.activeElement;
+    }
+    detailProduct = product;
+    detailVariantId = getSelectedVariant(product).id;
+
+    renderProductDetail();
+    modal.classList.add('active');
+    modal.querySelector('.modal-content').scrollTop = 0;
+    document.getElementById('closeProductDetail').focus();
+
+    // The catalog is read again, so similar products have today's details
+    renderSimilarProducts(product, await getProducts());
+}
+
+/**
+ * Close the detail view
+ */
+function closeProductDetail() {
+    const modal = document.getElementById('productDetailModal');
+    if (!modal || !modal.classList.contains('active')) {
+        return;
+    }
+
+    modal.classList.remove('active');
+    detailProduct = null;
+    if (detailReturnFocus && document.contains(detailReturnFocus)) {
+        detailReturnFocus.focus();
+    }
+    detailReturnFocus = null;
+}
+
+/**
+ * Describe the stock of a size, e.g. "12 in stock" or "Only 3 left"
+ * @param {Object} variant - Variant from getProductVariants
+ * @returns {string} Stock description
+ */
+function formatDetailStock(variant) {
+    switch (getStockStatus(variant)) {
+        case 'in-stock':
+            return `${variant.stock} in stock`;
+        case 'untracked':
+            return 'In stock';
+        default:
+            return formatStockLabel(variant);
+    }
+}
+
+/**
+ * Fill in the detail view for the product and size chosen
+ */
+function renderProductDetail() {
+    const body = document.getElementById('productDetailBody');
+    const title = document.getElementById('productDetailName');
+    if (!body || !detailProduct) {
+        return;
+    }
+
+    const product = detailProduct;
+    const variants = getProductVariants(product);
+    const variant = getProductVariant(product, detailVariantId) || variants[0];
+    const { price, regularPrice, promotion } = getCurrentPrice(product, variant);
+    const unitPrice = formatUnitPrice({ ...variant, price });
+    const stockStatus = getStockStatus(variant);
+    const outOfStock = stockStatus === 'out-of-stock';
+    const available = getAvailableStock(product, variant.id);
+    const meta = [product.brand, product.category].filter(Boolean).join(' · ');
+
+    if (title) {
+        title.textContent = product.name;
+    }
+
+    body.innerHTML = `
+        <div class="product-detail-image">
+            <img alt="${escapeHtml(product.name)}">
+        </div>
+        <div class="product-detail-info">
+            ${meta ? `<p class="product-detail-meta">${escapeHtml(meta)}</p>` : ''}
+            ${product.description ? `<p class="product-detail-description">${escapeHtml(product.description)}</p>` : ''}
+            ${variants.length > 1 ? `
+                <label class="product-detail-size">
+                    Size
+                    <select class="variant-picker">
+                        ${variants.map(option => `
+                            <option value="${option.id ?? ''}" ${option.id === variant.id ? 'selected' : ''}>
+                                ${escapeHtml(option.label)} - ₹${getCurrentPrice(product, option).price.toFixed(2)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            <p class="price${promotion ? ' on-sale' : ''}">${price.toFixed(2)}${promotion ? ` <s class="price-regular">₹${regularPrice.toFixed(2)}</s>` : ''}</p>
+            ${promotion ? `
+                <p class="promo-badge">${escapeHtml(promotion.title || 'Sale')}${promotion.limit ? ` · Limit ${promotion.limit} per customer` : ''}</p>
+                <p class="promo-countdown" data-ends-at="${promotion.endsAt}">Ends in ${formatCountdown(Date.parse(promotion.endsAt) - Date.now())}</p>
+            ` : ''}
+            <dl class="product-detail-facts">
+                <dt>Pack size</dt>
+                <dd>${escapeHtml(formatPackSize(variant) || '—')}</dd>
+                <dt>Unit price</dt>
+                <dd>${escapeHtml(unitPrice || '—')}</dd>
+                <dt>Stock</dt>
+                <dd class="stock-status ${stockStatus}">${escapeHtml(formatDetailStock(variant))}</dd>
+            </dl>
+            <div class="quantity-selector">
+                <button type="button" class="qty-btn" data-step="-1" aria-label="One less" ${outOfStock ? 'disabled' : ''}>−</button>
+                <input type="number" id="productDetailQty" class="qty-input" value="1" min="1"
+                    ${Number.isFinite(available) ? `max="${available}"` : ''} aria-label="Quantity" ${outOfStock ? 'disabled' : ''}>
+                <button type="button" class="qty-btn" data-step="1" aria-label="One more" ${outOfStock ? 'disabled' : ''}>+</button>
+            </div>
+            <button type="button" class="btn btn-add-to-cart" ${outOfStock ? 'disabled' : ''}>
+                ${outOfStock ? 'Out of Stock' : 'Add to Cart'}
+            </button>
+        </div>
+    `;
+
+    setImageSource(body.querySelector('img'), variant.image, product.name);
+
+    const variantPicker = body.querySelector('.variant-picker');
+    if (variantPicker) {
+        variantPicker.addEventListener('change', () => {
+            detailVariantId = variantPicker.value === '' ? null : Number(variantPicker.value);
+            renderProductDetail();
+        });
+    }
+
+    const qtyInput = body.querySelector('.qty-input');
+    body.querySelectorAll('.qty-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            qtyInput.value = clampDetailQuantity(Number(qtyInput.value) + Number(button.dataset.step), available);
+        });
+    });
+    qtyInput.addEventListener('change', () => {
+        qtyInput.value = clampDetailQuantity(Number(qtyInput.value), available);
+    });
+
+    body.querySelector('.btn-add-to-cart').addEventListener('click', () => {
+        handleAddToCart(product, variant, clampDetailQuantity(Number(qtyInput.value), available));
+    });
+}
+
+/**
+ * Keep a quantity between one and the stock available
+ * @param {number} qty - Quantity entered
+ * @param {number} available - Units in stock (Infinity when not tracked)
+ * @returns {number} Whole quantity within range
+ */
+function clampDetailQuantity(qty, available) {
+    const whole = Number.isFinite(qty) ? Math.round(qty) : 1;
+    return Math.max(1, Math.min(whole, available));
+}
+
+/**
+ * List the products similar to one, cheapest first
+ * @param {Product} product - Product being shown
+ * @param {Array} catalog - Every product
+ */
+function renderSimilarProducts(product, catalog) {
+    const list = document.getElementById('similarProducts');
+    const section = document.getElementById('similarProductsSection');
+    // Another product may have been opened while the catalog loaded
+    if (!list || !detailProduct || detailProduct.id !== product.id) {
+        return;
+    }
+
+    const similar = MergeSort.sort(findSimilarProducts(product, catalog), [
+        { key: 'price', value: other => getComparisonPrice(other).price, type: 'number' },
+        'name'
+    ]).slice(0, SIMILAR_PRODUCTS_MAX);
+
+    if (section) {
+        section.hidden = similar.length === 0;
+    }
+    list.innerHTML = '';
+
+    const own = getComparisonPrice(product);
+    similar.forEach(other => {
+        const { variant, price, promotion } = getComparisonPrice(other);
+        const unitPrice = formatUnitPrice({ ...variant, price });
+        const difference = price - own.price;
+
+        const item = document.createElement('li');
+        item.innerHTML = `
+            <button type="button" class="similar-product">
+                <img alt="">
+                <span class="similar-product-info">
+                    <span class="similar-product-name">${escapeHtml(other.name)}</span>
+                    <span class="similar-product-meta">
+                        ${escapeHtml([formatPackSize(variant), unitPrice].filter(Boolean).join(' · '))}
+                    </span>
+                </span>
+                <span class="similar-product-price">
+                    <span class="price${promotion ? ' on-sale' : ''}">${price.toFixed(2)}</span>
+                    ${difference !== 0 ? `
+                        <span class="similar-product-difference ${difference < 0 ? 'cheaper' : 'dearer'}">
+                            ₹${Math.abs(difference).toFixed(2)} ${difference < 0 ? 'less' : 'more'}
+                        </span>
+                    ` : ''}
+                </span>
+            </button>
+        `;
+        setImageSource(item.querySelector('img'), variant.image, other.name, 'thumb');
+        item.querySelector('button').addEventListener('click', () => openProductDetail(other));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Wire up the detail view: the close button, a click outside it and Escape close it
+ */
+function initializeProductDetail() {
+    const modal = document.getElementById('productDetailModal');
+    if (!modal) {
+        return;
+    }
+
+    const closeButton = document.getElementById('closeProductDetail');
+    if (closeButton) {
+        closeButton.addEventListener('click', closeProductDetail);
+    }
+
+    modal.addEventListener('click', event => {
+        if (event.target === modal) {
+            closeProductDetail();
+        }
+    });
+
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') {
+            closeProductDetail();
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        openProductDetail,
+        closeProductDetail,
+        initializeProductDetail
+    };
+}
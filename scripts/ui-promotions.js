@@ -0,0 +1,366 @@
+/**
+ * UI Logic for Promotions
+ * The promotion form and a month calendar of scheduled, running and ended
+ * promotions on the admin page. Clicking a promotion in the calendar loads it
+ * into the form to be changed or deleted.
+ */
+
+// Weekday headings; calendar weeks start on Monday
+const CALENDAR_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// First day of the month shown in the calendar
+let calendarMonth = getMonthStart(new Date());
+
+// ID of the promotion loaded into the form, or null when adding one
+let editingPromotionId = null;
+
+// Products offered in the form, also used to name promotions in the calendar
+let promotionProducts = [];
+
+/**
+ * Get the first day of a date's month, at local midnight
+ * @param {Date} date - Date
+ * @returns {Date} First day of the month
+ */
+function getMonthStart(date) {
+    return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/**
+ * Format an ISO date for a datetime-local input, in local time
+ * @param {string} iso - ISO date
+ * @returns {string} e.g. "2024-05-01T09:00"
+ */
+function toDateTimeLocal(iso) {
+    const date = new Date(iso);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format an ISO date for people, e.g. "1 May, 09:00"
+ * @param {string} iso - ISO date
+ * @returns {string} Formatted date
+ */
+function formatPromotionDate(iso) {
+    return new Date(iso).toLocaleString(undefined, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Name the product size a promotion is for, e.g. "Tata Salt (1 kg)"
+ * @param {Object} promotion - Promotion
+ * @returns {string} Name, or a note that the product or size has gone
+ */
+function describePromotionTarget(promotion) {
+    const product = promotionProducts.find(p => p.id === promotion.productId);
+    if (!product) {
+        return `Removed product #${promotion.productId}`;
+    }
+    const variant = getProductVariant(product, promotion.variantId);
+    return variant ? formatVariantName(product, variant) : `${product.name} (removed size)`;
+}
+
+/**
+ * Fill the product select of the promotion form, keeping the current choice
+ * @param {Array} products - Array of Product objects
+ */
+function updatePromotionProducts(products) {
+    promotionProducts = products;
+
+    const productSelect = document.getElementById('promotionProductId');
+    if (productSelect) {
+        const selected = productSelect.value;
+        productSelect.innerHTML = products
+            .map(product => `<option value="${product.id}">${escapeHtml(product.name)}</option>`)
+            .join('');
+        if (products.some(product => String(product.id) === selected)) {
+            productSelect.value = selected;
+        }
+        updatePromotionSizes();
+    }
+
+    renderPromotionCalendar();
+}
+
+/**
+ * Fill the size select with the sizes of the chosen product
+ * The select is hidden for products with a single size.
+ */
+function updatePromotionSizes() {
+    const productSelect = document.getElementById('promotionProductId');
+    const sizeSelect = document.getElementById('promotionVariantId');
+    const sizeGroup = document.getElementById('promotionSizeGroup');
+    if (!productSelect || !sizeSelect) {
+        return;
+    }
+
+    const product = promotionProducts.find(p => String(p.id) === productSelect.value);
+    const variants = product ? getProductVariants(product) : [];
+    const selected = sizeSelect.value;
+    sizeSelect.innerHTML = variants
+        .map(variant => `<option value="${variant.id ?? ''}">${escapeHtml(variant.label)} - ₹${variant.price.toFixed(2)}</option>`)
+        .join('');
+    if (variants.some(variant => String(variant.id ?? '') === selected)) {
+        sizeSelect.value = selected;
+    }
+    if (sizeGroup) {
+        sizeGroup.hidden = variants.length <= 1;
+    }
+}
+
+/**
+ * Read the promotion form
+ * @returns {Object} Raw fields for addPromotion / updatePromotion
+ */
+function readPromotionForm() {
+    const fields = {};
+    ['ProductId', 'VariantId', 'Title', 'StartsAt', 'EndsAt', 'SalePrice', 'PercentOff', 'Limit'].forEach(suffix => {
+        const input = document.getElementById(`promotion${suffix}`);
+        if (input) {
+            fields[suffix.charAt(0).toLowerCase() + suffix.slice(1)] = input.value;
+        }
+    });
+    return fields;
+}
+
+/**
+ * Load a promotion into the form to change it, or clear the form to add one
+ * @param {Object|null} promotion - Promotion, or null to clear the form
+ */
+function fillPromotionForm(promotion = null) {
+    const form = document.getElementById('promotionForm');
+    if (!form) {
+        return;
+    }
+
+    editingPromotionId = promotion ? promotion.id : null;
+    clearFieldErrors(form);
+
+    const values = promotion
+        ? {
+            ProductId: promotion.productId,
+            Title: promotion.title,
+            StartsAt: toDateTimeLocal(promotion.startsAt),
+            EndsAt: toDateTimeLocal(promotion.endsAt),
+            SalePrice: promotion.salePrice ?? '',
+            PercentOff: promotion.percentOff ?? '',
+            Limit: promotion.limit ?? ''
+        }
+        : { Title: '', StartsAt: '', EndsAt: '', SalePrice: '', PercentOff: '', Limit: '' };
+
+    Object.entries(values).forEach(([suffix, value]) => {
+        const input = document.getElementById(`promotion${suffix}`);
+        if (input) {
+            input.value = value;
+        }
+    });
+    updatePromotionSizes();
+    const sizeSelect = document.getElementById('promotionVariantId');
+    if (sizeSelect && promotion) {
+        sizeSelect.value = promotion.variantId ?? '';
+    }
+
+    const submitBtn = document.getElementById('promotionSubmitBtn');
+    if (submitBtn) {
+        submitBtn.textContent = promotion ? 'Save Promotion' : 'Add Promotion';
+    }
+    ['promotionCancelBtn', 'promotionDeleteBtn'].forEach(id => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.hidden = !promotion;
+        }
+    });
+
+    if (promotion) {
+        form.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+}
+
+/**
+ * Tell the shop in other tabs that promotions changed, and redraw the calendar
+ */
+function handlePromotionsChanged() {
+    renderPromotionCalendar();
+    // Trigger storage event for other tabs
+    window.dispatchEvent(new Event('storage'));
+}
+
+/**
+ * Handle adding or saving a promotion
+ * The fields are checked by addPromotion / updatePromotion against PROMOTION_SCHEMA.
+ * @param {Event} event - Submit event
+ */
+async function handlePromotionSubmit(event) {
+    event.preventDefault();
+    const form = event.target;
+    const fields = readPromotionForm();
+
+    const { value: promotion, errors } = await settleValidation(editingPromotionId === null
+        ? addPromotion(fields)
+        : updatePromotion(editingPromotionId, fields));
+
+    if (!promotion) {
+        reportProductErrors('promotion', form, 'Failed to save promotion. Please try again.', errors);
+        return;
+    }
+
+    showNotification(`Promotion for ${describePromotionTarget(promotion)} ${editingPromotionId === null ? 'added' : 'saved'}`, 'success');
+    calendarMonth = getMonthStart(new Date(promotion.startsAt));
+    fillPromotionForm(null);
+    handlePromotionsChanged();
+}
+
+/**
+ * Delete the promotion loaded into the form
+ */
+async function handleDeletePromotion() {
+    if (editingPromotionId === null || !confirm('Are you sure you want to delete this promotion?')) {
+        return;
+    }
+
+    if (await deletePromotion(editingPromotionId)) {
+        showNotification('Promotion deleted', 'success');
+        fillPromotionForm(null);
+        handlePromotionsChanged();
+    } else {
+        showNotification('Failed to delete promotion', 'error');
+    }
+}
+
+/**
+ * Create the calendar entry of a promotion
+ * @param {Object} promotion - Promotion
+ * @param {number} now - Current time in milliseconds
+ * @returns {HTMLElement} Entry button
+ */
+function createPromotionChip(promotion, now) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = `promo-chip promo-chip-${getPromotionStatus(promotion, now)}`;
+    chip.classList.toggle('editing', promotion.id === editingPromotionId);
+
+    const target = describePromotionTarget(promotion);
+    chip.textContent = `${target}: ${formatPromotionDiscount(promotion)}`;
+    chip.title = [
+        promotion.title,
+        `${target}: ${formatPromotionDiscount(promotion)}`,
+        `${formatPromotionDate(promotion.startsAt)} to ${formatPromotionDate(promotion.endsAt)}`,
+        promotion.limit ? `Limit ${promotion.limit} per customer` : ''
+    ].filter(Boolean).join('\n');
+
+    chip.addEventListener('click', () => {
+        fillPromotionForm(promotion);
+        renderPromotionCalendar();
+    });
+    return chip;
+}
+
+/**
+ * Show the promotions of the calendar's month, day by day
+ */
+async function renderPromotionCalendar() {
+    const calendar = document.getElementById('promotionCalendar');
+    const monthLabel = document.getElementById('promotionMonthLabel');
+    if (!calendar) {
+        return;
+    }
+
+    const promotions = await getPromotions();
+    const now = Date.now();
+    const today = new Date();
+
+    if (monthLabel) {
+        monthLabel.textContent = calendarMonth.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+
+    calendar.innerHTML = CALENDAR_WEEKDAYS
+        .map(day => `<div class="calendar-weekday">${day}</div>`)
+        .join('');
+
+    // Whole weeks, starting on the Monday on or before the 1st
+    const offset = (calendarMonth.getDay() + 6) % 7;
+    const daysInMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + 1, 0).getDate();
+    const cells = Math.ceil((offset + daysInMonth) / 7) * 7;
+
+    for (let i = 0; i < cells; i++) {
+        const dayStart = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth(), 1 - offset + i);
+        const dayEnd = new Date(dayStart.getFullYear(), dayStart.getMonth(), dayStart.getDate() + 1);
+
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day';
+        cell.classList.toggle('calendar-day-outside', dayStart.getMonth() !== calendarMonth.getMonth());
+        cell.classList.toggle('calendar-day-today', dayStart.toDateString() === today.toDateString());
+        cell.innerHTML = `<div class="calendar-date">${dayStart.getDate()}</div>`;
+
+        promotions
+            .filter(promotion => Date.parse(promotion.startsAt) < dayEnd.getTime() && Date.parse(promotion.endsAt) > dayStart.getTime())
+            .forEach(promotion => cell.appendChild(createPromotionChip(promotion, now)));
+
+        calendar.appendChild(cell);
+    }
+}
+
+/**
+ * Show another month in the calendar
+ * @param {number} months - Months to move by, e.g. -1 or 1
+ */
+function moveCalendarMonth(months) {
+    calendarMonth = new Date(calendarMonth.getFullYear(), calendarMonth.getMonth() + months, 1);
+    renderPromotionCalendar();
+}
+
+/**
+ * Wire up the promotion form and calendar
+ * The product select is filled by displayInventory through updatePromotionProducts.
+ */
+function initializePromotions() {
+    const form = document.getElementById('promotionForm');
+    if (!form) {
+        return;
+    }
+
+    form.addEventListener('submit', handlePromotionSubmit);
+    form.addEventListener('input', (e) => clearFieldError(e.target));
+
+    const productSelect = document.getElementById('promotionProductId');
+    if (productSelect) {
+        productSelect.addEventListener('change', updatePromotionSizes);
+    }
+
+    const buttons = {
+        promotionCancelBtn: () => {
+            fillPromotionForm(null);
+            renderPromotionCalendar();
+        },
+        promotionDeleteBtn: handleDeletePromotion,
+        promotionPrevMonth: () => moveCalendarMonth(-1),
+        promotionNextMonth: () => moveCalendarMonth(1),
+        promotionToday: () => {
+            calendarMonth = getMonthStart(new Date());
+            renderPromotionCalendar();
+        }
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', handler);
+        }
+    });
+
+    // Listen for promotions changed in other tabs
+    window.addEventListener('storage', function(event) {
+        if (event.key === 'grocno_promotions') {
+            renderPromotionCalendar();
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        updatePromotionProducts,
+        fillPromotionForm,
+        renderPromotionCalendar,
+        initializePromotions
+    };
+}
@@ -1,16 +1,156 @@
 /**
  * UI Logic for User Page
- * Handles product display and sorting
+ * Handles product display, searching, filtering and sorting
+ * Prices shown and sorted by are today's, with any running promotion applied.
+ * The view is kept in the page URL (see shop-url.js), so it survives a reload
+ * and the browser's back and forward buttons step through it.
  */
 
 // Store current products state
 let currentProducts = [];
 
+// Current sort state: { key, direction } or null for storage order
+let currentSort = null;
+
+// AbortController of the sort still running, if any
+let activeSortJob = null;
+
+// Storage key for the shopper's name-sorting locale
+const LOCALE_STORAGE_KEY = 'grocno_locale';
+
+// Size chosen on each product card, by product ID (absent means the main size)
+const selectedVariants = new Map();
+
+// Promotions, loaded with the products
+let currentPromotions = [];
+
+// When the next promotion starts or ends (ms), or null; the grid is refreshed then
+let nextPromotionChange = null;
+
+// Interval updating the promotion countdowns on the cards
+let promotionTimer = null;
+
+// Search index over the catalog, brought up to date whenever products are loaded
+const searchIndex = createSearchIndex();
+
+// Text in the search box, or '' when not searching
+let searchQuery = '';
+
+// Matched ranges to highlight, by product ID, for the products found by the search
+let searchMatches = new Map();
+
+// Timeout delaying the search until the shopper stops typing
+let searchTimer = null;
+
+// How long to wait after a keystroke before searching (ms)
+const SEARCH_DEBOUNCE_MS = 150;
+
+// Page of the grid being shown, from 1
+let currentPage = 1;
+
+// Storage key for how the shopper likes to browse: 'pages' or 'scroll'
+const GRID_MODE_STORAGE_KEY = 'grocno_grid_mode';
+
+// Products on each page, and loaded at a time when scrolling
+const PRODUCT_PAGE_SIZE = 24;
+
+// Virtual grid showing the products, created on first display
+let productGridView = null;
+
+// Price sort keys, swapped for ones that read the size chosen in the "Price of" select
+const VARIANT_SORT_KEYS = {
+    price: 'variantPrice',
+    unitPrice: 'variantUnitPrice'
+};
+
+/**
+ * Get the size chosen on a product's card
+ * @param {Product} product - Product object
+ * @returns {Object} Variant from getProductVariants
+ */
+function getSelectedVariant(product) {
+    return getProductVariant(product, selectedVariants.get(product.id)) || getProductVariant(product);
+}
+
+/**
+ * Get today's price of a size of a product
+ * @param {Product} product - Product object
+ * @param {Object} variant - Variant from getProductVariants
+ * @returns {Object} { price, regularPrice, promotion } from getEffectivePrice
+ */
+function getCurrentPrice(product, variant) {
+    return getEffectivePrice(product, variant, currentPromotions);
+}
+
+/**
+ * Get the size a product is priced by when sorting: its cheapest,
+ * or the one chosen on its card
+ * @param {Product} product - Product object
+ * @returns {Object} Variant from getProductVariants
+ */
+function getSortVariant(product) {
+    const basisSelect = document.getElementById('priceBasisSelect');
+    return basisSelect && basisSelect.value === 'selected'
+        ? getSelectedVariant(product)
+        : getCheapestVariant(product, variant => getCurrentPrice(product, variant).price);
+}
+
+MergeSort.registerSortKey('variantPrice', {
+    value: product => getCurrentPrice(product, getSortVariant(product)).price,
+    type: 'number'
+});
+
+MergeSort.registerSortKey('variantUnitPrice', {
+    value: product => {
+        const variant = getSortVariant(product);
+        const unitPrice = getUnitPrice({ ...variant, price: getCurrentPrice(product, variant).price });
+        return unitPrice ? unitPrice.value : NaN;
+    },
+    type: 'number'
+});
+
+/**
+ * Tell whether a product's card must be rebuilt: this changes whenever
+ * anything the card shows does
+ * @param {Product} product - Product object
+ * @returns {string} Signature of the card
+ */
+function getProductCardSignature(product) {
+    return JSON.stringify([
+        product,
+        getSelectedVariant(product).id,
+        getProductVariants(product).map(variant => getCurrentPrice(product, variant)),
+        searchMatches.get(product.id) || null
+    ]);
+}
+
+/**
+ * Get the virtual grid showing the products, creating it the first time
+ * @param {HTMLElement} productGrid - Grid element
+ * @returns {Object} Grid from createVirtualGrid
+ */
+function getProductGridView(productGrid) {
+    if (!productGridView) {
+        productGridView = createVirtualGrid(productGrid, {
+            key: product => product.id,
+            signature: getProductCardSignature,
+            render: createProductCard,
+            pageSize: PRODUCT_PAGE_SIZE,
+            onChange: handleGridChange
+        });
+        productGridView.setMode(readGridMode());
+    }
+    return productGridView;
+}
+
 /**
  * Display products in the grid
+ * Only the current page, or the rows near the viewport when scrolling, are
+ * rendered; cards of products already shown are moved rather than rebuilt.
  * @param {Array} products - Array of Product objects
+ * @param {string} emptyMessage - Optional message shown when there are no products
  */
-function displayProducts(products) {
+function displayProducts(products, emptyMessage = 'No products available. Check back later!') {
     const productGrid = document.getElementById('productGrid');
     
     if (!productGrid) {
@@ -18,54 +158,251 @@ function displayProducts(products) {
         return;
     }
 
-    // Clear existing content
-    productGrid.innerHTML = '';
+    // Update current products
+    currentProducts = products || [];
+    getProductGridView(productGrid).setItems(currentProducts, currentPage);
 
     // If no products, show empty state
-    if (!products || products.length === 0) {
-        productGrid.innerHTML = '<div class="empty-state">No products available. Check back later!</div>';
+    if (currentProducts.length === 0) {
+        productGrid.innerHTML = `<div class="empty-state">${escapeHtml(emptyMessage)}</div>`;
+    }
+}
+
+/**
+ * Show which products the grid is showing, and the page links
+ * @param {Object} range - Range from the virtual grid's getRange
+ */
+function handleGridChange(range) {
+    // A page past the end, e.g. from an old link, shows the last page instead
+    if (range.mode === 'pages' && range.total > 0 && range.page !== currentPage) {
+        currentPage = range.page;
+        updateShopUrl(true);
+    }
+
+    const status = document.getElementById('gridStatus');
+    if (status) {
+        status.textContent = range.total === 0
+            ? ''
+            : `Showing ${range.start + 1}–${range.end} of ${range.total} product${range.total === 1 ? '' : 's'}`;
+    }
+    renderPagination(range);
+}
+
+/**
+ * Render the page links below the grid
+ * @param {Object} range - Range from the virtual grid's getRange
+ */
+function renderPagination(range) {
+    const pagination = document.getElementById('productPagination');
+    if (!pagination) {
         return;
     }
 
-    // Create product cards
-    products.forEach(product => {
-        const productCard = createProductCard(product);
-        productGrid.appendChild(productCard);
+    pagination.hidden = range.mode !== 'pages' || range.pageCount <= 1;
+    if (pagination.hidden) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    const links = getPaginationItems(range.page, range.pageCount).map(item => (item === '…'
+        ? '<span class="pagination-gap">…</span>'
+        : `<button type="button" class="pagination-btn${item === range.page ? ' active' : ''}" data-page="${item}"
+                ${item === range.page ? 'aria-current="page"' : ''}>${item}</button>`));
+    pagination.innerHTML = `
+        <button type="button" class="pagination-btn" data-page="${range.page - 1}" ${range.page === 1 ? 'disabled' : ''}>Previous</button>
+        ${links.join('')}
+        <button type="button" class="pagination-btn" data-page="${range.page + 1}" ${range.page === range.pageCount ? 'disabled' : ''}>Next</button>
+    `;
+
+    pagination.querySelectorAll('.pagination-btn').forEach(button => {
+        button.addEventListener('click', () => goToPage(Number(button.dataset.page)));
     });
+}
 
-    // Update current products
-    currentProducts = products;
+/**
+ * Show a page of the grid, without searching or sorting again
+ * @param {number} page - Page, from 1
+ */
+function goToPage(page) {
+    currentPage = page;
+    updateShopUrl(false);
+    if (productGridView) {
+        productGridView.setPage(page);
+    }
+
+    const productGrid = document.getElementById('productGrid');
+    if (productGrid) {
+        productGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Read how the shopper likes to browse
+ * @returns {string} 'pages' or 'scroll'
+ */
+function readGridMode() {
+    try {
+        return localStorage.getItem(GRID_MODE_STORAGE_KEY) === 'scroll' ? 'scroll' : 'pages';
+    } catch (error) {
+        console.error('Error reading grid mode:', error);
+        return 'pages';
+    }
+}
+
+/**
+ * Handle a change between paging and infinite scroll
+ * @param {Event} event - Change event from the grid mode select
+ */
+function handleGridModeChange(event) {
+    const mode = event.target.value;
+
+    try {
+        localStorage.setItem(GRID_MODE_STORAGE_KEY, mode);
+    } catch (error) {
+        console.error('Error saving grid mode:', error);
+    }
+
+    // Scrolling starts from the top; the page number no longer applies
+    currentPage = 1;
+    updateShopUrl(true);
+    if (productGridView) {
+        productGridView.setMode(mode);
+    }
+}
+
+/**
+ * Mark up the matched parts of a text
+ * @param {string} text - Text
+ * @param {Array} ranges - Sorted [start, end] ranges to highlight
+ * @returns {string} Escaped HTML with the ranges in <mark> elements
+ */
+function highlightMatches(text, ranges = []) {
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+        html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+/**
+ * Describe where a search matched a product besides its name
+ * @param {Product} product - Product object
+ * @param {Object|undefined} highlights - Matched ranges from the search index
+ * @returns {string} HTML of the matched brand and tags, or '' if none matched
+ */
+function formatSearchContext(product, highlights) {
+    if (!highlights) {
+        return '';
+    }
+
+    const parts = [];
+    if (highlights.brand.length > 0) {
+        parts.push(highlightMatches(product.brand, highlights.brand));
+    }
+    product.tags.forEach((tag, index) => {
+        if (highlights.tags[index] && highlights.tags[index].length > 0) {
+            parts.push(`#${highlightMatches(tag, highlights.tags[index])}`);
+        }
+    });
+    return parts.join(' · ');
 }
 
 /**
  * Create a product card element
+ * Prices, stock and image follow the size chosen in the card's variant picker.
+ * While searching, the matched parts of the name, brand and tags are highlighted.
  * @param {Product} product - Product object
  * @returns {HTMLElement} Product card element
  */
 function createProductCard(product) {
     const card = document.createElement('div');
     card.className = 'product-card';
+    const variants = getProductVariants(product);
+    const variant = getSelectedVariant(product);
+    const { price, regularPrice, promotion } = getCurrentPrice(product, variant);
+    const unitPrice = formatUnitPrice({ ...variant, price });
+    const packSize = formatPackSize(variant);
+    const stockStatus = getStockStatus(variant);
+    const stockLabel = formatStockLabel(variant);
+    const outOfStock = stockStatus === 'out-of-stock';
+    // Price history is kept for the main size only
+    const priceDrop = variant.id === null ? getPriceDropPercent(product) : 0;
+    const highlights = searchMatches.get(product.id);
+    const searchContext = formatSearchContext(product, highlights);
+    const name = highlightMatches(product.name, highlights && highlights.name);
+    const hasDetail = typeof openProductDetail === 'function';
 
     card.innerHTML = `
-        <img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" 
-             onerror="this.src='https://via.placeholder.com/250x200?text=${encodeURIComponent(product.name)}'">
+        <img alt="${escapeHtml(product.name)}">
         <div class="product-info">
-            <h3>${escapeHtml(product.name)}</h3>
-            <p class="price">${parseFloat(product.price).toFixed(2)}</p>
+            <h3>${hasDetail ? `<button type="button" class="product-link">${name}</button>` : name}</h3>
+            ${searchContext ? `<p class="search-context">${searchContext}</p>` : ''}
+            ${variants.length > 1 ? `
+                <select class="variant-picker" aria-label="Choose a size of ${escapeHtml(product.name)}">
+                    ${variants.map(option => `
+                        <option value="${option.id ?? ''}" ${option.id === variant.id ? 'selected' : ''}>
+                            ${escapeHtml(option.label)} - ₹${getCurrentPrice(product, option).price.toFixed(2)}
+                        </option>
+                    `).join('')}
+                </select>
+            ` : ''}
+            <p class="price${promotion ? ' on-sale' : ''}">${price.toFixed(2)}${promotion ? ` <s class="price-regular">₹${regularPrice.toFixed(2)}</s>` : ''}</p>
+            ${promotion ? `
+                <p class="promo-badge">${escapeHtml(promotion.title || 'Sale')}${promotion.limit ? ` · Limit ${promotion.limit} per customer` : ''}</p>
+                <p class="promo-countdown" data-ends-at="${promotion.endsAt}">Ends in ${formatCountdown(Date.parse(promotion.endsAt) - Date.now())}</p>
+            ` : ''}
+            ${priceDrop ? `<p class="price-drop" title="Below its average price over the last ${PRICE_TREND_DAYS} days">Price dropped ${priceDrop}%</p>` : ''}
+            ${unitPrice ? `<p class="unit-price">${escapeHtml(packSize)} · ${escapeHtml(unitPrice)}</p>` : ''}
+            ${stockLabel ? `<p class="stock-status ${stockStatus}">${stockLabel}</p>` : ''}
             <button class="btn btn-add-to-cart" data-product-id="${product.id}" 
                     data-product-name="${escapeHtml(product.name)}"
-                    data-product-price="${product.price}"
-                    data-product-image="${escapeHtml(product.image)}">
-                Add to Cart
+                    data-product-price="${price}"
+                    data-product-image="${escapeHtml(variant.image)}"
+                    ${outOfStock ? 'disabled' : ''}>
+                ${outOfStock ? 'Out of Stock' : 'Add to Cart'}
             </button>
         </div>
     `;
 
+    card.classList.toggle('sold-out', outOfStock);
+    setImageSource(card.querySelector('img'), variant.image, product.name);
+
+    // The image and name open the product's detail view
+    if (hasDetail) {
+        const openDetail = () => openProductDetail(product);
+        card.querySelector('img').addEventListener('click', openDetail);
+        card.querySelector('.product-link').addEventListener('click', openDetail);
+        card.classList.add('has-detail');
+    }
+
+    // Show the chosen size: it is part of the card's signature, so the grid
+    // rebuilds the card and keeps its element map in step
+    const variantPicker = card.querySelector('.variant-picker');
+    if (variantPicker) {
+        variantPicker.addEventListener('change', () => {
+            selectedVariants.set(product.id, variantPicker.value === '' ? null : Number(variantPicker.value));
+            const grid = card.parentElement;
+            const position = grid ? [...grid.children].indexOf(card) : -1;
+            if (!productGridView || !currentProducts.includes(product)) {
+                card.replaceWith(createProductCard(product));
+                return;
+            }
+            productGridView.setItems(currentProducts, currentPage);
+            // Keep focus on the picker of the rebuilt card
+            const picker = position !== -1 && grid.children[position] && grid.children[position].querySelector('.variant-picker');
+            if (picker) {
+                picker.focus();
+            }
+        });
+    }
+
     // Add event listener for Add to Cart button
     const addToCartBtn = card.querySelector('.btn-add-to-cart');
     if (addToCartBtn) {
         addToCartBtn.addEventListener('click', () => {
-            handleAddToCart(product);
+            handleAddToCart(product, variant);
         });
     }
 
@@ -75,56 +412,480 @@ function createProductCard(product) {
 /**
  * Handle adding product to cart
  * @param {Product} product - Product object
+ * @param {Object} variant - Chosen size, from getProductVariants
+ * @param {number} qty - How many to add
  */
-function handleAddToCart(product) {
+async function handleAddToCart(product, variant = getProductVariant(product), qty = 1) {
     if (!product) {
         showNotification('Product not found', 'error');
         return;
     }
 
-    const cartItem = addToCart(product.id, product.name, product.price, product.image);
+    const name = formatVariantName(product, variant);
+    const { value: cartItem, errors } = await settleValidation(addToCart(product.id, name, getCurrentPrice(product, variant).price, variant.image, variant.id, qty));
     
     if (cartItem) {
+        const added = qty > 1 ? `${qty} × ${name}` : name;
         const message = cartItem.qty > 1 
-            ? `${product.name} added to cart! (${cartItem.qty} items)`
-            : `${product.name} added to cart!`;
+            ? `${added} added to cart! (${cartItem.qty} items)`
+            : `${added} added to cart!`;
         showNotification(message, 'success');
     } else {
-        showNotification('Failed to add item to cart', 'error');
+        showNotification(errors.map(error => error.message).join('. ') || 'Failed to add item to cart', 'error');
+    }
+}
+
+/**
+ * Human-readable labels for sort keys and directions
+ */
+const SORT_LABELS = {
+    price: { label: 'price', asc: 'price (low to high)', desc: 'price (high to low)' },
+    name: { label: 'name', asc: 'name (A to Z)', desc: 'name (Z to A)' },
+    unitPrice: { label: 'unit price', asc: 'unit price (low to high)', desc: 'unit price (high to low)' }
+};
+
+/**
+ * Build the merge sort spec from the current sort state
+ * Price keys read the size chosen in the "Price of" select.
+ * @returns {Array} Sort spec for MergeSort.sort
+ */
+function getCurrentSortSpec() {
+    const spec = [currentSort];
+    const secondarySelect = document.getElementById('secondarySortSelect');
+    const secondary = secondarySelect ? secondarySelect.value : '';
+
+    if (secondary && MergeSort.normalizeSortSpec(secondary)[0].key !== currentSort.key) {
+        spec.push(secondary);
+    }
+
+    return MergeSort.normalizeSortSpec(spec).map(entry => (VARIANT_SORT_KEYS[entry.key]
+        ? { ...entry, key: VARIANT_SORT_KEYS[entry.key] }
+        : entry));
+}
+
+/**
+ * Apply the current sort state (if any) to a list of products
+ * @param {Array} products - Array of Product objects
+ * @returns {Array} Products in display order
+ */
+function applyCurrentSort(products) {
+    if (!currentSort) {
+        return products;
+    }
+    return MergeSort.sort(products, getCurrentSortSpec());
+}
+
+/**
+ * Check whether search results should follow the current sort rather than relevance
+ * @returns {boolean} True if a sort is chosen and "Results by" is set to it
+ */
+function isSearchSorted() {
+    const orderSelect = document.getElementById('searchOrderSelect');
+    return Boolean(currentSort) && Boolean(orderSelect) && orderSelect.value === 'sort';
+}
+
+/**
+ * Show how many products the search found
+ * @param {number|null} count - Number of results, or null when not searching
+ */
+function updateSearchStatus(count) {
+    const status = document.getElementById('searchStatus');
+    if (!status) {
+        return;
+    }
+    status.textContent = count === null
+        ? ''
+        : `${count} ${count === 1 ? 'product matches' : 'products match'} "${searchQuery.trim()}"`;
+}
+
+/**
+ * Re-search, re-filter, re-sort and redisplay the catalog; sorting runs off the main thread
+ * Products are searched, then filtered, then sorted, so the grid always shows
+ * the filtered list in the current order. Search results are shown best match
+ * first, or in the current sort order when "Results by" is set to it; ties
+ * keep their relevance order.
+ * Starting a new sort cancels the one still running.
+ * @param {string} message - Optional notification shown when the sort finishes
+ */
+async function refreshSortedProducts(message) {
+    if (activeSortJob) {
+        activeSortJob.abort();
+    }
+
+    const job = new AbortController();
+    activeSortJob = job;
+
+    try {
+        const products = await getProducts();
+        const promotions = await getPromotions();
+        if (job.signal.aborted) {
+            return;
+        }
+        currentPromotions = promotions;
+        nextPromotionChange = getNextPromotionChange(promotions);
+        searchIndex.update(products);
+
+        let shown = products;
+        let emptyMessage;
+        if (searchQuery.trim()) {
+            const results = searchIndex.search(searchQuery);
+            searchMatches = new Map(results.map(result => [result.product.id, result.highlights]));
+            shown = results.map(result => result.product);
+            emptyMessage = `No products match "${searchQuery.trim()}". Check the spelling or try fewer words.`;
+            updateSearchStatus(results.length);
+        } else {
+            searchMatches = new Map();
+            updateSearchStatus(null);
+        }
+
+        // Narrow by the sidebar filters, if they are loaded, counting what each option leaves
+        if (typeof applyProductFilters === 'function') {
+            renderFilterSidebar(products, shown);
+            shown = applyProductFilters(shown);
+            if (!emptyMessage && isFiltering()) {
+                emptyMessage = 'No products match the selected filters.';
+            }
+        }
+
+        // Search results stay in relevance order unless asked to follow the sort
+        if (!currentSort || (searchQuery.trim() && !isSearchSorted())) {
+            displayProducts(shown, emptyMessage);
+            return;
+        }
+
+        const sorted = await MergeSort.sortAsync(shown, getCurrentSortSpec(), {
+            signal: job.signal,
+            onProgress: updateSortProgress
+        });
+        displayProducts(sorted, emptyMessage);
+        if (message) {
+            showNotification(message, 'success');
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error('Error sorting products:', error);
+            showNotification('Failed to sort products', 'error');
+        }
+    } finally {
+        if (activeSortJob === job) {
+            activeSortJob = null;
+            updateSortProgress(null);
+        }
+    }
+}
+
+/**
+ * Count down to the end of the promotions on the cards, and refresh the
+ * grid when a promotion starts or ends
+ */
+function updatePromotionCountdowns() {
+    const now = Date.now();
+    if (nextPromotionChange !== null && now >= nextPromotionChange) {
+        nextPromotionChange = null;
+        refreshSortedProducts();
+        return;
+    }
+
+    document.querySelectorAll('.promo-countdown').forEach(countdown => {
+        countdown.textContent = `Ends in ${formatCountdown(Date.parse(countdown.dataset.endsAt) - now)}`;
+    });
+}
+
+/**
+ * Start updating the promotion countdowns every second
+ */
+function startPromotionCountdowns() {
+    if (!promotionTimer) {
+        promotionTimer = setInterval(updatePromotionCountdowns, 1000);
+    }
+}
+
+/**
+ * Show sort progress, or hide the indicator when progress is null
+ * @param {number|null} progress - Fraction between 0 and 1
+ */
+function updateSortProgress(progress) {
+    const indicator = document.getElementById('sortProgress');
+    if (!indicator) {
+        return;
+    }
+
+    indicator.hidden = progress === null || progress >= 1;
+    if (progress !== null) {
+        const percent = Math.round(progress * 100);
+        indicator.querySelector('.sort-progress-bar').style.width = `${percent}%`;
+        indicator.querySelector('.sort-progress-label').textContent = `Sorting... ${percent}%`;
+    }
+}
+
+/**
+ * Choose a sort key, toggling its direction if it is already active
+ * @param {string} key - Sort key ('price' or 'name')
+ */
+function setSortKey(key) {
+    const direction = currentSort && currentSort.key === key && currentSort.direction === 'asc'
+        ? 'desc'
+        : 'asc';
+    currentSort = { key, direction };
+
+    // Choosing a sort while searching orders the results by it
+    const orderSelect = document.getElementById('searchOrderSelect');
+    if (searchQuery.trim() && orderSelect) {
+        orderSelect.value = 'sort';
     }
+
+    updateSortButtons();
+    navigateShop({ message: `Products sorted by ${SORT_LABELS[key][direction]}!` });
+}
+
+/**
+ * Reflect the current sort key and direction on the sort buttons
+ */
+function updateSortButtons() {
+    const buttons = {
+        price: document.getElementById('sortPriceBtn'),
+        name: document.getElementById('sortNameBtn'),
+        unitPrice: document.getElementById('sortUnitPriceBtn')
+    };
+
+    Object.entries(buttons).forEach(([key, button]) => {
+        if (!button) {
+            return;
+        }
+        const active = currentSort && currentSort.key === key;
+        button.classList.toggle('active', Boolean(active));
+        button.classList.toggle('desc', Boolean(active && currentSort.direction === 'desc'));
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        button.title = active
+            ? `Sorted by ${SORT_LABELS[key][currentSort.direction]}. Click to reverse.`
+            : `Sort by ${SORT_LABELS[key].label}`;
+    });
 }
 
 /**
  * Sort products by price using merge sort
+ * Clicking again reverses the direction
  */
 function sortByPrice() {
-    const products = getProducts();
-    const sortedProducts = MergeSort.sortByPrice(products);
-    displayProducts(sortedProducts);
-    showNotification('Products sorted by price!', 'success');
+    setSortKey('price');
 }
 
 /**
  * Sort products alphabetically by name
+ * Clicking again reverses the direction
  */
 function sortByName() {
-    const products = getProducts();
-    const sortedProducts = MergeSort.sortByName(products);
-    displayProducts(sortedProducts);
-    showNotification('Products sorted alphabetically!', 'success');
+    setSortKey('name');
+}
+
+/**
+ * Handle the unit price sort button: sort by price per kg, litre or piece
+ * Clicking again reverses the direction
+ */
+function handleUnitPriceSort() {
+    setSortKey('unitPrice');
+}
+
+/**
+ * Handle a change of the secondary ("then by") sort key or the price basis
+ */
+function handleSecondarySortChange() {
+    if (currentSort) {
+        navigateShop();
+    }
+}
+
+/**
+ * Search as the shopper types, once they pause
+ * @param {Event} event - Input event from the search box
+ */
+function handleSearchInput(event) {
+    searchQuery = event.target.value;
+    clearTimeout(searchTimer);
+    // Starting a search adds a history entry; refining it replaces that entry
+    const replace = new URLSearchParams(location.search).has('q');
+    searchTimer = setTimeout(() => navigateShop({ replace }), SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Handle a change of the order search results are shown in
+ */
+function handleSearchOrderChange() {
+    if (searchQuery.trim()) {
+        navigateShop();
+    }
+}
+
+/**
+ * Read what the shop is showing, for the page URL
+ * @returns {Object} Shop state, as from createShopState
+ */
+function getShopState() {
+    const state = createShopState();
+    const secondarySelect = document.getElementById('secondarySortSelect');
+    const orderSelect = document.getElementById('searchOrderSelect');
+
+    if (currentSort) {
+        state.sort = MergeSort.normalizeSortSpec([currentSort, secondarySelect ? secondarySelect.value : ''])
+            .filter((entry, index) => index === 0 || entry.key !== currentSort.key);
+    }
+    state.query = searchQuery;
+    state.order = orderSelect ? orderSelect.value : 'relevance';
+    if (typeof getActiveFilters === 'function') {
+        state.filters = getActiveFilters();
+    }
+    state.page = currentPage;
+    return state;
+}
+
+/**
+ * Show a shop state, e.g. one read from the page URL
+ * Sort keys the page does not offer are ignored.
+ * @param {Object} state - Shop state, as from createShopState
+ */
+function restoreShopState(state) {
+    const [primary, secondary] = state.sort;
+    currentSort = primary && SORT_LABELS[primary.key] ? { key: primary.key, direction: primary.direction } : null;
+
+    const secondarySelect = document.getElementById('secondarySortSelect');
+    if (secondarySelect) {
+        const value = secondary ? `${secondary.direction === 'desc' ? '-' : ''}${secondary.key}` : '';
+        secondarySelect.value = [...secondarySelect.options].some(option => option.value === value) ? value : '';
+    }
+    updateSortButtons();
+
+    searchQuery = state.query;
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.value = state.query;
+    }
+    const orderSelect = document.getElementById('searchOrderSelect');
+    if (orderSelect) {
+        orderSelect.value = state.order;
+    }
+
+    if (typeof restoreFilters === 'function') {
+        restoreFilters(state.filters);
+    }
+    currentPage = state.page;
+}
+
+/**
+ * Record what the shop is showing in the page URL, if it has changed
+ * @param {boolean} replace - True to replace the current history entry rather than add one
+ */
+function updateShopUrl(replace) {
+    const url = `${location.pathname}${buildShopQuery(getShopState())}${location.hash}`;
+    if (url === `${location.pathname}${location.search}${location.hash}`) {
+        return;
+    }
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+/**
+ * Record a change of view in the page URL and show it
+ * @param {Object} options - { page, replace, message }: the page to show (the
+ *     first unless given), true to replace the current history entry rather
+ *     than add one, and an optional notification shown once sorted
+ */
+function navigateShop({ page = 1, replace = false, message } = {}) {
+    currentPage = page;
+    updateShopUrl(replace);
+    refreshSortedProducts(message);
+}
+
+/**
+ * Show the view in the page URL after the back or forward button
+ */
+function handleShopHistory() {
+    clearTimeout(searchTimer);
+    restoreShopState(parseShopQuery(location.search));
+    refreshSortedProducts();
+}
+
+/**
+ * Apply a locale to name sorting
+ * @param {string} locale - BCP 47 locale tag, or '' for the browser default
+ * @returns {boolean} True if the locale was applied
+ */
+function applySortLocale(locale) {
+    try {
+        MergeSort.setCollation({ locale: locale || undefined });
+        return true;
+    } catch (error) {
+        console.error('Unsupported locale:', locale, error);
+        return false;
+    }
+}
+
+/**
+ * Handle a change of the shopper's language
+ * @param {Event} event - Change event from the locale select
+ */
+function handleLocaleChange(event) {
+    const locale = event.target.value;
+
+    if (!applySortLocale(locale)) {
+        showNotification('That language is not supported by this browser', 'error');
+        return;
+    }
+
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (error) {
+        console.error('Error saving locale:', error);
+    }
+
+    if (currentSort) {
+        refreshSortedProducts();
+    }
+}
+
+/**
+ * Restore the saved locale into the locale select and the collation settings
+ */
+function initializeLocale() {
+    const localeSelect = document.getElementById('localeSelect');
+    let locale = '';
+
+    try {
+        locale = localStorage.getItem(LOCALE_STORAGE_KEY) || '';
+    } catch (error) {
+        console.error('Error reading locale:', error);
+    }
+
+    if (!applySortLocale(locale)) {
+        locale = '';
+    }
+
+    if (localeSelect) {
+        localeSelect.value = locale;
+        localeSelect.addEventListener('change', handleLocaleChange);
+    }
 }
 
 /**
  * Initialize user page
  */
 function initializeUserPage() {
-    // Load and display products
-    const products = getProducts();
-    displayProducts(products);
+    // Name sorting follows the shopper's language
+    initializeLocale();
+
+    // Load and display products as the page URL describes them
+    restoreShopState(parseShopQuery(location.search));
+    refreshSortedProducts();
+    startPromotionCountdowns();
+    window.addEventListener('popstate', handleShopHistory);
 
     // Add event listeners
     const sortPriceBtn = document.getElementById('sortPriceBtn');
     const sortNameBtn = document.getElementById('sortNameBtn');
+    const sortUnitPriceBtn = document.getElementById('sortUnitPriceBtn');
+    const secondarySortSelect = document.getElementById('secondarySortSelect');
 
     if (sortPriceBtn) {
         sortPriceBtn.addEventListener('click', sortByPrice);
@@ -133,6 +894,50 @@ function initializeUserPage() {
     if (sortNameBtn) {
         sortNameBtn.addEventListener('click', sortByName);
     }
+
+    if (sortUnitPriceBtn) {
+        sortUnitPriceBtn.addEventListener('click', handleUnitPriceSort);
+    }
+
+    if (secondarySortSelect) {
+        secondarySortSelect.addEventListener('change', handleSecondarySortChange);
+    }
+
+    const priceBasisSelect = document.getElementById('priceBasisSelect');
+    if (priceBasisSelect) {
+        priceBasisSelect.addEventListener('change', handleSecondarySortChange);
+    }
+
+    const searchInput = document.getElementById('searchInput');
+    if (searchInput) {
+        searchInput.addEventListener('input', handleSearchInput);
+    }
+
+    const searchOrderSelect = document.getElementById('searchOrderSelect');
+    if (searchOrderSelect) {
+        searchOrderSelect.addEventListener('change', handleSearchOrderChange);
+    }
+
+    const gridModeSelect = document.getElementById('gridModeSelect');
+    if (gridModeSelect) {
+        gridModeSelect.value = readGridMode();
+        gridModeSelect.addEventListener('change', handleGridModeChange);
+    }
+
+    // Set up the filter sidebar if it is loaded
+    if (typeof initializeFilters === 'function') {
+        initializeFilters();
+    }
+
+    // Set up the product detail view if it is loaded
+    if (typeof initializeProductDetail === 'function') {
+        initializeProductDetail();
+    }
+
+    // Set up the merge sort visualizer if it is loaded
+    if (typeof initializeVisualizer === 'function') {
+        initializeVisualizer();
+    }
 }
 
 /**
@@ -221,9 +1026,8 @@ function escapeHtml(text) {
 
 // Listen for storage changes (multi-tab support)
 window.addEventListener('storage', function(event) {
-    if (event.key === 'grocno_products') {
-        const products = getProducts();
-        displayProducts(products);
+    if (event.key === 'grocno_products' || event.key === 'grocno_promotions') {
+        refreshSortedProducts();
     }
 });
 
@@ -234,6 +1038,11 @@ if (typeof module !== 'undefined' && module.exports) {
         createProductCard,
         sortByPrice,
         sortByName,
+        handleUnitPriceSort,
+        applyCurrentSort,
+        highlightMatches,
+        navigateShop,
+        goToPage,
         initializeUserPage
     };
 }
@@ -0,0 +1,248 @@
+/**
+ * Virtual Grid
+ * Shows a long list in a CSS grid without creating an element for every item.
+ * In 'pages' mode one page of items is shown at a time. In 'scroll' mode more
+ * items are loaded as the shopper nears the end, and only the rows in or near
+ * the viewport are in the document; padding above and below stands in for
+ * the rest. Every row takes the height of the tallest card seen so far, so
+ * the position of any row can be worked out without rendering it.
+ * Elements are keyed: an item whose signature is unchanged keeps its element,
+ * so re-sorting moves elements around rather than rebuilding them.
+ */
+
+// Rows rendered beyond each edge of the viewport
+const VIRTUAL_GRID_BUFFER_ROWS = 2;
+
+/**
+ * List the page links to offer, e.g. [1, '…', 4, 5, 6, '…', 20]
+ * @param {number} page - Current page, from 1
+ * @param {number} pageCount - Number of pages
+ * @returns {Array} Page numbers, with '…' where pages are skipped
+ */
+function getPaginationItems(page, pageCount) {
+    const pages = new Set([1, pageCount, page - 1, page, page + 1]);
+    const shown = [...pages].filter(number => number >= 1 && number <= pageCount).sort((a, b) => a - b);
+
+    return shown.flatMap((number, index) => {
+        const previous = shown[index - 1];
+        if (previous === undefined || number === previous + 1) {
+            return [number];
+        }
+        // A gap of one page is shown as that page rather than '…'
+        return number === previous + 2 ? [previous + 1, number] : ['…', number];
+    });
+}
+
+/**
+ * Create a virtual grid in a container element
+ * @param {HTMLElement} container - Element laid out as a CSS grid
+ * @param {Object} options - { key, signature, render, pageSize, onChange }:
+ *     key(item) identifies an item, signature(item) changes whenever its element
+ *     must be rebuilt, render(item) creates its element, pageSize is the number
+ *     of items per page or per load, and onChange(range) is called after every
+ *     render with the range from getRange
+ * @returns {Object} Grid with setItems, setMode, setPage and getRange
+ */
+function createVirtualGrid(container, { key, signature, render, pageSize = 24, onChange = () => {} }) {
+    let items = [];
+    let mode = 'pages';
+    let page = 1;
+    // Items loaded so far in 'scroll' mode
+    let loaded = pageSize;
+    // Height of every row in 'scroll' mode, 0 until measured
+    let rowHeight = 0;
+    // Start and end of the items last rendered, to skip scroll frames that change nothing
+    let rendered = null;
+    let frame = null;
+    // Elements in the container by item key: { node, signature }
+    let nodes = new Map();
+
+    const getPageCount = () => Math.max(1, Math.ceil(items.length / pageSize));
+
+    const getColumns = () => {
+        const columns = getComputedStyle(container).gridTemplateColumns.split(' ').filter(Boolean);
+        return columns[0] === 'none' ? 1 : Math.max(1, columns.length);
+    };
+
+    // The items to render, and the padding standing in for the rows left out
+    const getWindow = () => {
+        if (mode === 'pages') {
+            page = Math.min(Math.max(1, page), getPageCount());
+            const start = (page - 1) * pageSize;
+            return { start, end: Math.min(items.length, start + pageSize), before: 0, after: 0, atEnd: false };
+        }
+
+        const total = Math.min(loaded, items.length);
+        if (rowHeight === 0) {
+            return { start: 0, end: Math.min(total, pageSize), before: 0, after: 0, atEnd: false };
+        }
+
+        const columns = getColumns();
+        const stride = rowHeight + (parseFloat(getComputedStyle(container).rowGap) || 0);
+        const top = container.getBoundingClientRect().top;
+        const rows = Math.ceil(total / columns);
+        const firstRow = Math.min(rows, Math.max(0, Math.floor(-top / stride) - VIRTUAL_GRID_BUFFER_ROWS));
+        const endRow = Math.min(rows, Math.max(firstRow, Math.ceil((window.innerHeight - top) / stride) + VIRTUAL_GRID_BUFFER_ROWS));
+        return {
+            start: firstRow * columns,
+            end: Math.min(total, endRow * columns),
+            before: firstRow * stride,
+            after: (rows - endRow) * stride,
+            atEnd: endRow === rows
+        };
+    };
+
+    // Put the elements of a slice of items into the container in order,
+    // reusing those already rendered and removing the rest
+    const reconcile = slice => {
+        const next = new Map();
+        slice.forEach((item, index) => {
+            const id = key(item);
+            const itemSignature = signature(item);
+            let entry = nodes.get(id);
+            if (!entry || entry.signature !== itemSignature) {
+                entry = { node: render(item), signature: itemSignature };
+            }
+            next.set(id, entry);
+
+            const current = container.children[index];
+            if (current !== entry.node) {
+                container.insertBefore(entry.node, current || null);
+            }
+        });
+
+        while (container.children.length > slice.length) {
+            container.lastElementChild.remove();
+        }
+        nodes = next;
+    };
+
+    // Make every row as tall as the tallest card seen so far
+    const measureRows = () => {
+        container.style.gridAutoRows = '';
+        const tallest = Math.max(0, ...[...nodes.values()].map(entry => entry.node.offsetHeight));
+        const measured = Math.max(rowHeight, tallest);
+        container.style.gridAutoRows = measured > 0 ? `${measured}px` : '';
+        return measured;
+    };
+
+    const schedule = () => {
+        if (frame === null) {
+            frame = requestAnimationFrame(() => {
+                frame = null;
+                update();
+            });
+        }
+    };
+
+    const update = (force = false) => {
+        if (items.length === 0) {
+            nodes = new Map();
+            rendered = null;
+            container.style.paddingTop = '';
+            container.style.paddingBottom = '';
+            onChange(getRange());
+            return;
+        }
+
+        const view = getWindow();
+        if (!force && rendered === `${view.start}:${view.end}`) {
+            return;
+        }
+        rendered = `${view.start}:${view.end}`;
+
+        reconcile(items.slice(view.start, view.end));
+        container.style.paddingTop = view.before > 0 ? `${view.before}px` : '';
+        container.style.paddingBottom = view.after > 0 ? `${view.after}px` : '';
+
+        if (mode === 'scroll') {
+            const measured = measureRows();
+            if (measured !== rowHeight) {
+                // Work out the window again now the rows have a height
+                rowHeight = measured;
+                rendered = null;
+                schedule();
+            } else if (view.atEnd && loaded < items.length) {
+                loaded += pageSize;
+                rendered = null;
+                schedule();
+            }
+        } else {
+            container.style.gridAutoRows = '';
+        }
+
+        onChange(getRange());
+    };
+
+    /**
+     * Get what the grid is showing
+     * @returns {Object} { mode, page, pageCount, start, end, total } where
+     *     start and end are the positions of the first and after the last
+     *     item on the page, or loaded so far when scrolling
+     */
+    const getRange = () => {
+        const pageCount = getPageCount();
+        const current = Math.min(Math.max(1, page), pageCount);
+        const start = mode === 'pages' ? (current - 1) * pageSize : 0;
+        const end = mode === 'pages' ? Math.min(items.length, start + pageSize) : Math.min(loaded, items.length);
+        return { mode, page: current, pageCount, start, end, total: items.length };
+    };
+
+    const handleViewportChange = event => {
+        if (mode !== 'scroll') {
+            return;
+        }
+        if (event.type === 'resize') {
+            // Cards change height with the width of the columns
+            rowHeight = 0;
+            rendered = null;
+        }
+        schedule();
+    };
+    window.addEventListener('scroll', handleViewportChange, { passive: true });
+    window.addEventListener('resize', handleViewportChange);
+
+    return {
+        /**
+         * Show a new list of items
+         * Items are matched to the elements already shown by their key.
+         * @param {Array} list - Items, in display order
+         * @param {number} pageNumber - Page to show in 'pages' mode
+         */
+        setItems(list, pageNumber = page) {
+            items = list;
+            page = pageNumber;
+            update(true);
+        },
+
+        /**
+         * Switch between paging and infinite scroll
+         * @param {string} nextMode - 'pages' or 'scroll'
+         */
+        setMode(nextMode) {
+            mode = nextMode === 'scroll' ? 'scroll' : 'pages';
+            loaded = pageSize;
+            rowHeight = 0;
+            update(true);
+        },
+
+        /**
+         * Show a page in 'pages' mode
+         * @param {number} pageNumber - Page, from 1
+         */
+        setPage(pageNumber) {
+            page = pageNumber;
+            update(true);
+        },
+
+        getRange
+    };
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getPaginationItems,
+        createVirtualGrid
+    };
+}
@@ -0,0 +1,378 @@
+/**
+ * Merge Sort Visualizer
+ * Replays a merge sort trace on the shop page, one split/compare/merge at a time
+ */
+
+// Larger catalogs are cut down so every card still fits on screen
+const VISUALIZER_MAX_ITEMS = 16;
+
+// Visualizer state
+const visualizerState = {
+    items: [],
+    events: [],
+    step: 0,
+    segments: new Map(),
+    highlight: null,
+    comparisons: 0,
+    timer: null,
+    playing: false
+};
+
+/**
+ * Get the key of a segment in the recursion tree
+ * @param {number} depth - Recursion depth
+ * @param {number} start - First index covered by the segment
+ * @returns {string} Segment key
+ */
+function segmentKey(depth, start) {
+    return `${depth}:${start}`;
+}
+
+/**
+ * Open the visualizer with a fresh trace of the current sort
+ */
+async function openVisualizer() {
+    const panel = document.getElementById('visualizerPanel');
+    if (!panel) {
+        return;
+    }
+
+    const products = await getProducts();
+    const items = products.slice(0, VISUALIZER_MAX_ITEMS);
+    const spec = currentSort ? getCurrentSortSpec() : 'price';
+
+    if (items.length < products.length) {
+        showNotification(`Visualizing the first ${items.length} of ${products.length} products`, 'info');
+    }
+
+    visualizerState.items = items;
+    visualizerState.events = MergeSort.trace(items, spec).events;
+
+    panel.hidden = false;
+    resetVisualizer();
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Close the visualizer and stop playback
+ */
+function closeVisualizer() {
+    pauseVisualizer();
+    const panel = document.getElementById('visualizerPanel');
+    if (panel) {
+        panel.hidden = true;
+    }
+}
+
+/**
+ * Rewind the visualizer to the unsorted catalog
+ */
+function resetVisualizer() {
+    pauseVisualizer();
+
+    visualizerState.step = 0;
+    visualizerState.highlight = null;
+    visualizerState.comparisons = 0;
+    visualizerState.segments = new Map();
+    visualizerState.segments.set(segmentKey(0, 0), {
+        depth: 0,
+        start: 0,
+        end: visualizerState.items.length,
+        items: visualizerState.items.slice(),
+        taken: new Set(),
+        status: 'idle'
+    });
+
+    renderVisualizer(visualizerState.items.length > 1 ? 'Press Play or Step to start.' : 'Nothing to sort.');
+}
+
+/**
+ * Apply a single trace event to the recursion tree
+ * @param {Object} event - Trace event from MergeSort.trace
+ */
+function applyTraceEvent(event) {
+    const segments = visualizerState.segments;
+    const parent = segments.get(segmentKey(event.depth, event.start));
+    const leftChild = segments.get(segmentKey(event.depth + 1, event.start));
+    const rightChild = segments.get(segmentKey(event.depth + 1, event.mid));
+
+    visualizerState.highlight = null;
+
+    if (event.type === 'split') {
+        const offset = event.mid - event.start;
+        parent.status = 'split';
+        segments.set(segmentKey(event.depth + 1, event.start), {
+            depth: event.depth + 1,
+            start: event.start,
+            end: event.mid,
+            items: parent.items.slice(0, offset),
+            taken: new Set(),
+            status: 'idle'
+        });
+        segments.set(segmentKey(event.depth + 1, event.mid), {
+            depth: event.depth + 1,
+            start: event.mid,
+            end: event.end,
+            items: parent.items.slice(offset),
+            taken: new Set(),
+            status: 'idle'
+        });
+        return;
+    }
+
+    if (event.type === 'compare' || event.type === 'copy') {
+        if (parent.status !== 'merging') {
+            parent.status = 'merging';
+            parent.items = [];
+        }
+
+        let winner;
+        if (event.type === 'compare') {
+            visualizerState.comparisons++;
+            winner = event.winner === 'left' ? event.left : event.right;
+            visualizerState.highlight = { compared: [event.left, event.right], winner };
+        } else {
+            winner = event.item;
+            visualizerState.highlight = { compared: [], winner };
+        }
+
+        (event.winner === 'right' || event.from === 'right' ? rightChild : leftChild).taken.add(winner);
+        parent.items.push(winner);
+        return;
+    }
+
+    if (event.type === 'merge') {
+        parent.items = event.items.slice();
+        parent.status = 'sorted';
+        segments.delete(segmentKey(event.depth + 1, event.start));
+        segments.delete(segmentKey(event.depth + 1, event.mid));
+    }
+}
+
+/**
+ * Describe a trace event in plain words
+ * @param {Object} event - Trace event
+ * @returns {string} Description
+ */
+function describeTraceEvent(event) {
+    const label = item => `"${item.name}" (₹${parseFloat(item.price).toFixed(2)})`;
+
+    switch (event.type) {
+        case 'split':
+            return `Split positions ${event.start + 1}–${event.end} into ${event.start + 1}–${event.mid} and ${event.mid + 1}–${event.end}.`;
+        case 'compare': {
+            const winner = event.winner === 'left' ? event.left : event.right;
+            return `Compare ${label(event.left)} with ${label(event.right)}: ${label(winner)} goes first.`;
+        }
+        case 'copy':
+            return `Only the ${event.from} half has items left: copy ${label(event.item)}.`;
+        case 'merge':
+            return `Merged positions ${event.start + 1}–${event.end} into sorted order.`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Advance the visualizer by one event
+ * @returns {boolean} True while there are more events to play
+ */
+function stepVisualizer() {
+    const event = visualizerState.events[visualizerState.step];
+    if (!event) {
+        return false;
+    }
+
+    applyTraceEvent(event);
+    visualizerState.step++;
+    renderVisualizer(describeTraceEvent(event));
+
+    if (visualizerState.step === visualizerState.events.length) {
+        finishVisualizer();
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Stop playback and show the sorted order in the product grid
+ */
+async function finishVisualizer() {
+    pauseVisualizer();
+
+    if (!currentSort) {
+        currentSort = { key: 'price', direction: 'asc' };
+        updateSortButtons();
+    }
+    displayProducts(applyCurrentSort(await getProducts()));
+    renderVisualizer(`Done! ${visualizerState.comparisons} comparisons for ${visualizerState.items.length} products.`);
+}
+
+/**
+ * Get the delay between steps from the speed slider
+ * @returns {number} Delay in milliseconds
+ */
+function getVisualizerDelay() {
+    const speedInput = document.getElementById('vizSpeed');
+    const speed = speedInput ? parseInt(speedInput.value) : 5;
+    return 1100 - Math.min(10, Math.max(1, speed || 5)) * 100;
+}
+
+/**
+ * Start automatic playback
+ */
+function playVisualizer() {
+    if (visualizerState.playing) {
+        return;
+    }
+    if (visualizerState.step >= visualizerState.events.length) {
+        resetVisualizer();
+    }
+
+    visualizerState.playing = true;
+    updatePlayButton();
+
+    const tick = () => {
+        if (!visualizerState.playing) {
+            return;
+        }
+        if (stepVisualizer()) {
+            visualizerState.timer = setTimeout(tick, getVisualizerDelay());
+        }
+    };
+    tick();
+}
+
+/**
+ * Pause automatic playback
+ */
+function pauseVisualizer() {
+    visualizerState.playing = false;
+    clearTimeout(visualizerState.timer);
+    visualizerState.timer = null;
+    updatePlayButton();
+}
+
+/**
+ * Keep the play button label in sync with the playback state
+ */
+function updatePlayButton() {
+    const playBtn = document.getElementById('vizPlayBtn');
+    if (playBtn) {
+        playBtn.textContent = visualizerState.playing ? 'Pause' : 'Play';
+    }
+}
+
+/**
+ * Create a small card for a product inside the recursion tree
+ * @param {Product} product - Product object
+ * @param {Object} segment - Segment the card belongs to
+ * @returns {HTMLElement} Tile element
+ */
+function createVisualizerTile(product, segment) {
+    const tile = document.createElement('div');
+    tile.className = 'viz-tile';
+
+    const highlight = visualizerState.highlight;
+    if (segment.taken.has(product)) {
+        tile.classList.add('taken');
+    }
+    if (highlight && highlight.compared.includes(product)) {
+        tile.classList.add('comparing');
+    }
+    if (highlight && highlight.winner === product && segment.status === 'merging') {
+        tile.classList.add('winner');
+    }
+
+    tile.innerHTML = `
+        <img alt="">
+        <span class="viz-tile-name">${escapeHtml(product.name)}</span>
+        <span class="viz-tile-price">₹${parseFloat(product.price).toFixed(0)}</span>
+    `;
+    setImageSource(tile.querySelector('img'), product.image, product.name, 'thumb');
+    return tile;
+}
+
+/**
+ * Render the recursion tree and status line
+ * @param {string} message - Status message
+ */
+function renderVisualizer(message) {
+    const tree = document.getElementById('visualizerTree');
+    const status = document.getElementById('visualizerStatus');
+    const progress = document.getElementById('visualizerProgress');
+    if (!tree) {
+        return;
+    }
+
+    const levels = [];
+    visualizerState.segments.forEach(segment => {
+        (levels[segment.depth] = levels[segment.depth] || []).push(segment);
+    });
+
+    tree.innerHTML = '';
+    tree.style.setProperty('--viz-columns', Math.max(1, visualizerState.items.length));
+
+    levels.forEach((segments, depth) => {
+        const level = document.createElement('div');
+        level.className = 'viz-level';
+        level.dataset.depth = depth;
+
+        segments.sort((a, b) => a.start - b.start).forEach(segment => {
+            const element = document.createElement('div');
+            element.className = `viz-segment viz-${segment.status}`;
+            element.style.gridColumn = `${segment.start + 1} / ${segment.end + 1}`;
+            segment.items.forEach(product => {
+                element.appendChild(createVisualizerTile(product, segment));
+            });
+            level.appendChild(element);
+        });
+
+        tree.appendChild(level);
+    });
+
+    if (status) {
+        status.textContent = message;
+    }
+    if (progress) {
+        progress.textContent = `Step ${visualizerState.step} / ${visualizerState.events.length} · ${visualizerState.comparisons} comparisons`;
+    }
+}
+
+/**
+ * Wire up visualizer controls
+ */
+function initializeVisualizer() {
+    const controls = {
+        visualizeBtn: openVisualizer,
+        vizPlayBtn: () => (visualizerState.playing ? pauseVisualizer() : playVisualizer()),
+        vizStepBtn: () => {
+            pauseVisualizer();
+            stepVisualizer();
+        },
+        vizResetBtn: resetVisualizer,
+        vizCloseBtn: closeVisualizer
+    };
+
+    Object.entries(controls).forEach(([id, handler]) => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.addEventListener('click', handler);
+        }
+    });
+}
+
+// Export functions for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        openVisualizer,
+        closeVisualizer,
+        resetVisualizer,
+        stepVisualizer,
+        playVisualizer,
+        pauseVisualizer,
+        applyTraceEvent,
+        describeTraceEvent,
+        initializeVisualizer
+    };
+}
@@ -0,0 +1,84 @@
+/**
+ * JSON File Storage Adapter
+ * Keeps every storage key of the shop in a single JSON file for the API
+ * server, using the same versioned envelopes and migrations as the browser
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { migrateStoredPayload, assertWritable, createEnvelope, getBackupKey } = require('../scripts/storage.js');
+
+/**
+ * Create a storage adapter that reads and writes a JSON file
+ * Writes go to a temporary file first and are then renamed over the
+ * original, so a crash never leaves a half-written store behind.
+ * Data kept apart for each client, such as carts, is stored under the key
+ * followed by the scope `getScope` returns for it, e.g. "grocno_cart@<client>".
+ * @param {string} filePath - Path of the JSON file
+ * @param {Function} getScope - Returns the scope of a storage key, or '' for data everyone shares
+ * @returns {Object} Storage adapter
+ */
+function createFileAdapter(filePath, getScope = () => '') {
+    // Migrations and versions go by the storage key; the scope only names the record
+    const recordName = (key, name = key) => {
+        const scope = getScope(key);
+        return scope ? `${name}@${scope}` : name;
+    };
+
+    const readRecords = async () => {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return {};
+            }
+            throw error;
+        }
+    };
+
+    const writeRecords = async records => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    };
+
+    return {
+        name: 'file',
+
+        async read(key) {
+            const records = await readRecords();
+            const name = recordName(key);
+            if (records[name] === undefined) {
+                return null;
+            }
+
+            const backupKey = getBackupKey(key, records[name]);
+            const { data, migrated } = migrateStoredPayload(key, records[name]);
+            if (migrated) {
+                records[recordName(key, backupKey)] = records[name];
+                records[name] = createEnvelope(key, data);
+                await writeRecords(records);
+            }
+            return data;
+        },
+
+        async write(key, data) {
+            const records = await readRecords();
+            const name = recordName(key);
+            assertWritable(key, records[name]);
+            records[name] = createEnvelope(key, data);
+            await writeRecords(records);
+        },
+
+        async remove(key) {
+            const records = await readRecords();
+            delete records[recordName(key)];
+            await writeRecords(records);
+        }
+    };
+}
+
+module.exports = {
+    createFileAdapter
+};
@@ -0,0 +1,849 @@
+/**
+ * Grocno API Server
+ * Serves the shop pages and a REST API for products, the cart, promotions and
+ * the audit log, backed by
+ * a JSON file so several browsers can share one catalog. The routes run the
+ * same backend.js, cart.js and promotions.js functions as the browser.
+ * Every browser gets its own cart, told apart by the grocno_client cookie
+ * the server sets on its first cart request.
+ *
+ * Besides the collections and their /:id records:
+ *   POST /api/products/merge   { targetId, sourceIds } or { targetId, fields, sourceId }
+ *   POST /api/products/import  { records, mapping, mode, duplicates } as for planImport
+ *   POST /api/cart/checkout
+ *   POST /api/audit/undo, /api/audit/redo and /api/audit/revert { id }
+ *
+ * Usage: node server/server.js [port]
+ * Env:   PORT (default 3000), DATA_FILE (default server/data/store.json)
+ *
+ * Point the pages at it by setting `storage: 'http'` in scripts/config.js.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createFileAdapter } = require('./file-adapter.js');
+
+// The browser scripts share globals, so expose their dependencies the same way
+Object.assign(global, require('../scripts/products.js'), require('../scripts/storage.js'), require('../scripts/schema.js'));
+Object.assign(global, require('../scripts/duplicates.js'));
+// Loaded as globals so backend.js records API changes in the audit log
+Object.assign(global, require('../scripts/audit.js'));
+const { mergeSort, normalizeSortSpec } = require('../scripts/mergesort.js');
+const backend = require('../scripts/backend.js');
+// cart.js reads products for stock checks through the backend globals
+Object.assign(global, backend);
+const promotions = require('../scripts/promotions.js');
+// and prices items with the promotions globals
+Object.assign(global, promotions);
+const cart = require('../scripts/cart.js');
+const { planImport, applyImport } = require('../scripts/catalog-io.js');
+
+// Directory the shop pages are served from
+const STATIC_ROOT = path.join(__dirname, '..');
+
+// Pages and directories under STATIC_ROOT that may be served; nothing else is public
+const STATIC_FILES = ['index.html', 'admin.html', 'cart.html', 'lab.html'];
+const STATIC_DIRECTORIES = ['scripts', 'style', 'assets'];
+
+// Default JSON store
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'store.json');
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Cookie naming the browser a request comes from
+const CLIENT_COOKIE = 'grocno_client';
+
+// Storage keys kept apart for each browser
+const CLIENT_KEYS = ['grocno_cart'];
+
+// Client ID of the request being handled, for the storage adapter
+const clientContext = new AsyncLocalStorage();
+
+// Keys accepted by the ?sort= query parameter
+const SORTABLE_KEYS = ['id', 'name', 'price', 'unitPrice', 'packSize', 'category', 'brand', 'sku', 'stock', 'createdAt', 'updatedAt'];
+
+// Content types of the static files
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Error with an HTTP status code
+ * Validation failures carry their field errors ({ code, field, message }),
+ * which are sent alongside the message.
+ */
+class HttpError extends Error {
+    constructor(status, message, errors = []) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Wait for a backend.js, cart.js, promotions.js or audit.js call, answering a
+ * rejected record or refused undo with an HTTP status
+ * @param {number} status - Status for a rejected record, e.g. 400 or 409
+ * @param {Promise} pending - The call
+ * @returns {Promise<*>} What the call resolves to
+ * @throws {HttpError} The status with the field errors if the record is rejected
+ */
+async function rejectAs(status, pending) {
+    try {
+        return await pending;
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            throw new HttpError(status, error.message, error.errors);
+        }
+        if (error instanceof AuditError) {
+            throw new HttpError(status, error.message);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {*} body - Body, or undefined for an empty response
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+    if (body === undefined) {
+        res.writeHead(status, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {HttpError} 413 if too large, 400 if not valid JSON
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request body is too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            const text = Buffer.concat(chunks).toString('utf8');
+            if (text.trim() === '') {
+                reject(new HttpError(400, 'Request body must be JSON'));
+                return;
+            }
+            try {
+                resolve(JSON.parse(text));
+            } catch (error) {
+                reject(new HttpError(400, 'Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a JSON object body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+async function readObjectBody(req) {
+    const body = await readJsonBody(req);
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Read a JSON array body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Array>} Parsed body
+ */
+async function readArrayBody(req) {
+    const body = await readJsonBody(req);
+    if (!Array.isArray(body)) {
+        throw new HttpError(400, 'Request body must be a JSON array');
+    }
+    return body;
+}
+
+/**
+ * Parse an ID from a route segment
+ * @param {string} segment - Route segment
+ * @returns {number} Positive integer ID
+ * @throws {HttpError} 400 if not a positive integer
+ */
+function parseId(segment) {
+    const id = Number(segment);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new HttpError(400, `Invalid id "${segment}"`);
+    }
+    return id;
+}
+
+/**
+ * Get the client ID of a request from its cookie, giving it one if it has none
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response, to set the cookie on
+ * @returns {string} Client ID
+ */
+function getClientId(req, res) {
+    const match = new RegExp(`(?:^|;\\s*)${CLIENT_COOKIE}=([A-Za-z0-9-]{1,64})(?:;|$)`).exec(req.headers.cookie || '');
+    if (match) {
+        return match[1];
+    }
+
+    const clientId = crypto.randomUUID();
+    res.setHeader('Set-Cookie', `${CLIENT_COOKIE}=${clientId}; Path=/; HttpOnly; SameSite=Lax; Max-Age=31536000`);
+    return clientId;
+}
+
+/**
+ * Get the storage scope of a key for the request being handled
+ * @param {string} key - Storage key
+ * @returns {string} The client ID for per-browser keys, otherwise ''
+ */
+function getStorageScope(key) {
+    return CLIENT_KEYS.includes(key) ? clientContext.getStore() || '' : '';
+}
+
+/**
+ * Parse the optional ?variant= query parameter naming a cart item's size
+ * @param {URL} url - Request URL
+ * @returns {number|null} Variant ID, or null for the main size
+ * @throws {HttpError} 400 if not a positive integer
+ */
+function parseVariantParam(url) {
+    const variant = url.searchParams.get('variant');
+    return variant === null || variant === '' ? null : parseId(variant);
+}
+
+/**
+ * Parse the ?sort= query parameter, e.g. 'price,-name'
+ * @param {string} sort - Sort parameter
+ * @returns {Array} Sort spec for mergeSort
+ * @throws {HttpError} 400 for unknown keys
+ */
+function parseSortParam(sort) {
+    const spec = normalizeSortSpec(sort);
+    if (spec.length === 0) {
+        throw new HttpError(400, 'sort must name at least one key');
+    }
+
+    const unknown = spec.find(entry => !SORTABLE_KEYS.includes(entry.key));
+    if (unknown) {
+        throw new HttpError(400, `Unknown sort key "${unknown.key}". Use one of: ${SORTABLE_KEYS.join(', ')}`);
+    }
+    return spec;
+}
+
+/**
+ * Check a record of a PUT request body against a schema
+ * Stored records also need the fields the schema leaves to the server,
+ * such as a product's id and a cart item's qty.
+ * @param {Object} schema - PRODUCT_SCHEMA or CART_ITEM_SCHEMA
+ * @param {string} kind - 'Product' or 'Cart item', for the message
+ * @param {*} record - Record
+ * @param {number} index - Position in the request body
+ * @param {Object} required - Extra required fields: { field: [isValid, message] }
+ * @throws {HttpError} 400 with the field errors if the record is invalid
+ */
+function checkRecord(schema, kind, record, index, required) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new HttpError(400, `${kind} at index ${index} must be an object`);
+    }
+
+    const { errors } = validateRecord(schema, record);
+    Object.entries(required).forEach(([field, [isValid, message]]) => {
+        if (!isValid(record[field])) {
+            errors.unshift(createFieldError('required', field, message));
+        }
+    });
+    if (errors.length > 0) {
+        const fieldErrors = errors.map(error => ({ ...error, field: `${index}.${error.field}` }));
+        throw new HttpError(400, `${kind} at index ${index}: ${errors[0].message}`, fieldErrors);
+    }
+}
+
+/**
+ * Check a product record sent to PUT /api/products
+ * @param {*} record - Product record
+ * @param {number} index - Position in the request body
+ * @throws {HttpError} 400 if the record cannot be a product
+ */
+function checkProductRecord(record, index) {
+    checkRecord(PRODUCT_SCHEMA, 'Product', record, index, {
+        id: [id => Number.isInteger(id) && id > 0, 'ID must be a positive whole number']
+    });
+}
+
+/**
+ * Check a cart record sent to PUT /api/cart
+ * @param {*} record - Cart item record
+ * @param {number} index - Position in the request body
+ * @throws {HttpError} 400 if the record cannot be a cart item
+ */
+function checkCartRecord(record, index) {
+    checkRecord(CART_ITEM_SCHEMA, 'Cart item', record, index, {
+        qty: [qty => qty !== undefined && qty !== null, 'Quantity is required']
+    });
+}
+
+/**
+ * Check a promotion record sent to PUT /api/promotions
+ * @param {*} record - Promotion record
+ * @param {number} index - Position in the request body
+ * @throws {HttpError} 400 if the record cannot be a promotion
+ */
+function checkPromotionRecord(record, index) {
+    checkRecord(PROMOTION_SCHEMA, 'Promotion', record, index, {
+        id: [id => Number.isInteger(id) && id > 0, 'ID must be a positive whole number']
+    });
+}
+
+/**
+ * Throw unless every record has a different id
+ * @param {Array} records - Records with an id
+ */
+function checkUniqueIds(records) {
+    const ids = new Set(records.map(record => record.id));
+    if (ids.size !== records.length) {
+        throw new HttpError(400, 'Every id must be unique');
+    }
+}
+
+/**
+ * Merge duplicates into a product, as for POST /api/products/merge
+ * @param {Object} body - { targetId, sourceIds } to merge products of the
+ *     catalog, or { targetId, fields, sourceId } as for mergeIntoProduct
+ * @param {http.ServerResponse} res - Response
+ */
+async function mergeProducts(body, res) {
+    const targetId = parseId(String(body.targetId));
+    let pending;
+    if (Array.isArray(body.sourceIds)) {
+        pending = backend.mergeProductGroup(targetId, body.sourceIds.map(id => parseId(String(id))));
+    } else if (body.fields && typeof body.fields === 'object' && !Array.isArray(body.fields)) {
+        const sourceId = body.sourceId === undefined || body.sourceId === null ? null : parseId(String(body.sourceId));
+        pending = backend.mergeIntoProduct(targetId, body.fields, sourceId);
+    } else {
+        throw new HttpError(400, 'Send sourceIds, or fields and an optional sourceId');
+    }
+
+    const product = await rejectAs(400, pending);
+    if (!product) {
+        throw new HttpError(500, 'Failed to save products');
+    }
+    sendJson(res, 200, product);
+}
+
+/**
+ * Import a product list, as for POST /api/products/import
+ * The import is planned against the catalog as it is now; rows with errors are skipped.
+ * @param {Object} body - { records, mapping, mode, duplicates } as for planImport
+ * @param {http.ServerResponse} res - Response
+ */
+async function importProducts(body, res) {
+    const { records, mapping, mode = 'upsert', duplicates = 'warn' } = body;
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+        throw new HttpError(400, 'records must be an array of objects');
+    }
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new HttpError(400, 'mapping must be an object of column -> field');
+    }
+    if (!['upsert', 'append'].includes(mode) || !['warn', 'merge'].includes(duplicates)) {
+        throw new HttpError(400, 'mode must be "upsert" or "append", and duplicates "warn" or "merge"');
+    }
+
+    const plan = planImport(records, mapping, await backend.getProducts(), mode, duplicates);
+    if (!(await applyImport(plan))) {
+        throw new HttpError(500, 'Failed to save products');
+    }
+    sendJson(res, 200, {
+        summary: plan.summary,
+        rows: plan.rows.map(({ row, action, error }) => ({ row, action, error }))
+    });
+}
+
+/**
+ * Handle /api/products and /api/products/:id
+ * @param {string} method - HTTP method
+ * @param {string|undefined} idSegment - Route segment after /api/products
+ * @param {URL} url - Request URL
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleProducts(method, idSegment, url, req, res) {
+    if (idSegment === 'merge' || idSegment === 'import') {
+        if (method !== 'POST') {
+            throw new HttpError(405, `${method} is not allowed on /api/products/${idSegment}`);
+        }
+        const body = await readObjectBody(req);
+        await (idSegment === 'merge' ? mergeProducts(body, res) : importProducts(body, res));
+        return;
+    }
+
+    if (idSegment === undefined) {
+        switch (method) {
+            case 'GET': {
+                const products = await backend.getProducts();
+                const sort = url.searchParams.get('sort');
+                sendJson(res, 200, sort === null ? products : mergeSort(products, parseSortParam(sort)));
+                return;
+            }
+            case 'POST': {
+                const body = await readObjectBody(req);
+                const product = await rejectAs(400, backend.addProduct(body.name, body.price, body.image, body.packSize ?? null, body.unit ?? null, body));
+                if (!product) {
+                    throw new HttpError(500, 'Failed to save product');
+                }
+                sendJson(res, 201, product, { Location: `/api/products/${product.id}` });
+                return;
+            }
+            case 'PUT': {
+                const body = await readArrayBody(req);
+                body.forEach(checkProductRecord);
+                checkUniqueIds(body);
+                const products = body.map(record => Product.fromJSON(record));
+                if (!(await backend.saveProducts(products))) {
+                    throw new HttpError(500, 'Failed to save products');
+                }
+                sendJson(res, 200, products);
+                return;
+            }
+            case 'DELETE':
+                if (!(await backend.clearAllProducts())) {
+                    throw new HttpError(500, 'Failed to reset products');
+                }
+                sendJson(res, 204);
+                return;
+        }
+        throw new HttpError(405, `${method} is not allowed on /api/products`);
+    }
+
+    const id = parseId(idSegment);
+    switch (method) {
+        case 'GET': {
+            const product = await backend.getProductById(id);
+            if (!product) {
+                throw new HttpError(404, `Product ${id} not found`);
+            }
+            sendJson(res, 200, product);
+            return;
+        }
+        case 'PUT': {
+            const body = await readObjectBody(req);
+            if (!(await backend.getProductById(id))) {
+                throw new HttpError(404, `Product ${id} not found`);
+            }
+            const product = await rejectAs(400, backend.updateProduct(id, body));
+            if (!product) {
+                throw new HttpError(500, 'Failed to save product');
+            }
+            sendJson(res, 200, product);
+            return;
+        }
+        case 'DELETE':
+            if (!(await backend.deleteProduct(id))) {
+                throw new HttpError(404, `Product ${id} not found`);
+            }
+            sendJson(res, 204);
+            return;
+    }
+    throw new HttpError(405, `${method} is not allowed on /api/products/:id`);
+}
+
+/**
+ * Handle /api/cart, /api/cart/:id and /api/cart/checkout
+ * Items for a variant are addressed as /api/cart/:id?variant=:variantId.
+ * @param {string} method - HTTP method
+ * @param {string|undefined} idSegment - Route segment after /api/cart
+ * @param {URL} url - Request URL
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleCart(method, idSegment, url, req, res) {
+    if (idSegment === 'checkout') {
+        if (method !== 'POST') {
+            throw new HttpError(405, `${method} is not allowed on /api/cart/checkout`);
+        }
+        const items = await cart.getCartItems();
+        if (items.length === 0) {
+            throw new HttpError(400, 'Cart is empty');
+        }
+        const total = await cart.getCartTotal();
+        // A rejected checkout means some items are short of stock
+        if (!(await rejectAs(409, cart.checkout()))) {
+            throw new HttpError(500, 'Checkout failed');
+        }
+        sendJson(res, 200, { items, total });
+        return;
+    }
+
+    if (idSegment === undefined) {
+        switch (method) {
+            case 'GET':
+                sendJson(res, 200, await cart.getCartItems());
+                return;
+            case 'POST': {
+                // Only the product and variant ids and the quantity are trusted; name, price and image come from the catalog
+                const body = await readObjectBody(req);
+                const id = parseId(String(body.id));
+                const variantId = body.variantId === undefined || body.variantId === null ? null : parseId(String(body.variantId));
+                const qty = body.qty ?? 1;
+                const product = await backend.getProductById(id);
+                if (!product) {
+                    throw new HttpError(404, `Product ${id} not found`);
+                }
+                const variant = getProductVariant(product, variantId);
+                if (!variant) {
+                    throw new HttpError(404, `Variant ${variantId} of product ${id} not found`);
+                }
+                const isNew = !(await cart.getCartItems()).some(item => item.id === id && item.variantId === variantId);
+                if (!Number.isInteger(qty) || qty < 1) {
+                    throw new HttpError(400, 'qty must be a whole number of 1 or more');
+                }
+                // The product comes from the catalog, so only stock can reject it
+                const item = await rejectAs(409, cart.addToCart(product.id, formatVariantName(product, variant), variant.price, variant.image, variantId, qty));
+                if (!item) {
+                    throw new HttpError(500, 'Failed to save cart');
+                }
+                const location = variantId === null ? `/api/cart/${id}` : `/api/cart/${id}?variant=${variantId}`;
+                sendJson(res, isNew ? 201 : 200, item, { Location: location });
+                return;
+            }
+            case 'PUT': {
+                const body = await readArrayBody(req);
+                body.forEach(checkCartRecord);
+                if (new Set(body.map(record => `${record.id}-${record.variantId ?? ''}`)).size !== body.length) {
+                    throw new HttpError(400, 'Every id and variantId pair must be unique');
+                }
+                const items = body.map(record => cart.CartItem.fromJSON(record));
+                if (!(await cart.saveCartItems(items))) {
+                    throw new HttpError(500, 'Failed to save cart');
+                }
+                sendJson(res, 200, items);
+                return;
+            }
+            case 'DELETE':
+                if (!(await cart.clearCart())) {
+                    throw new HttpError(500, 'Failed to clear cart');
+                }
+                sendJson(res, 204);
+                return;
+        }
+        throw new HttpError(405, `${method} is not allowed on /api/cart`);
+    }
+
+    const id = parseId(idSegment);
+    const variantId = parseVariantParam(url);
+    const inCart = (await cart.getCartItems()).some(item => item.id === id && item.variantId === variantId);
+    switch (method) {
+        case 'PUT': {
+            const body = await readObjectBody(req);
+            if (!Number.isInteger(body.qty) || body.qty < 0) {
+                throw new HttpError(400, 'qty must be a whole number of 0 or more');
+            }
+            if (!inCart) {
+                throw new HttpError(404, `Item ${id}${variantId === null ? '' : ` (variant ${variantId})`} is not in the cart`);
+            }
+            const item = await rejectAs(409, cart.updateCartQuantity(id, body.qty, variantId));
+            if (!item && body.qty > 0) {
+                throw new HttpError(500, 'Failed to save cart');
+            }
+            // A quantity of 0 removes the item
+            sendJson(res, item ? 200 : 204, item || undefined);
+            return;
+        }
+        case 'DELETE':
+            if (!(await cart.removeFromCart(id, variantId))) {
+                throw new HttpError(404, `Item ${id}${variantId === null ? '' : ` (variant ${variantId})`} is not in the cart`);
+            }
+            sendJson(res, 204);
+            return;
+    }
+    throw new HttpError(405, `${method} is not allowed on /api/cart/:id`);
+}
+
+/**
+ * Handle /api/promotions and /api/promotions/:id
+ * @param {string} method - HTTP method
+ * @param {string|undefined} idSegment - Route segment after /api/promotions
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handlePromotions(method, idSegment, req, res) {
+    if (idSegment === undefined) {
+        switch (method) {
+            case 'GET':
+                sendJson(res, 200, await promotions.getPromotions());
+                return;
+            case 'POST': {
+                const body = await readObjectBody(req);
+                const promotion = await rejectAs(400, promotions.addPromotion(body));
+                if (!promotion) {
+                    throw new HttpError(500, 'Failed to save promotions');
+                }
+                sendJson(res, 201, promotion, { Location: `/api/promotions/${promotion.id}` });
+                return;
+            }
+            case 'PUT': {
+                const body = await readArrayBody(req);
+                body.forEach(checkPromotionRecord);
+                checkUniqueIds(body);
+                // Dates are stored as ISO strings, whatever format they were sent in
+                const records = body.map(record => ({ ...record, ...validateRecord(PROMOTION_SCHEMA, record).value }));
+                if (!(await promotions.savePromotions(records))) {
+                    throw new HttpError(500, 'Failed to save promotions');
+                }
+                sendJson(res, 200, records);
+                return;
+            }
+            case 'DELETE':
+                if (!(await promotions.savePromotions([]))) {
+                    throw new HttpError(500, 'Failed to clear promotions');
+                }
+                sendJson(res, 204);
+                return;
+        }
+        throw new HttpError(405, `${method} is not allowed on /api/promotions`);
+    }
+
+    const id = parseId(idSegment);
+    const existing = (await promotions.getPromotions()).find(promotion => promotion.id === id);
+    if (!existing) {
+        throw new HttpError(404, `Promotion ${id} not found`);
+    }
+    switch (method) {
+        case 'GET':
+            sendJson(res, 200, existing);
+            return;
+        case 'PUT': {
+            const body = await readObjectBody(req);
+            const promotion = await rejectAs(400, promotions.updatePromotion(id, body));
+            if (!promotion) {
+                throw new HttpError(500, 'Failed to save promotions');
+            }
+            sendJson(res, 200, promotion);
+            return;
+        }
+        case 'DELETE':
+            if (!(await promotions.deletePromotion(id))) {
+                throw new HttpError(500, 'Failed to delete promotion');
+            }
+            sendJson(res, 204);
+            return;
+    }
+    throw new HttpError(405, `${method} is not allowed on /api/promotions/:id`);
+}
+
+// Undo, redo and revert routes, each taking the request body
+const AUDIT_ACTIONS = {
+    undo: () => undoLastChange(),
+    redo: () => redoLastChange(),
+    revert: body => revertAuditEntry(parseId(String(body.id)))
+};
+
+/**
+ * Handle /api/audit, /api/audit/undo, /api/audit/redo and /api/audit/revert
+ * A refused undo, redo or revert is answered with 409.
+ * @param {string} method - HTTP method
+ * @param {string|undefined} idSegment - Route segment after /api/audit
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleAudit(method, idSegment, req, res) {
+    if (idSegment !== undefined) {
+        if (!Object.hasOwn(AUDIT_ACTIONS, idSegment)) {
+            throw new HttpError(404, `No route for /api/audit/${idSegment}`);
+        }
+        if (method !== 'POST') {
+            throw new HttpError(405, `${method} is not allowed on /api/audit/${idSegment}`);
+        }
+        const body = idSegment === 'revert' ? await readObjectBody(req) : {};
+        const entry = await rejectAs(409, AUDIT_ACTIONS[idSegment](body));
+        if (!entry) {
+            throw new HttpError(500, 'Failed to save audit log');
+        }
+        sendJson(res, 200, entry);
+        return;
+    }
+
+    switch (method) {
+        case 'GET':
+            sendJson(res, 200, await getAuditLog());
+            return;
+        case 'PUT': {
+            const body = await readObjectBody(req);
+            if (!['entries', 'undo', 'redo'].every(field => Array.isArray(body[field]))) {
+                throw new HttpError(400, 'Audit log must have entries, undo and redo arrays');
+            }
+            if (!(await saveAuditLog(body))) {
+                throw new HttpError(500, 'Failed to save audit log');
+            }
+            sendJson(res, 200, await getAuditLog());
+            return;
+        }
+        case 'DELETE':
+            if (!(await clearAuditLog())) {
+                throw new HttpError(500, 'Failed to clear audit log');
+            }
+            sendJson(res, 204);
+            return;
+    }
+    throw new HttpError(405, `${method} is not allowed on /api/audit`);
+}
+
+/**
+ * Serve a file of the shop pages
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res - Response
+ */
+async function serveStatic(url, res) {
+    let segments;
+    try {
+        segments = decodeURIComponent(url.pathname === '/' ? '/index.html' : url.pathname).split('/').filter(Boolean);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+
+    // Only the pages and their scripts, styles and assets; no hidden files such as .git
+    const isPublic = segments.length === 1
+        ? STATIC_FILES.includes(segments[0])
+        : STATIC_DIRECTORIES.includes(segments[0]);
+    if (!isPublic || segments.some(segment => segment.startsWith('.') || segment.includes('\\'))) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    const filePath = path.join(STATIC_ROOT, ...segments);
+    if (!filePath.startsWith(STATIC_ROOT + path.sep)) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    try {
+        const content = await fs.promises.readFile(filePath);
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+}
+
+// Requests are handled one at a time so concurrent writes cannot interleave
+let requestQueue = Promise.resolve();
+
+/**
+ * Run a task after every earlier one has finished
+ * @param {Function} task - Async task
+ * @returns {Promise} Result of the task
+ */
+function enqueue(task) {
+    const result = requestQueue.then(task, task);
+    requestQueue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const [prefix, resource, idSegment, extra] = url.pathname.split('/').filter(Boolean);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204);
+        } else if (prefix !== 'api') {
+            if (req.method !== 'GET') {
+                throw new HttpError(405, `${req.method} is not allowed here`);
+            }
+            await serveStatic(url, res);
+        } else if (extra !== undefined) {
+            throw new HttpError(404, `No route for ${url.pathname}`);
+        } else if (resource === 'products') {
+            await enqueue(() => handleProducts(req.method, idSegment, url, req, res));
+        } else if (resource === 'cart') {
+            // The storage adapter reads this browser's cart
+            const clientId = getClientId(req, res);
+            await enqueue(() => clientContext.run(clientId, () => handleCart(req.method, idSegment, url, req, res)));
+        } else if (resource === 'promotions') {
+            await enqueue(() => handlePromotions(req.method, idSegment, req, res));
+        } else if (resource === 'audit') {
+            await enqueue(() => handleAudit(req.method, idSegment, req, res));
+        } else {
+            throw new HttpError(404, `No route for ${url.pathname}`);
+        }
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error('Error handling request:', error);
+        }
+        if (!res.headersSent) {
+            const status = error instanceof HttpError ? error.status : 500;
+            const body = { error: error instanceof HttpError ? error.message : 'Internal server error' };
+            if (error instanceof HttpError && error.errors.length > 0) {
+                body.errors = error.errors;
+            }
+            sendJson(res, status, body);
+        }
+    }
+}
+
+/**
+ * Create the API server
+ * @param {string} dataFile - Path of the JSON store
+ * @returns {http.Server} Server, not yet listening
+ */
+function createApiServer(dataFile = DEFAULT_DATA_FILE) {
+    setStorageAdapter(createFileAdapter(dataFile, getStorageScope));
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT) || 3000;
+    const dataFile = process.env.DATA_FILE || DEFAULT_DATA_FILE;
+
+    createApiServer(dataFile).listen(port, () => {
+        console.log(`Grocno server on http://localhost:${port} (data: ${dataFile})`);
+    });
+}
+
+module.exports = {
+    HttpError,
+    parseSortParam,
+    createApiServer
+};